@@ -41,6 +41,8 @@ export default class ChunkVideo extends VideoChunk {
     timeActions;
     /** @type {Function} - 终止回调函数 */
     #abortCallback = null;
+    /** @type {boolean} - 是否已终止 */
+    #aborted = false;
     /** @type {Function} - 页面获取函数 */
     #pageAcquireFn = null;
     /** @type {AsyncLock} - 异步锁 */
@@ -71,6 +73,7 @@ export default class ChunkVideo extends VideoChunk {
      * @param {string} [options.audioEncoder="aac"] - 音频编码器
      * @param {string} [options.audioBitrate] - 音频码率
      * @param {number} [options.volume] - 视频音量（0-100）
+     * @param {Object} [options.subtitle] - 字幕选项，包含字幕文件路径path（srt/vtt）和字幕列表cues，字幕时间相对于分块起点
      * @param {number} [options.parallelWriteFrames=10] - 并行写入帧数
      * @param {boolean} [options.showProgress=false] - 是否在命令行展示进度
      * @param {boolean} [options.backgroundOpacity=1] - 背景不透明度（0-1），仅webm格式支持
@@ -136,6 +139,8 @@ export default class ChunkVideo extends VideoChunk {
      * 终止捕获
      */
     abort() {
+        // 尚未开始捕获时记录终止状态，获取页面后将立即终止
+        this.#aborted = true;
         if(!this.#abortCallback)
             return this.#abortCallback;
         this.#abortCallback();
@@ -169,6 +174,7 @@ export default class ChunkVideo extends VideoChunk {
     async #synthesize() {
         const page = await this.#acquirePage();
         try {
+            this.#checkAborted();
             const { url, content, width, height, pageWaitForOptions, pageViewport = {} } = this;
             // 监听页面实例发生的某些内部错误
             page.on("error", err => this._emitError("Page error:\n" + err.stack));
@@ -190,6 +196,11 @@ export default class ChunkVideo extends VideoChunk {
                 this.updateAudio(audioId, options);
                 this.emit("audioUpdate", options);
             })
+            page.setAudioAnalysisProvider((audioId, type) => this.analyzeAudio(audioId, type));
+            page.on("subtitleAdd", subtitle => {
+                this.addSubtitle(subtitle);
+                this.emit("subtitleAdd", subtitle);
+            });
             // 设置视窗宽高
             await page.setViewport({
                 width,
@@ -214,6 +225,7 @@ export default class ChunkVideo extends VideoChunk {
             // 注册事件序列
             if (this.timeActions && Object.keys(this.timeActions).length > 0)
                 page.registerTimeActions(this.timeActions);
+            this.#checkAborted();
              // 注册终止回调
              this.#abortCallback = () => page.target.evaluate(() => captureCtx.abort()).catch(err => console.error(err));
             // 启动合成
@@ -247,6 +259,16 @@ export default class ChunkVideo extends VideoChunk {
         }
     }
 
+    /**
+     * 检查是否已终止
+     * 
+     * 获取和准备页面期间页面尚未开始捕获，无法通知页面终止，需在开始捕获前检查
+     */
+    #checkAborted() {
+        if (this.#aborted)
+            throw new Error("Render aborted");
+    }
+
     /**
      * 注册页面获取函数
      * 
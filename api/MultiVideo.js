@@ -3,6 +3,7 @@ import AsyncLock from "async-lock";
 import _ from "lodash";
 
 import ChunkSynthesizer from "../core/ChunkSynthesizer.js";
+import TransitionRenderer from "../core/TransitionRenderer.js";
 import ChunkVideo from "./ChunkVideo.js";
 import Font from "../entity/Font.js";
 import logger from "../lib/logger.js";
@@ -47,9 +48,12 @@ export default class MultiVideo extends ChunkSynthesizer {
      * @param {string} [options.audioEncoder="aac"] - 音频编码器
      * @param {string} [options.audioBitrate] - 音频码率
      * @param {number} [options.volume] - 视频音量（0-100）
+     * @param {number|Object} [options.audioLoudness] - 响度标准化选项，数字时为目标综合响度（LUFS）
+     * @param {Object} [options.subtitle] - 字幕选项，包含字幕文件路径path、字幕列表cues、字幕模式mode（soft/burn）、软字幕语言language、硬字幕样式style、外挂字幕格式sidecar（srt/vtt）及是否嵌入embed
      * @param {number} [options.parallelWriteFrames=10] - 并行写入帧数
      * @param {boolean} [options.showProgress=false] - 是否在命令行展示进度
      * @param {Function} [options.pagePrepareFn] - 页面预处理函数
+     * @param {Object} [options.packaging] - 流媒体打包选项，设置后将在合成完成后输出HLS和/或DASH，仅mp4格式支持
      */
     constructor(options) {
         super(options);
@@ -91,6 +95,19 @@ export default class MultiVideo extends ChunkSynthesizer {
         chunk.onPageAcquire(async () => await this.#acquirePage());
     }
 
+    /**
+     * 终止捕获
+     * 
+     * 终止所有分块，尚未开始捕获的分块获取页面后将立即终止，已开始合成时终止合成
+     */
+    abort() {
+        this.chunks.forEach(chunk => chunk.abort());
+        if (!this.isSynthesizing())
+            return;
+        super.abort();
+        this._emitError(new Error("Render aborted"));
+    }
+
     /**
      * 注册字体
      * 
@@ -132,6 +149,33 @@ export default class MultiVideo extends ChunkSynthesizer {
         });
     }
 
+    /**
+     * 在页面中渲染转场片段
+     * 
+     * @protected
+     * @param {ChunkVideo} chunk - 转场前的分块
+     * @param {ChunkVideo} nextChunk - 转场后的分块
+     * @returns {string} - 转场片段路径
+     */
+    async _renderTransition(chunk, nextChunk) {
+        const { width, height, fps, videoEncoder, videoQuality, videoBitrate, pixelFormat } = chunk;
+        const renderer = new TransitionRenderer({
+            transition: chunk.transition,
+            width,
+            height,
+            fps,
+            encodeOptions: { videoEncoder, videoQuality, videoBitrate, pixelFormat },
+            fonts: this.fonts
+        });
+        const page = await this.#acquirePage();
+        try {
+            return await renderer.render(page, chunk, nextChunk);
+        }
+        finally {
+            await page.release();
+        }
+    }
+
     /**
     * 注册页面获取函数
     * 
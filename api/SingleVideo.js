@@ -1,10 +1,13 @@
 import assert from "assert";
+import path from "path";
 import _ from "lodash";
 import AsyncLock from "async-lock";
 
 import Synthesizer from "../core/Synthesizer.js";
+import VideoChunk from "../core/VideoChunk.js";
 import Page from "../core/Page.js";
 import Font from "../entity/Font.js";
+import { BITSTREAM_FILTER } from "../lib/const.js";
 import logger from "../lib/logger.js";
 import util from "../lib/util.js";
 
@@ -38,8 +41,14 @@ export default class SingleVideo extends Synthesizer {
     pagePrepareFn;
     /** @type {{[key: number]: Function}} - 动作序列 */
     timeActions;
+    /** @type {number} - 从检查点恢复的最大重试次数 */
+    checkpointRetries;
+    /** @type {number} - 并行渲染的分段数量 */
+    parallelSegments;
     /** @type {Function} - 终止回调函数 */
     #abortCallback = null;
+    /** @type {boolean} - 是否已终止 */
+    #aborted = false;
     /** @type {Function} - 页面获取函数 */
     #pageAcquireFn = null;
     /** @type {AsyncLock} - 异步锁 */
@@ -51,13 +60,16 @@ export default class SingleVideo extends Synthesizer {
      * @param {Object} options - 单幕视频选项
      * @param {string} [options.url] - 页面URL
      * @param {string} [options.content] - 页面内容
-     * @param {string} options.outputPath - 输出路径
+     * @param {string} options.outputPath - 输出路径，设置liveOutput时可不提供
      * @param {number} options.width - 视频宽度
      * @param {number} options.height - 视频高度
      * @param {number} options.duration - 视频时长
      * @param {number} [options.startTime] - 开始捕获时间点
      * @param {number} [options.fps=30] - 视频帧率
-     * @param {string} [options.format] - 导出视频格式（mp4/webm）
+     * @param {string} [options.format] - 导出视频格式（mp4/webm/mov/gif/webp/png-sequence/jpeg-sequence），图像序列格式时outputPath为输出目录路径
+     * @param {string} [options.frameNamePattern] - 图像序列帧文件名模式，%d或%0Nd将被替换为从0开始的帧序号
+     * @param {number} [options.loopCount=0] - 动图播放次数，0为无限循环，仅gif和webp格式支持
+     * @param {number} [options.maxColors=256] - GIF调色板最大颜色数（4-256）
      * @param {string} [options.attachCoverPath] - 附加到视频首帧的封面路径
      * @param {string} [options.coverCapture=false] - 是否捕获封面并输出
      * @param {number} [options.coverCaptureTime] - 封面捕获时间点（毫秒）
@@ -69,6 +81,8 @@ export default class SingleVideo extends Synthesizer {
      * @param {string} [options.audioEncoder="aac"] - 音频编码器
      * @param {string} [options.audioBitrate] - 音频码率
      * @param {number} [options.volume] - 视频音量（0-100）
+     * @param {number|Object} [options.audioLoudness] - 响度标准化选项，数字时为目标综合响度（LUFS）
+     * @param {Object} [options.subtitle] - 字幕选项，包含字幕文件路径path、字幕列表cues、字幕模式mode（soft/burn）、软字幕语言language、硬字幕样式style、外挂字幕格式sidecar（srt/vtt）及是否嵌入embed
      * @param {number} [options.parallelWriteFrames=10] - 并行写入帧数
      * @param {Viewport} [options.pageViewport] - 页面视窗参数
      * @param {Function} [options.pagePrepareFn] - 页面预处理函数
@@ -76,14 +90,19 @@ export default class SingleVideo extends Synthesizer {
      * @param {{[key: number]: Function}} [options.timeActions] - 动作序列
      * @param {WaitForOptions} [options.pageWaitForOptions] - 页面等待选项
      * @param {boolean} [options.showProgress=false] - 是否在命令行展示进度
-     * @param {boolean} [options.backgroundOpacity=1] - 背景不透明度（0-1），仅webm格式支持
+     * @param {boolean} [options.backgroundOpacity=1] - 背景不透明度（0-1），仅webm、mov、gif、webp及png-sequence格式支持
      * @param {boolean} [options.autostartRender=true] - 是否自动启动渲染，如果为false请务必在页面中执行 captureCtx.start()
      * @param {boolean} [options.consoleLog=false] - 是否开启控制台日志输出
      * @param {boolean} [options.videoPreprocessLog=false] - 是否开启视频预处理日志输出
+     * @param {number} [options.checkpointInterval] - 检查点间隔时间（毫秒），设置后页面崩溃或捕获超时将从最后的检查点恢复渲染
+     * @param {number} [options.checkpointRetries=3] - 从检查点恢复的最大重试次数
+     * @param {number} [options.parallelSegments=1] - 并行渲染的分段数量，大于1时将时间范围拆分为多个分段并使用多个页面同时渲染
+     * @param {Object} [options.packaging] - 流媒体打包选项，设置后将在合成完成后输出HLS和/或DASH，仅mp4格式支持
+     * @param {string} [options.liveOutput] - 直播推流地址（rtmp/rtmps/srt/udp/tcp/file协议），设置后将按实时速度渲染并推流，不输出文件
      */
     constructor(options = {}) {
         super(options);
-        const { url, content, startTime, autostartRender, consoleLog, videoPreprocessLog, pageWaitForOptions, pageViewport, pagePrepareFn, videoDecoderHardwareAcceleration, timeActions } = options;
+        const { url, content, startTime, autostartRender, consoleLog, videoPreprocessLog, pageWaitForOptions, pageViewport, pagePrepareFn, videoDecoderHardwareAcceleration, timeActions, checkpointRetries, parallelSegments } = options;
         assert(_.isUndefined(url) || util.isURL(url), `url ${url} is not valid URL`);
         assert(_.isUndefined(content) || _.isString(content), "page content must be string");
         assert(!_.isUndefined(url) || !_.isUndefined(content), "page url or content must be provide");
@@ -95,6 +114,15 @@ export default class SingleVideo extends Synthesizer {
         assert(_.isUndefined(pagePrepareFn) || _.isFunction(pagePrepareFn), "pagePrepareFn must be Function");
         assert(_.isUndefined(videoDecoderHardwareAcceleration) || _.isString(videoDecoderHardwareAcceleration), "videoDecoderHardwareAcceleration must be string");
         assert(_.isUndefined(timeActions) || _.isObject(timeActions), "timeActions must be Object");
+        assert(_.isUndefined(checkpointRetries) || _.isFinite(checkpointRetries), "checkpointRetries must be number");
+        assert(_.isUndefined(parallelSegments) || (_.isInteger(parallelSegments) && parallelSegments > 0), "parallelSegments must be integer and greater than 0");
+        if (parallelSegments > 1) {
+            assert(!this.checkpointInterval, "parallelSegments is not supported with checkpointInterval");
+            assert(!this.isImageSequence(), "parallelSegments is not supported by image sequence format");
+            assert(!this.isLiveStreaming(), "parallelSegments is not supported by liveOutput");
+            assert(!this.hasAlphaChannel, "parallelSegments is not supported with alpha channel");
+            assert(_.isString(BITSTREAM_FILTER[this.getVideoEncodingType()]), `Video encoder ${this.videoEncoder} does not support parallelSegments, only support encoding using H264, H265, and VP9`);
+        }
         timeActions && Object.keys(timeActions).forEach(key => {
             key = Number(key)
             assert(_.isFinite(key), `timeActions key ${key} must be Number`);
@@ -111,6 +139,8 @@ export default class SingleVideo extends Synthesizer {
         this.pagePrepareFn = pagePrepareFn;
         this.videoDecoderHardwareAcceleration = videoDecoderHardwareAcceleration;
         this.timeActions = timeActions;
+        this.checkpointRetries = _.defaultTo(checkpointRetries, 3);
+        this.parallelSegments = _.defaultTo(parallelSegments, 1);
     }
 
     /**
@@ -133,6 +163,8 @@ export default class SingleVideo extends Synthesizer {
      * 终止捕获
      */
     abort() {
+        // 尚未开始捕获时记录终止状态，获取页面后将立即终止
+        this.#aborted = true;
         if(!this.#abortCallback)
             return this.#abortCallback;
         this.#abortCallback();
@@ -164,47 +196,22 @@ export default class SingleVideo extends Synthesizer {
      * 合成处理
      */
     async #synthesize() {
+        // 启用检查点时使用可恢复的合成流程
+        if (this.checkpointInterval)
+            return await this.#synthesizeWithCheckpoints();
+        // 拆分为多个分段并行渲染
+        if (this.parallelSegments > 1)
+            return await this.#synthesizeInParallel();
         const page = await this.#acquirePage();
         try {
-            const { url, content, width, height, pageWaitForOptions, pageViewport = {} } = this;
+            this.#checkAborted();
             // 监听页面实例发生的某些内部错误
             page.on("error", err => this._emitError("Page error:\n" + err.stack));
             // 监听页面是否崩溃，当内存不足或过载时可能会崩溃
             page.on("crashed", err => this.#emitPageCrashedError(err));
-            if (this.consoleLog) {
-                // 监听页面打印到console的正常日志
-                page.on("consoleLog", message => logger.log("[page]", message));
-                // 监听页面打印到console的错误日志
-                page.on("consoleError", err => logger.error("[page]", err));
-            }
-            if (this.videoPreprocessLog)
-                page.on("videoPreprocess", config => logger.log("[video_preprocess]", config.url));
-            page.on("audioAdd", options => this.addAudio(options));
-            page.on("audioUpdate", (audioId, options) => this.updateAudio(audioId, options))
-            // 设置视窗宽高
-            await page.setViewport({
-                ...pageViewport,
-                width,
-                height
-            });
-            // 跳转到您希望渲染的页面，您可以考虑创建一个本地的Web服务器提供页面以提升加载速度和安全性
-            if (url)
-                await page.goto(url, pageWaitForOptions);
-            // 或者设置页面内容
-            else
-                await page.setContent(content, pageWaitForOptions);
-            // 存在透明通道时设置背景透明度
-            this.hasAlphaChannel && page.setBackgroundOpacity(this.backgroundOpacity);
-            // 存在预处理函数时先执行预处理
-            this.pagePrepareFn && await this.pagePrepareFn(page);
-            // 注册字体
-            if (this.fonts.length > 0)
-                page.registerFonts(this.fonts);
-            // 等待字体加载完成
-            await page.waitForFontsLoaded();
-            // 注册事件序列
-            if (this.timeActions && Object.keys(this.timeActions).length > 0)
-                page.registerTimeActions(this.timeActions);
+            // 准备页面
+            await this.#preparePage(page);
+            this.#checkAborted();
             // 注册终止回调
             this.#abortCallback = () => page.target.evaluate(() => captureCtx.abort()).catch(err => console.error(err));
             // 启动合成
@@ -238,6 +245,307 @@ export default class SingleVideo extends Synthesizer {
         }
     }
 
+    /**
+     * 可恢复的合成处理
+     * 
+     * 页面发生错误或崩溃时中断编码并提交已完成的分段，使用新的页面从最后的检查点继续捕获
+     */
+    async #synthesizeWithCheckpoints() {
+        // 合成完成promise
+        const completedPromise = new Promise(resolve => this.once("completed", resolve));
+        let retryCount = 0;
+        // 合成器是否已启动以及是否正在接收帧输入
+        let started = false, running = false;
+        while (true) {
+            const page = await this.#acquirePage();
+            try {
+                this.#checkAborted();
+                // 页面发生错误或崩溃时中断本次捕获
+                const failedPromise = new Promise((resolve, reject) => {
+                    page.once("error", reject);
+                    page.once("crashed", reject);
+                });
+                failedPromise.catch(() => {});
+                // 准备页面
+                await Promise.race([this.#preparePage(page), failedPromise]);
+                this.#checkAborted();
+                // 注册终止回调
+                this.#abortCallback = () => page.target.evaluate(() => captureCtx.abort()).catch(err => console.error(err));
+                // 首次启动合成，之后从检查点恢复
+                started ? this._resume() : super.start();
+                started = running = true;
+                // 监听已渲染的帧输入到合成器
+                page.on("frame", buffer => this.input(buffer));
+                // 从已提交的帧开始捕获剩余的帧
+                await page.startScreencast({
+                    fps: this.fps,
+                    startTime: this.#getFrameStartTime(this._committedFrameCount),
+                    duration: this.duration,
+                    frameCount: this._targetFrameCount - this._committedFrameCount,
+                    videoDecoderHardwareAcceleration: this.videoDecoderHardwareAcceleration,
+                    autostart: this.autostartRender
+                });
+                // 监听并等待录制完成
+                await Promise.race([new Promise(resolve => page.once("screencastCompleted", resolve)), failedPromise]);
+                // 停止录制
+                await page.stopScreencast();
+                // 释放页面资源
+                await page.release();
+                // 告知合成器结束输入
+                this.endInput();
+                break;
+            }
+            catch (err) {
+                // 停止接收失败页面的帧并关闭页面
+                page.removeAllListeners("frame");
+                this.#abortCallback = null;
+                page.close().catch(err => logger.error(err));
+                // 已终止或超过重试次数时不再恢复
+                if (this.#aborted || retryCount++ >= this.checkpointRetries) {
+                    running && super.abort();
+                    return this._emitError(err);
+                }
+                // 中断编码并等待已编码的分段提交
+                running && await this._suspend();
+                running = false;
+                logger.warn(`Render interrupted: ${err.message}, resume from frame ${this._committedFrameCount} (${retryCount}/${this.checkpointRetries})`);
+            }
+        }
+        // 等待合成完成
+        await completedPromise;
+    }
+
+    /**
+     * 并行合成处理
+     * 
+     * 将目标帧拆分为多个连续的分段，每个分段使用独立的页面从对应的时间点开始捕获并编码为分块，全部完成后无损拼接
+     */
+    async #synthesizeInParallel() {
+        this._startupTime = performance.now();
+        const { width, height, fps, videoEncoder, videoQuality, videoBitrate, pixelFormat, parallelWriteFrames, attachCoverPath } = this;
+        const segments = this.#splitSegments();
+        const chunks = segments.map(({ frameCount }, index) => new VideoChunk({
+            width,
+            height,
+            fps,
+            duration: frameCount / fps * 1000,
+            outputPath: path.join(this._segmentDirPath, `segment_${index}.ts`),
+            videoEncoder,
+            videoQuality,
+            videoBitrate,
+            pixelFormat,
+            parallelWriteFrames,
+            // 封面只附加到首个分段
+            attachCoverPath: index == 0 ? attachCoverPath : undefined
+        }));
+        chunks.forEach(chunk => chunk.on("progress", () => this.#emitSegmentsProgress(chunks)));
+        // 终止时通知所有已开始捕获的页面，之后开始捕获的页面将立即终止
+        const abortCallbacks = [];
+        let aborted = false;
+        this.#abortCallback = () => {
+            aborted = true;
+            abortCallbacks.forEach(fn => fn());
+        };
+        const onCaptureStart = fn => {
+            abortCallbacks.push(fn);
+            aborted && fn();
+        };
+        const results = await Promise.allSettled(chunks.map((chunk, index) => {
+            return this.#renderSegment(chunk, segments[index], onCaptureStart)
+                // 任一分段失败时终止其余分段
+                .catch(err => {
+                    this.#abortCallback();
+                    throw err;
+                });
+        }));
+        const failed = results.find(result => result.status == "rejected");
+        if (failed)
+            return this._emitError(failed.reason);
+        // 合成完成promise
+        const completedPromise = new Promise(resolve => this.once("completed", resolve));
+        // 拼接分段并合成音频
+        this._startWithSegments(chunks.map(chunk => ({ path: chunk.outputPath, frameCount: chunk.frameCount })));
+        // 等待合成完成
+        await completedPromise;
+    }
+
+    /**
+     * 渲染分段
+     * 
+     * @param {VideoChunk} chunk - 分段对应的视频分块
+     * @param {Object} segment - 分段
+     * @param {number} segment.startFrame - 分段起始帧
+     * @param {number} segment.frameCount - 分段帧数
+     * @param {Function} onCaptureStart - 开始捕获回调函数，用于注册终止回调
+     */
+    async #renderSegment(chunk, segment, onCaptureStart) {
+        const page = await this.#acquirePage();
+        // 分块合成完成promise
+        const completedPromise = new Promise(resolve => chunk.once("completed", resolve));
+        // 页面发生错误、崩溃或分块编码失败时中断本分段
+        const failedPromise = new Promise((resolve, reject) => {
+            page.once("error", reject);
+            page.once("crashed", reject);
+            chunk.once("error", reject);
+        });
+        failedPromise.catch(() => {});
+        try {
+            this.#checkAborted();
+            // 准备页面
+            await Promise.race([this.#preparePage(page), failedPromise]);
+            this.#checkAborted();
+            // 注册终止回调
+            onCaptureStart(() => page.target.evaluate(() => captureCtx.abort()).catch(err => console.error(err)));
+            // 启动分块合成
+            chunk.start();
+            // 监听已渲染的帧输入到分块
+            page.on("frame", buffer => chunk.input(buffer));
+            // 从分段起始帧开始捕获，时长仍使用完整时长以保持音频结束时间一致
+            await page.startScreencast({
+                fps: this.fps,
+                startTime: this.#getFrameStartTime(segment.startFrame),
+                duration: this.duration,
+                frameCount: segment.frameCount,
+                videoDecoderHardwareAcceleration: this.videoDecoderHardwareAcceleration,
+                autostart: this.autostartRender
+            });
+            // 监听并等待录制完成
+            await Promise.race([new Promise(resolve => page.once("screencastCompleted", resolve)), failedPromise]);
+            // 停止录制
+            await page.stopScreencast();
+        }
+        catch (err) {
+            // 停止接收失败页面的帧并关闭页面
+            page.removeAllListeners("frame");
+            page.close().catch(err => logger.error(err));
+            chunk.abort();
+            throw err;
+        }
+        // 释放页面资源
+        await page.release();
+        // 告知分块结束输入
+        chunk.endInput();
+        // 等待分块合成完成
+        await Promise.race([completedPromise, failedPromise]);
+    }
+
+    /**
+     * 拆分分段
+     * 
+     * 目标帧平均分配到各个分段，无法整除时前面的分段多分配一帧
+     * 
+     * @returns {{startFrame: number, frameCount: number}[]} - 分段列表
+     */
+    #splitSegments() {
+        const targetFrameCount = util.durationToFrameCount(this.duration, this.fps);
+        const count = Math.max(1, Math.min(this.parallelSegments, targetFrameCount));
+        const baseFrameCount = Math.floor(targetFrameCount / count);
+        const remainder = targetFrameCount % count;
+        const segments = [];
+        let startFrame = 0;
+        for (let i = 0; i < count; i++) {
+            const frameCount = baseFrameCount + (i < remainder ? 1 : 0);
+            segments.push({ startFrame, frameCount });
+            startFrame += frameCount;
+        }
+        return segments;
+    }
+
+    /**
+     * 发送分段渲染进度
+     * 
+     * @param {VideoChunk[]} chunks - 分段对应的视频分块列表
+     */
+    #emitSegmentsProgress(chunks) {
+        this._frameCount = _.sumBy(chunks, chunk => chunk.frameCount);
+        if (!this._targetFrameCount)
+            return this._emitProgress(0);
+        this._emitProgress(this._frameCount / this._targetFrameCount * (this.audioSynthesis ? 98 : 100));
+    }
+
+    /**
+     * 准备页面
+     * 
+     * @param {Page} page - 页面对象
+     */
+    async #preparePage(page) {
+        const { url, content, width, height, pageWaitForOptions, pageViewport = {} } = this;
+        if (this.consoleLog) {
+            // 监听页面打印到console的正常日志
+            page.on("consoleLog", message => logger.log("[page]", message));
+            // 监听页面打印到console的错误日志
+            page.on("consoleError", err => logger.error("[page]", err));
+        }
+        if (this.videoPreprocessLog)
+            page.on("videoPreprocess", config => logger.log("[video_preprocess]", config.url));
+        page.on("audioAdd", options => {
+            // 从检查点恢复或并行渲染分段时页面会重新添加已存在的音频
+            if (_.isFinite(options.id) && this.audios.find(audio => audio.id === options.id))
+                return;
+            this.addAudio(options);
+        });
+        page.on("audioUpdate", (audioId, options) => this.updateAudio(audioId, options))
+        page.setAudioAnalysisProvider((audioId, type) => this.analyzeAudio(audioId, type));
+        page.on("subtitleAdd", subtitle => {
+            // 从检查点恢复或并行渲染分段时页面会重新添加已存在的字幕
+            if (this.subtitles.find(({ startTime, endTime, text }) => startTime === subtitle.startTime && endTime === subtitle.endTime && text === subtitle.text))
+                return;
+            this.addSubtitle(subtitle);
+        });
+        // 设置视窗宽高
+        await page.setViewport({
+            ...pageViewport,
+            width,
+            height
+        });
+        // 跳转到您希望渲染的页面，您可以考虑创建一个本地的Web服务器提供页面以提升加载速度和安全性
+        if (url)
+            await page.goto(url, pageWaitForOptions);
+        // 或者设置页面内容
+        else
+            await page.setContent(content, pageWaitForOptions);
+        // 存在透明通道时设置背景透明度
+        this.hasAlphaChannel && page.setBackgroundOpacity(this.backgroundOpacity);
+        // 部分格式需要捕获指定格式的帧图
+        this.captureFrameFormat && page.setCaptureFrameFormat(this.captureFrameFormat);
+        // 直播推流按实时速度捕获
+        this.isLiveStreaming() && page.setFrameRateLimit(this.fps);
+        // 存在预处理函数时先执行预处理
+        this.pagePrepareFn && await this.pagePrepareFn(page);
+        // 注册字体
+        if (this.fonts.length > 0)
+            page.registerFonts(this.fonts);
+        // 等待字体加载完成
+        await page.waitForFontsLoaded();
+        // 注册事件序列
+        if (this.timeActions && Object.keys(this.timeActions).length > 0)
+            page.registerTimeActions(this.timeActions);
+    }
+
+    /**
+     * 获取从指定帧开始捕获的开始时间点
+     * 
+     * @param {number} frameIndex - 帧索引（相对于startTime）
+     * @returns {number} - 捕获开始时间点（毫秒）
+     */
+    #getFrameStartTime(frameIndex) {
+        const frameInterval = 1000 / this.fps;
+        // 捕获上下文在推进时间后判断是否到达开始时间点，由此计算首帧对应的时间推进次数
+        const firstFrameStep = Math.max(1, Math.ceil((this.startTime || 0) / frameInterval - 1e-6));
+        // 取两次推进的中间时间点避免浮点误差导致丢帧或重复帧
+        return (firstFrameStep + frameIndex - 0.5) * frameInterval;
+    }
+
+    /**
+     * 检查是否已终止
+     * 
+     * 获取和准备页面期间页面尚未开始捕获，无法通知页面终止，需在开始捕获前检查
+     */
+    #checkAborted() {
+        if (this.#aborted)
+            throw new Error("Render aborted");
+    }
+
     /**
      * 注册页面获取函数
      * 
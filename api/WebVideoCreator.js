@@ -8,6 +8,7 @@ import ResourcePool from "../core/ResourcePool.js";
 import SingleVideo from "./SingleVideo.js";
 import ChunkVideo from "./ChunkVideo.js";
 import MultiVideo from "./MultiVideo.js";
+import Project from "../entity/Project.js";
 import logger from "../lib/logger.js";
 import cleaner from "../lib/cleaner.js";
 
@@ -83,13 +84,16 @@ export default class WebVideoCreator {
      * @param {Object} options - 单幕视频选项
      * @param {string} [options.url] - 页面URL
      * @param {string} [options.content] - 页面内容
-     * @param {string} options.outputPath - 输出路径
+     * @param {string} options.outputPath - 输出路径，设置liveOutput时可不提供
      * @param {number} options.width - 视频宽度
      * @param {number} options.height - 视频高度
      * @param {number} options.duration - 视频时长
      * @param {number} [options.startTime=0] - 开始捕获时间点
      * @param {number} [options.fps=30] - 视频帧率
-     * @param {string} [options.format] - 导出视频格式（mp4/webm）
+     * @param {string} [options.format] - 导出视频格式（mp4/webm/mov/gif/webp/png-sequence/jpeg-sequence）
+     * @param {string} [options.frameNamePattern] - 图像序列帧文件名模式，%d或%0Nd将被替换为从0开始的帧序号
+     * @param {number} [options.loopCount=0] - 动图播放次数，0为无限循环，仅gif和webp格式支持
+     * @param {number} [options.maxColors=256] - GIF调色板最大颜色数（4-256）
      * @param {string} [options.attachCoverPath] - 附加到视频首帧的封面路径
      * @param {string} [options.coverCapture=false] - 是否捕获封面并输出
      * @param {number} [options.coverCaptureTime] - 封面捕获时间点（毫秒）
@@ -101,9 +105,11 @@ export default class WebVideoCreator {
      * @param {string} [options.audioEncoder="aac"] - 音频编码器
      * @param {string} [options.audioBitrate] - 音频码率
      * @param {number} [options.volume] - 视频音量（0-100）
+     * @param {number|Object} [options.audioLoudness] - 响度标准化选项，数字时为目标综合响度（LUFS）
+     * @param {Object} [options.subtitle] - 字幕选项，包含字幕文件路径path、字幕列表cues、字幕模式mode（soft/burn）、软字幕语言language、硬字幕样式style、外挂字幕格式sidecar（srt/vtt）及是否嵌入embed
      * @param {number} [options.parallelWriteFrames=10] - 并行写入帧数
      * @param {boolean} [options.showProgress=false] - 是否在命令行展示进度
-     * @param {boolean} [options.backgroundOpacity=1] - 背景不透明度（0-1），仅webm格式支持
+     * @param {boolean} [options.backgroundOpacity=1] - 背景不透明度（0-1），仅webm、mov、gif、webp及png-sequence格式支持
      * @param {boolean} [options.autostartRender=true] - 是否自动启动渲染，如果为false请务必在页面中执行 captureCtx.start()
      * @param {boolean} [options.consoleLog=false] - 是否开启控制台日志输出
      * @param {boolean} [options.videoPreprocessLog=false] - 是否开启视频预处理日志输出
@@ -112,6 +118,11 @@ export default class WebVideoCreator {
      * @param {Viewport} [options.pageViewport] - 页面视窗参数
      * @param {Function} [options.pagePrepareFn] - 页面预处理函数
      * @param {{[key: number]: Function}} [options.timeActions] - 动作序列
+     * @param {number} [options.checkpointInterval] - 检查点间隔时间（毫秒），设置后页面崩溃或捕获超时将从最后的检查点恢复渲染
+     * @param {number} [options.checkpointRetries=3] - 从检查点恢复的最大重试次数
+     * @param {number} [options.parallelSegments=1] - 并行渲染的分段数量，大于1时将时间范围拆分为多个分段并使用多个页面同时渲染
+     * @param {Object} [options.packaging] - 流媒体打包选项，设置后将在合成完成后输出HLS和/或DASH，仅mp4格式支持
+     * @param {string} [options.liveOutput] - 直播推流地址（rtmp/rtmps/srt/udp/tcp/file协议），设置后将按实时速度渲染并推流，不输出文件
      */
     createSingleVideo(options) {
         assert(this.#configured, "WebVideoCreator has not been configured yet, please execute config() first");
@@ -143,9 +154,12 @@ export default class WebVideoCreator {
      * @param {string} [options.audioEncoder="aac"] - 音频编码器
      * @param {string} [options.audioBitrate] - 音频码率
      * @param {number} [options.volume] - 视频音量（0-100）
+     * @param {number|Object} [options.audioLoudness] - 响度标准化选项，数字时为目标综合响度（LUFS）
+     * @param {Object} [options.subtitle] - 字幕选项，包含字幕文件路径path、字幕列表cues、字幕模式mode（soft/burn）、软字幕语言language、硬字幕样式style、外挂字幕格式sidecar（srt/vtt）及是否嵌入embed
      * @param {number} [options.parallelWriteFrames=10] - 并行写入帧数
      * @param {boolean} [options.showProgress=false] - 是否在命令行展示进度
      * @param {Function} [options.pagePrepareFn] - 页面预处理函数
+     * @param {Object} [options.packaging] - 流媒体打包选项，设置后将在合成完成后输出HLS和/或DASH，仅mp4格式支持
      */
     createMultiVideo(options) {
         assert(this.#configured, "WebVideoCreator has not been configured yet, please execute config() first");
@@ -180,6 +194,7 @@ export default class WebVideoCreator {
      * @param {string} [options.audioEncoder="aac"] - 音频编码器
      * @param {string} [options.audioBitrate] - 音频码率
      * @param {number} [options.volume] - 视频音量（0-100）
+     * @param {Object} [options.subtitle] - 字幕选项，包含字幕文件路径path（srt/vtt）和字幕列表cues，字幕时间相对于分块起点
      * @param {number} [options.parallelWriteFrames=10] - 并行写入帧数
      * @param {boolean} [options.showProgress=false] - 是否在命令行展示进度
      * @param {boolean} [options.backgroundOpacity=1] - 背景不透明度（0-1），仅webm格式支持
@@ -200,6 +215,43 @@ export default class WebVideoCreator {
         return chunkVideo;
     }
 
+    /**
+     * 从项目文档创建视频
+     * 
+     * 文档格式请参考 docs/project.md，包含chunks时创建多幕视频，否则创建单幕视频
+     * 
+     * @param {Project|Object|string} spec - 项目对象、项目文档或项目文件路径（.json/.yaml/.yml）
+     * @returns {SingleVideo|MultiVideo} - 单幕视频或多幕视频对象
+     */
+    createFromProject(spec) {
+        assert(this.#configured, "WebVideoCreator has not been configured yet, please execute config() first");
+        let project;
+        if (spec instanceof Project)
+            project = spec;
+        else if (_.isString(spec))
+            project = Project.load(spec);
+        else
+            project = new Project(spec);
+        if (!project.isMulti()) {
+            const singleVideo = this.createSingleVideo(project.options);
+            singleVideo.registerFonts(project.fonts);
+            singleVideo.addAudios(project.audios);
+            return singleVideo;
+        }
+        const { width, height, fps } = project.options;
+        const multiVideo = this.createMultiVideo(project.options);
+        project.chunks.forEach(({ fonts, audios, ...options }) => {
+            // 分块视频继承多幕视频的尺寸和帧率
+            const chunkVideo = this.createChunkVideo({ width, height, fps, ...options });
+            chunkVideo.registerFonts(fonts);
+            chunkVideo.addAudios(audios);
+            multiVideo.input(chunkVideo);
+        });
+        multiVideo.registerFonts(project.fonts);
+        multiVideo.addAudios(project.audios);
+        return multiVideo;
+    }
+
     /** 清理浏览器缓存 */
     cleanBrowserCache = cleaner.cleanBrowserCache.bind(cleaner);
 
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+import path from "path";
+import { parseArgs } from "util";
+import fs from "fs-extra";
+import _ from "lodash";
+
+import WebVideoCreator, { logger, util } from "../index.js";
+import Project from "../entity/Project.js";
+import globalConfig from "../lib/global-config.js";
+
+/** 退出码 */
+const EXIT_CODE = {
+    /** 渲染成功 */
+    SUCCESS: 0,
+    /** 渲染失败 */
+    RENDER_FAILED: 1,
+    /** 参数错误 */
+    INVALID_ARGUMENT: 2
+};
+
+/** 项目文件扩展名 */
+const PROJECT_EXTNAMES = ["json", "yaml", "yml"];
+
+/**
+ * 视频参数选项
+ * 
+ * 键为命令行参数名，key为对应的视频选项名
+ */
+const VIDEO_OPTIONS = {
+    "output": { key: "outputPath", type: "string", short: "o", description: "output path" },
+    "live-output": { key: "liveOutput", type: "string", description: "live streaming URL (rtmp/rtmps/srt/udp/tcp/file), render at real-time pace instead of output file" },
+    "width": { key: "width", type: "number", short: "W", description: "video width" },
+    "height": { key: "height", type: "number", short: "H", description: "video height" },
+    "duration": { key: "duration", type: "number", short: "d", description: "video duration (ms)" },
+    "start-time": { key: "startTime", type: "number", description: "start capture time point (ms)" },
+    "fps": { key: "fps", type: "number", short: "r", description: "video frame rate" },
+    "format": { key: "format", type: "string", short: "f", description: "output format (mp4/webm/mov/gif/webp/png-sequence/jpeg-sequence)" },
+    "loop-count": { key: "loopCount", type: "number", description: "play count of gif/webp, 0 means infinite loop" },
+    "max-colors": { key: "maxColors", type: "number", description: "max colors of gif palette (4-256)" },
+    "frame-name-pattern": { key: "frameNamePattern", type: "string", description: "frame file name pattern of image sequence, %d or %0Nd is replaced by frame number" },
+    "video-encoder": { key: "videoEncoder", type: "string", description: "video encoder" },
+    "video-quality": { key: "videoQuality", type: "number", short: "q", description: "video quality (0-100)" },
+    "video-bitrate": { key: "videoBitrate", type: "string", description: "video bitrate, videoQuality will be ignored" },
+    "pixel-format": { key: "pixelFormat", type: "string", description: "pixel format (yuv420p/yuv444p/rgb24)" },
+    "audio-encoder": { key: "audioEncoder", type: "string", description: "audio encoder" },
+    "audio-bitrate": { key: "audioBitrate", type: "string", description: "audio bitrate" },
+    "volume": { key: "volume", type: "number", description: "video volume (0-100)" },
+    "audio-loudness": { key: "audioLoudness", type: "number", description: "target integrated loudness (LUFS) of two-pass loudness normalization, e.g. -14 for streaming or -23 for EBU R128" },
+    "background-opacity": { key: "backgroundOpacity", type: "number", description: "background opacity (0-1), only webm/mov/gif/webp/png-sequence formats supported" },
+    "attach-cover-path": { key: "attachCoverPath", type: "string", description: "cover path attached to the first frame" },
+    "cover-capture": { key: "coverCapture", type: "boolean", description: "capture cover and output" },
+    "cover-capture-time": { key: "coverCaptureTime", type: "number", description: "cover capture time point (ms)" },
+    "cover-capture-format": { key: "coverCaptureFormat", type: "string", description: "cover capture format (jpg/png/bmp)" },
+    "checkpoint-interval": { key: "checkpointInterval", type: "number", description: "checkpoint interval (ms), resume rendering from the last checkpoint after interruption" },
+    "parallel-segments": { key: "parallelSegments", type: "number", description: "number of segments rendered in parallel on separate pages" },
+    "console-log": { key: "consoleLog", type: "boolean", description: "output page console logs" },
+    "video-preprocess-log": { key: "videoPreprocessLog", type: "boolean", description: "output video preprocess logs" }
+};
+
+/**
+ * 全局配置选项
+ * 
+ * 根据全局配置的默认值推导参数类型，布尔类型支持--no-前缀关闭
+ */
+const CONFIG_OPTIONS = Object.keys(globalConfig).reduce((options, key) => {
+    const name = key.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase();
+    // 与视频参数同名时优先作为视频参数
+    if (VIDEO_OPTIONS[name])
+        return options;
+    const value = globalConfig[key];
+    const type = _.isBoolean(value) ? "boolean" : (_.isFinite(value) ? "number" : "string");
+    options[name] = { key, type, description: `globalConfig.${key}, default is ${value}` };
+    return options;
+}, {});
+
+/**
+ * 转换为parseArgs参数定义
+ * 
+ * @param {Object} options - 选项定义
+ * @returns {Object} - parseArgs参数定义
+ */
+function toParseArgsOptions(options) {
+    return Object.entries(options).reduce((result, [name, { type, short }]) => {
+        result[name] = { type: type == "boolean" ? "boolean" : "string" };
+        short && (result[name].short = short);
+        if (type == "boolean")
+            result[`no-${name}`] = { type: "boolean" };
+        return result;
+    }, {});
+}
+
+/**
+ * 根据选项定义提取参数值
+ * 
+ * @param {Object} values - 解析后的参数值
+ * @param {Object} options - 选项定义
+ * @returns {Object} - 选项对象
+ */
+function pickValues(values, options) {
+    return Object.entries(options).reduce((result, [name, { key, type }]) => {
+        if (type == "boolean" && values[`no-${name}`])
+            result[key] = false;
+        else if (!_.isUndefined(values[name])) {
+            const value = type == "number" ? Number(values[name]) : values[name];
+            if (type == "number" && !_.isFinite(value))
+                throw new Error(`--${name} must be number`);
+            result[key] = value;
+        }
+        return result;
+    }, {});
+}
+
+/**
+ * 生成帮助信息
+ * 
+ * @returns {string} - 帮助信息
+ */
+function usage() {
+    const format = options => Object.entries(options).map(([name, { type, short, description }]) => {
+        const flag = `${short ? `-${short}, ` : "    "}--${type == "boolean" ? `[no-]${name}` : `${name} <${type}>`}`;
+        return `  ${flag.padEnd(44)}${description}`;
+    }).join("\n");
+    return [
+        "Usage: wvc <url|html file|project file> [options]",
+        "",
+        "Render a URL or local HTML file as a single video, or a project file (.json/.yaml/.yml) as described in docs/project.md.",
+        "Options given on the command line override the same fields in the project file.",
+        "",
+        "Video options:",
+        format(VIDEO_OPTIONS),
+        "",
+        "Global config options:",
+        format(CONFIG_OPTIONS),
+        "",
+        "Other options:",
+        "  -h, --help".padEnd(46) + "show help",
+        "      --no-progress".padEnd(46) + "do not show progress bar"
+    ].join("\n");
+}
+
+/**
+ * 创建视频
+ * 
+ * @param {WebVideoCreator} wvc - WebVideoCreator实例
+ * @param {string} input - 输入URL或文件路径
+ * @param {Object} videoOptions - 视频选项
+ * @returns {SingleVideo|MultiVideo} - 视频对象
+ */
+function createVideo(wvc, input, videoOptions) {
+    if (util.isURL(input))
+        return wvc.createFromProject(new Project({ url: input, ...videoOptions }));
+    if (!fs.pathExistsSync(input))
+        throw new Error(`Input file ${input} not exists`);
+    const extname = util.getPathExtname(input);
+    // 项目文件，命令行参数覆盖文档中的同名字段
+    if (PROJECT_EXTNAMES.includes(extname)) {
+        const spec = Project.parse(fs.readFileSync(input, "utf-8"), extname);
+        // 命令行提供的输出路径基于当前工作目录解析
+        videoOptions.outputPath && (videoOptions.outputPath = path.resolve(videoOptions.outputPath));
+        return wvc.createFromProject(new Project({ ...spec, ...videoOptions }, path.dirname(path.resolve(input))));
+    }
+    // 本地HTML文件作为页面内容，页面引用的相对路径资源需要通过Web服务访问
+    return wvc.createFromProject(new Project({ content: fs.readFileSync(input, "utf-8"), ...videoOptions }));
+}
+
+/**
+ * 命令行入口
+ * 
+ * @returns {number} - 退出码
+ */
+async function main() {
+    let values, positionals;
+    try {
+        ({ values, positionals } = parseArgs({
+            options: {
+                ...toParseArgsOptions(VIDEO_OPTIONS),
+                ...toParseArgsOptions(CONFIG_OPTIONS),
+                "help": { type: "boolean", short: "h" },
+                "no-progress": { type: "boolean" }
+            },
+            allowPositionals: true
+        }));
+    }
+    catch (err) {
+        logger.error(err.message);
+        console.log(usage());
+        return EXIT_CODE.INVALID_ARGUMENT;
+    }
+    if (values.help) {
+        console.log(usage());
+        return EXIT_CODE.SUCCESS;
+    }
+    if (positionals.length != 1) {
+        logger.error("Please provide one url, html file or project file");
+        console.log(usage());
+        return EXIT_CODE.INVALID_ARGUMENT;
+    }
+    const wvc = new WebVideoCreator();
+    let video;
+    try {
+        const videoOptions = pickValues(values, VIDEO_OPTIONS);
+        videoOptions.showProgress = !values["no-progress"];
+        wvc.config(pickValues(values, CONFIG_OPTIONS));
+        video = createVideo(wvc, positionals[0], videoOptions);
+    }
+    catch (err) {
+        logger.error(err.message);
+        return EXIT_CODE.INVALID_ARGUMENT;
+    }
+    try {
+        // 单幕视频的渲染错误通过error事件抛出，需要同时监听完成和错误事件
+        const result = await new Promise((resolve, reject) => {
+            video.once("completed", resolve);
+            video.once("error", reject);
+            video.start();
+        });
+        logger.success(`Render Completed!!!\nvideo duration: ${Math.floor(result.duration / 1000)}s\ntakes: ${Math.floor(result.takes / 1000)}s\nRTF: ${result.rtf}\noutput: ${result.liveOutput || result.outputPath}`);
+        return EXIT_CODE.SUCCESS;
+    }
+    catch (err) {
+        logger.error(err);
+        return EXIT_CODE.RENDER_FAILED;
+    }
+}
+
+// 资源池中的浏览器会保持进程存活，完成后需主动退出
+main()
+    .then(code => process.exit(code))
+    .catch(err => {
+        logger.error(err);
+        process.exit(EXIT_CODE.RENDER_FAILED);
+    });
\ No newline at end of file
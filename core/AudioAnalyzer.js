@@ -0,0 +1,427 @@
+import assert from "assert";
+import ffmpeg from "fluent-ffmpeg";
+import _ from "lodash";
+
+import Audio from "../entity/Audio.js";
+import util from "../lib/util.js";
+
+/**
+ * 音频分析器
+ * 
+ * 浏览器静音且时间被虚拟化，页面无法使用Web Audio分析音频，分析器在Node端将音频解码为PCM，
+ * 按视频帧率逐帧计算均方根、峰值及对数分布的频段能量，使页面中的可视化元素可以确定性地渲染
+ */
+export default class AudioAnalyzer {
+
+    /** 采样率 */
+    static SAMPLE_RATE = 44100;
+    /** FFT窗口大小 */
+    static FFT_SIZE = 2048;
+    /** 频段最低频率（Hz） */
+    static MIN_FREQUENCY = 40;
+    /** 频段最高频率（Hz） */
+    static MAX_FREQUENCY = 16000;
+    /** 频段能量归一化的最小分贝值，与AnalyserNode的默认值一致 */
+    static MIN_DECIBELS = -100;
+    /** 频段能量归一化的最大分贝值，与AnalyserNode的默认值一致 */
+    static MAX_DECIBELS = -30;
+    /** 节拍检测的帧移（采样数） */
+    static HOP_SIZE = 512;
+    /** 节拍检测的最低速度（BPM） */
+    static MIN_BPM = 60;
+    /** 节拍检测的最高速度（BPM） */
+    static MAX_BPM = 200;
+
+    /** @type {number} - 视频帧率 */
+    fps;
+    /** @type {number} - 频段数量 */
+    bandCount;
+
+    /**
+     * 构造函数
+     * 
+     * @param {Object} options - 音频分析器选项
+     * @param {number} options.fps - 视频帧率
+     * @param {number} [options.bandCount=32] - 频段数量
+     */
+    constructor(options) {
+        assert(_.isObject(options), "AudioAnalyzer options must be Object");
+        const { fps, bandCount } = options;
+        assert(_.isFinite(fps) && fps > 0, "fps must be number and greater than 0");
+        assert(_.isUndefined(bandCount) || (_.isInteger(bandCount) && bandCount > 0 && bandCount <= 128), "bandCount must be integer between 1 and 128");
+        this.fps = fps;
+        this.bandCount = _.defaultTo(bandCount, 32);
+    }
+
+    /**
+     * 分析音频
+     * 
+     * 分析结果从音频裁剪开始时间点起按帧排列，均方根和峰值为0-1的线性幅度，频段能量为0-1的归一化分贝值
+     * 
+     * @param {Audio} audio - 音频对象
+     * @returns {Object} - 分析结果，包含帧率fps、帧数frameCount、均方根列表rms、峰值列表peak及频段能量列表bands
+     */
+    async analyze(audio) {
+        assert(audio instanceof Audio, "audio must be Audio");
+        await audio.load();
+        return this.analyzeSamples(await AudioAnalyzer.#decode(audio));
+    }
+
+    /**
+     * 分析PCM采样
+     * 
+     * @param {Float32Array} samples - 单声道32位浮点采样
+     * @returns {Object} - 分析结果
+     */
+    analyzeSamples(samples) {
+        const { SAMPLE_RATE, FFT_SIZE, MIN_DECIBELS, MAX_DECIBELS } = AudioAnalyzer;
+        const frameCount = Math.ceil(samples.length * this.fps / SAMPLE_RATE);
+        const window = AudioAnalyzer.#createHannWindow(FFT_SIZE);
+        const bandBins = this.#createBandBins();
+        const real = new Float32Array(FFT_SIZE);
+        const imag = new Float32Array(FFT_SIZE);
+        const round = value => Math.round(value * 10000) / 10000;
+        const rms = [], peak = [], bands = [];
+        for (let i = 0; i < frameCount; i++) {
+            // 按帧序号计算采样范围，避免累积误差导致与画面不同步
+            const startSample = Math.round(i * SAMPLE_RATE / this.fps);
+            const endSample = Math.min(Math.round((i + 1) * SAMPLE_RATE / this.fps), samples.length);
+            let sum = 0, max = 0;
+            for (let j = startSample; j < endSample; j++) {
+                sum += samples[j] * samples[j];
+                max = Math.max(max, Math.abs(samples[j]));
+            }
+            rms.push(round(Math.sqrt(sum / Math.max(1, endSample - startSample))));
+            peak.push(round(Math.min(1, max)));
+            // 以帧起点开始的窗口计算频谱，音频末尾不足的部分补零
+            for (let j = 0; j < FFT_SIZE; j++) {
+                real[j] = (samples[startSample + j] || 0) * window[j];
+                imag[j] = 0;
+            }
+            AudioAnalyzer.#fft(real, imag);
+            bands.push(bandBins.map(([startBin, endBin]) => {
+                let magnitude = 0;
+                for (let k = startBin; k < endBin; k++)
+                    magnitude = Math.max(magnitude, Math.hypot(real[k], imag[k]) / FFT_SIZE);
+                const decibels = 20 * Math.log10(magnitude || Number.MIN_VALUE);
+                return round(_.clamp((decibels - MIN_DECIBELS) / (MAX_DECIBELS - MIN_DECIBELS), 0, 1));
+            }));
+        }
+        return {
+            fps: this.fps,
+            frameCount,
+            bandCount: this.bandCount,
+            rms,
+            peak,
+            bands
+        };
+    }
+
+    /**
+     * 检测音频的节拍和起音
+     * 
+     * 检测结果的时间点从音频裁剪开始时间点起计算
+     * 
+     * @param {Audio} audio - 音频对象
+     * @returns {Object} - 检测结果，包含速度bpm、节拍时间点列表beats、起音时间点列表onsets及音频时长duration（毫秒）
+     */
+    static async detectBeats(audio) {
+        assert(audio instanceof Audio, "audio must be Audio");
+        await audio.load();
+        return AudioAnalyzer.detectBeatsFromSamples(await AudioAnalyzer.#decode(audio));
+    }
+
+    /**
+     * 从PCM采样检测节拍和起音
+     * 
+     * 使用频谱通量作为起音强度，通过自相关估计速度，再使用动态规划追踪与速度最一致的节拍序列
+     * 
+     * @param {Float32Array} samples - 单声道32位浮点采样
+     * @returns {Object} - 检测结果
+     */
+    static detectBeatsFromSamples(samples) {
+        const { SAMPLE_RATE, HOP_SIZE } = AudioAnalyzer;
+        const hopTime = HOP_SIZE / SAMPLE_RATE * 1000;
+        const duration = samples.length / SAMPLE_RATE * 1000;
+        const envelope = AudioAnalyzer.#computeOnsetEnvelope(samples);
+        // 静音或过短的音频无法检测
+        if (envelope.length < 2 || _.max(envelope) <= 0)
+            return { bpm: 0, beats: [], onsets: [], duration };
+        const onsets = AudioAnalyzer.#pickOnsets(envelope);
+        const period = AudioAnalyzer.#estimatePeriod(envelope);
+        const beats = period ? AudioAnalyzer.#trackBeats(envelope, period) : [];
+        return {
+            bpm: period ? Math.round(60000 / (period * hopTime) * 100) / 100 : 0,
+            beats: beats.map(index => Math.round(index * hopTime)),
+            onsets: onsets.map(index => Math.round(index * hopTime)),
+            duration
+        };
+    }
+
+    /**
+     * 计算起音强度包络
+     * 
+     * @param {Float32Array} samples - 单声道32位浮点采样
+     * @returns {Float32Array} - 归一化到0-1的起音强度包络
+     */
+    static #computeOnsetEnvelope(samples) {
+        const { FFT_SIZE, HOP_SIZE } = AudioAnalyzer;
+        const frameCount = Math.max(0, Math.ceil(samples.length / HOP_SIZE));
+        const window = AudioAnalyzer.#createHannWindow(FFT_SIZE);
+        const real = new Float32Array(FFT_SIZE);
+        const imag = new Float32Array(FFT_SIZE);
+        const binCount = FFT_SIZE / 2;
+        let previous = null;
+        const flux = new Float32Array(frameCount);
+        for (let i = 0; i < frameCount; i++) {
+            // 窗口以帧移位置为中心
+            const offset = i * HOP_SIZE - FFT_SIZE / 2;
+            for (let j = 0; j < FFT_SIZE; j++) {
+                real[j] = (samples[offset + j] || 0) * window[j];
+                imag[j] = 0;
+            }
+            AudioAnalyzer.#fft(real, imag);
+            // 对数压缩幅度谱，降低响度差异的影响
+            const spectrum = new Float32Array(binCount);
+            for (let k = 0; k < binCount; k++)
+                spectrum[k] = Math.log1p(1000 * Math.hypot(real[k], imag[k]) / FFT_SIZE);
+            if (previous) {
+                let sum = 0;
+                for (let k = 0; k < binCount; k++)
+                    sum += Math.max(0, spectrum[k] - previous[k]);
+                flux[i] = sum;
+            }
+            previous = spectrum;
+        }
+        // 减去局部均值去除缓慢变化的成分
+        const radius = 8;
+        const envelope = flux.map((value, index) => {
+            const start = Math.max(0, index - radius), end = Math.min(flux.length, index + radius + 1);
+            let sum = 0;
+            for (let i = start; i < end; i++)
+                sum += flux[i];
+            return Math.max(0, value - sum / (end - start));
+        });
+        const max = _.max(envelope) || 1;
+        return envelope.map(value => value / max);
+    }
+
+    /**
+     * 从起音强度包络中拾取起音
+     * 
+     * @param {Float32Array} envelope - 起音强度包络
+     * @returns {number[]} - 起音所在帧序号列表
+     */
+    static #pickOnsets(envelope) {
+        const { SAMPLE_RATE, HOP_SIZE } = AudioAnalyzer;
+        // 峰值需高于前后约100毫秒均值的差值
+        const delta = 0.07;
+        const averageRadius = Math.round(0.1 * SAMPLE_RATE / HOP_SIZE);
+        const maxRadius = Math.round(0.03 * SAMPLE_RATE / HOP_SIZE);
+        // 两次起音的最小间隔帧数
+        const wait = maxRadius;
+        const onsets = [];
+        for (let i = 0; i < envelope.length; i++) {
+            const value = envelope[i];
+            if (value <= 0 || (onsets.length > 0 && i - _.last(onsets) <= wait))
+                continue;
+            let isMax = true, sum = 0, count = 0;
+            for (let j = Math.max(0, i - averageRadius); j <= Math.min(envelope.length - 1, i + averageRadius); j++) {
+                if (Math.abs(j - i) <= maxRadius && envelope[j] > value)
+                    isMax = false;
+                sum += envelope[j];
+                count++;
+            }
+            isMax && value >= sum / count + delta && onsets.push(i);
+        }
+        return onsets;
+    }
+
+    /**
+     * 估计节拍周期
+     * 
+     * 起音强度包络的自相关在节拍周期处最强，使用以120BPM为中心的对数高斯权重减少倍频误判
+     * 
+     * @param {Float32Array} envelope - 起音强度包络
+     * @returns {number} - 节拍周期（帧数），无法估计时返回0
+     */
+    static #estimatePeriod(envelope) {
+        const { SAMPLE_RATE, HOP_SIZE, MIN_BPM, MAX_BPM } = AudioAnalyzer;
+        const framesPerMinute = 60 * SAMPLE_RATE / HOP_SIZE;
+        const minLag = Math.floor(framesPerMinute / MAX_BPM);
+        const maxLag = Math.min(Math.ceil(framesPerMinute / MIN_BPM), envelope.length - 1);
+        const centerLag = framesPerMinute / 120;
+        const correlations = [];
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            let sum = 0;
+            for (let i = lag; i < envelope.length; i++)
+                sum += envelope[i] * envelope[i - lag];
+            correlations[lag] = sum / (envelope.length - lag) * Math.exp(-0.5 * Math.pow(Math.log2(lag / centerLag), 2));
+        }
+        let bestLag = 0;
+        for (let lag = minLag; lag <= maxLag; lag++)
+            (!bestLag || correlations[lag] > correlations[bestLag]) && (bestLag = lag);
+        if (!bestLag || !correlations[bestLag])
+            return 0;
+        // 抛物线插值得到非整数周期
+        const previous = correlations[bestLag - 1], next = correlations[bestLag + 1];
+        if (!_.isFinite(previous) || !_.isFinite(next))
+            return bestLag;
+        const denominator = previous - 2 * correlations[bestLag] + next;
+        return denominator ? bestLag + 0.5 * (previous - next) / denominator : bestLag;
+    }
+
+    /**
+     * 追踪节拍
+     * 
+     * 动态规划使节拍落在起音强度高的位置，同时相邻节拍的间隔接近节拍周期
+     * 
+     * @param {Float32Array} envelope - 起音强度包络
+     * @param {number} period - 节拍周期（帧数）
+     * @returns {number[]} - 节拍所在帧序号列表
+     */
+    static #trackBeats(envelope, period) {
+        // 间隔偏离周期的惩罚系数
+        const tightness = 100;
+        const scores = new Float32Array(envelope.length);
+        const backlinks = new Int32Array(envelope.length).fill(-1);
+        for (let i = 0; i < envelope.length; i++) {
+            let best = -Infinity, bestIndex = -1;
+            for (let j = Math.max(0, i - Math.round(2 * period)); j <= i - Math.round(period / 2); j++) {
+                const score = scores[j] - tightness * Math.pow(Math.log((i - j) / period), 2);
+                score > best && (best = score, bestIndex = j);
+            }
+            scores[i] = envelope[i] + Math.max(0, best);
+            backlinks[i] = best > 0 ? bestIndex : -1;
+        }
+        // 从最后一个周期内得分最高的位置回溯
+        let index = -1;
+        for (let i = Math.max(0, envelope.length - Math.round(period)); i < envelope.length; i++)
+            (index == -1 || scores[i] > scores[index]) && (index = i);
+        const beats = [];
+        for (; index >= 0; index = backlinks[index])
+            beats.unshift(index);
+        // 去除首尾起音强度过弱的节拍，它们通常位于静音段
+        const threshold = 0.5 * Math.sqrt(_.meanBy(beats, index => envelope[index] * envelope[index]));
+        while (beats.length > 0 && envelope[beats[0]] < threshold)
+            beats.shift();
+        while (beats.length > 0 && envelope[_.last(beats)] < threshold)
+            beats.pop();
+        return beats;
+    }
+
+    /**
+     * 创建对数分布的频段对应的FFT频点范围
+     * 
+     * @returns {number[][]} - 频段的起止频点列表
+     */
+    #createBandBins() {
+        const { SAMPLE_RATE, FFT_SIZE, MIN_FREQUENCY, MAX_FREQUENCY } = AudioAnalyzer;
+        const binFrequency = SAMPLE_RATE / FFT_SIZE;
+        const ratio = MAX_FREQUENCY / MIN_FREQUENCY;
+        const bins = [];
+        let previousEndBin = Math.floor(MIN_FREQUENCY / binFrequency);
+        for (let i = 0; i < this.bandCount; i++) {
+            const endFrequency = MIN_FREQUENCY * Math.pow(ratio, (i + 1) / this.bandCount);
+            // 低频段窄于一个频点时至少包含一个频点
+            const startBin = Math.min(previousEndBin, FFT_SIZE / 2 - 1);
+            const endBin = Math.min(Math.max(startBin + 1, Math.round(endFrequency / binFrequency)), FFT_SIZE / 2);
+            bins.push([startBin, endBin]);
+            previousEndBin = endBin;
+        }
+        return bins;
+    }
+
+    /**
+     * 创建汉宁窗
+     * 
+     * @param {number} size - 窗口大小
+     * @returns {Float32Array} - 窗函数系数
+     */
+    static #createHannWindow(size) {
+        const window = new Float32Array(size);
+        for (let i = 0; i < size; i++)
+            window[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (size - 1)));
+        return window;
+    }
+
+    /**
+     * 原地计算基2快速傅里叶变换
+     * 
+     * @param {Float32Array} real - 实部
+     * @param {Float32Array} imag - 虚部
+     */
+    static #fft(real, imag) {
+        const size = real.length;
+        // 位反转重排
+        for (let i = 1, j = 0; i < size; i++) {
+            let bit = size >> 1;
+            for (; j & bit; bit >>= 1)
+                j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+        for (let length = 2; length <= size; length <<= 1) {
+            const angle = -2 * Math.PI / length;
+            const wReal = Math.cos(angle);
+            const wImag = Math.sin(angle);
+            for (let i = 0; i < size; i += length) {
+                let real1 = 1, imag1 = 0;
+                for (let j = 0; j < length / 2; j++) {
+                    const a = i + j, b = i + j + length / 2;
+                    const tReal = real[b] * real1 - imag[b] * imag1;
+                    const tImag = real[b] * imag1 + imag[b] * real1;
+                    real[b] = real[a] - tReal;
+                    imag[b] = imag[a] - tImag;
+                    real[a] += tReal;
+                    imag[a] += tImag;
+                    const nextReal1 = real1 * wReal - imag1 * wImag;
+                    imag1 = real1 * wImag + imag1 * wReal;
+                    real1 = nextReal1;
+                }
+            }
+        }
+    }
+
+    /**
+     * 解码音频为单声道PCM采样
+     * 
+     * @param {Audio} audio - 音频对象
+     * @returns {Float32Array} - 32位浮点采样
+     */
+    static async #decode(audio) {
+        const { path, seekStart, seekEnd, filter } = audio;
+        return await new Promise((resolve, reject) => {
+            const chunks = [];
+            const decoder = ffmpeg(path);
+            // 设置裁剪开始时间点
+            seekStart && decoder.addInputOption("-ss", util.millisecondsToHmss(seekStart));
+            // 设置裁剪结束时间点
+            seekEnd && decoder.addInputOption("-to", util.millisecondsToHmss(seekEnd));
+            // 应用播放速率及音频效果
+            filter && decoder.audioFilters(filter);
+            const output = decoder
+                .noVideo()
+                .audioChannels(1)
+                .audioFrequency(AudioAnalyzer.SAMPLE_RATE)
+                .toFormat("f32le")
+                .once("error", reject)
+                .pipe();
+            output.on("data", chunk => chunks.push(chunk));
+            // 进程退出且输出的数据全部读取后解码结束，仅等待进程结束可能丢失管道中尾部的数据
+            Promise.all([
+                new Promise(resolve => output.once("end", resolve)),
+                new Promise(resolve => decoder.once("end", resolve))
+            ])
+                .then(() => {
+                    const buffer = Buffer.concat(chunks);
+                    // 复制到独立的ArrayBuffer确保字节对齐
+                    resolve(new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length - buffer.length % 4)));
+                });
+        });
+    }
+
+}
\ No newline at end of file
@@ -2,15 +2,18 @@ import ____SvgAnimation from "../media/SvgAnimation.js";
 import ____VideoCanvas from "../media/VideoCanvas.js";
 import ____DynamicImage from "../media/DynamicImage.js";
 import ____LottieCanvas from "../media/LottieCanvas.js";
+import ____TransitionCanvas from "../media/TransitionCanvas.js";
 
 export default class CaptureContext {
 
     /** 媒体选择器 */
     SVG_SELECTOR = "svg";
-    AUDIO_SELECTOR = 'audio[src$=".mp3"],audio[src$=".ogg"],audio[src$=".acc"],audio[src*=".mp3?"],audio[src*=".ogg?"],audio[src*=".aac?"],audio[capture]';
-    VIDEO_SELECTOR = 'video[src$=".mp4"],video[src$=".webm"],video[src$=".mkv"],video[src*=".mp4?"],video[src*=".webm?"],video[src*=".mkv?"],video[capture],canvas[video-capture]';
+    AUDIO_SELECTOR = 'audio[src$=".mp3"],audio[src$=".ogg"],audio[src$=".acc"],audio[src*=".mp3?"],audio[src*=".ogg?"],audio[src*=".aac?"],audio[capture],audio[tts]';
+    VIDEO_SELECTOR = 'video[src$=".mp4"],video[src$=".webm"],video[src$=".mkv"],video[src$=".mov"],video[src$=".m4v"],video[src$=".avi"],video[src*=".mp4?"],video[src*=".webm?"],video[src*=".mkv?"],video[src*=".mov?"],video[src*=".m4v?"],video[src*=".avi?"],video[capture],canvas[video-capture]';
     DYNAMIC_IMAGE_SELECTOR = 'img[src$=".gif"],img[src$=".webp"],img[src$=".apng"],img[src*=".gif?"],img[src*=".webp?"],img[src*=".apng?"],img[capture],canvas[dyimage-capture]';
     LOTTIE_SELECTOR = "lottie,canvas[lottie-capture]";
+    TRANSITION_SELECTOR = "canvas[transition-from],canvas[transition-to],img[transition-from],img[transition-to]";
+    CAPTION_TRACK_SELECTOR = "track[capture]";
 
     /** @type {number} - 启动时间点（毫秒） */
     startTime = Date.now();
@@ -42,6 +45,10 @@ export default class CaptureContext {
     timerId = 0;
     /** @type {number} - 自增音频ID */
     audioId = 0;
+    /** @type {Object} - 音频分析结果缓存 */
+    audioAnalyses = {};
+    /** @type {Object} - 音频节拍检测结果缓存 */
+    audioBeats = {};
     /** @type {number} - 应用于Date对象的时间偏移HACK（处理mojs动画） */
     timeOffset = 0;
     /** @type {Object} - 配置对象 */
@@ -55,7 +62,7 @@ export default class CaptureContext {
         /** @type {number} - 目标总帧数 */
         frameCount: null
     };
-    /** @type {SvgAnimation[]|VideoCanvas[]|DynamicImage[]|LottieCanvas[]} - 媒体调度列表 */
+    /** @type {SvgAnimation[]|VideoCanvas[]|DynamicImage[]|LottieCanvas[]|TransitionCanvas[]} - 媒体调度列表 */
     dispatchMedias = [];
 
     /**
@@ -268,11 +275,15 @@ export default class CaptureContext {
         const videos = document.querySelectorAll(this.VIDEO_SELECTOR);
         const dynamicImages = document.querySelectorAll(this.DYNAMIC_IMAGE_SELECTOR);
         const lotties = document.querySelectorAll(this.LOTTIE_SELECTOR);
+        const transitions = document.querySelectorAll(this.TRANSITION_SELECTOR);
+        const captionTracks = document.querySelectorAll(this.CAPTION_TRACK_SELECTOR);
         svgs.forEach(e => captureCtx.convertToSvgAnimation(e));
         audios.forEach(e => captureCtx.convertToInnerAudio(e));
         videos.forEach(e => captureCtx.convertToVideoCanvas(e));
         dynamicImages.forEach(e => captureCtx.convertToDynamicImage(e));
         lotties.forEach(e => captureCtx.convertToLottieCanvas(e));
+        transitions.forEach(e => captureCtx.convertToTransitionCanvas(e));
+        captionTracks.forEach(e => captureCtx.convertToCaptionTrack(e));
     }
 
     /**
@@ -288,7 +299,9 @@ export default class CaptureContext {
                         for (const addedNode of mutation.addedNodes) {
                             if (!addedNode.matches)
                                 return;
-                            if (addedNode.matches("canvas"))
+                            if (addedNode.matches(this.TRANSITION_SELECTOR))
+                                this.convertToTransitionCanvas(addedNode);
+                            else if (addedNode.matches("canvas"))
                                 break;
                             else if (addedNode.matches(this.SVG_SELECTOR))
                                 this.convertToSvgAnimation(addedNode);
@@ -300,6 +313,8 @@ export default class CaptureContext {
                                 this.convertToVideoCanvas(addedNode);
                             else if (addedNode.matches(this.LOTTIE_SELECTOR))
                                 this.convertToLottieCanvas(addedNode);
+                            else if (addedNode.matches(this.CAPTION_TRACK_SELECTOR))
+                                this.convertToCaptionTrack(addedNode);
                         }
                     }
                     if (mutation.removedNodes.length > 0) {
@@ -535,15 +550,17 @@ export default class CaptureContext {
 
     /**
      * 添加音频
+     * 
+     * @returns {number} - 内部音频ID
      */
     addAudio(options = {}) {
-        const audioId = this.audioId++;
-        const { url } = options;
+        const { url, id = this.audioId++ } = options;
         url && (options.url = this._currentUrlJoin(url));
         ____addAudio({
-            audioId,
-            ...options
+            ...options,
+            id
         });
+        return id;
     }
 
     /**
@@ -553,6 +570,149 @@ export default class CaptureContext {
         audios.forEach(audio => this.addAudio(audio));
     }
 
+    /**
+     * 获取音频分析结果
+     * 
+     * 音频在Node端按视频帧率预先分析，首次获取时拉取整个音频的分析结果并缓存
+     * 
+     * @param {number|HTMLAudioElement} audioId - 内部音频ID或已转换的音频元素
+     * @param {number} [time] - 时间点（毫秒），默认为当前时间点
+     * @returns {Object} - 当前帧的均方根rms、峰值peak及频段能量列表bands，音频未播放时返回null
+     */
+    async getAudioAnalysis(audioId, time = this.currentTime) {
+        if (audioId instanceof HTMLElement)
+            audioId = audioId.____audioId;
+        if (!this.audioAnalyses[audioId]) {
+            // 获取音频分析结果 - 此函数请见Page.js的#envInit的exposeFunction
+            this.audioAnalyses[audioId] = ____getAudioAnalysis(audioId);
+        }
+        const analysis = await this.audioAnalyses[audioId];
+        if (!analysis || !analysis.frameCount)
+            return null;
+        const { fps, frameCount, startTime, endTime, loop, rms, peak, bands } = analysis;
+        if (time < startTime || (endTime > 0 && time >= endTime))
+            return null;
+        // 容差避免浮点误差导致取到前一帧
+        let index = Math.floor((time - startTime) * fps / 1000 + 1e-6);
+        if (loop)
+            index %= frameCount;
+        else if (index >= frameCount)
+            return null;
+        return {
+            rms: rms[index],
+            peak: peak[index],
+            bands: bands[index]
+        };
+    }
+
+    /**
+     * 获取音频节拍检测结果
+     * 
+     * 节拍和起音时间点已换算到捕获时间轴，循环播放的音频将按播放次数展开，可用于将动画安排在节拍上
+     * 
+     * @param {number|HTMLAudioElement} audioId - 内部音频ID或已转换的音频元素
+     * @returns {Object} - 速度bpm、节拍时间点列表beats及起音时间点列表onsets（毫秒），音频不存在时返回null
+     */
+    async getAudioBeats(audioId) {
+        if (audioId instanceof HTMLElement)
+            audioId = audioId.____audioId;
+        if (!this.audioBeats[audioId]) {
+            // 获取音频节拍检测结果 - 此函数请见Page.js的#envInit的exposeFunction
+            this.audioBeats[audioId] = ____getAudioAnalysis(audioId, "beats")
+                .then(result => result && {
+                    bpm: result.bpm,
+                    beats: this._mapAudioTimes(result.beats, result),
+                    onsets: this._mapAudioTimes(result.onsets, result)
+                });
+        }
+        return await this.audioBeats[audioId];
+    }
+
+    /**
+     * 将音频内的时间点换算到捕获时间轴
+     * 
+     * @private
+     * @param {number[]} times - 音频内的时间点列表（毫秒）
+     * @param {Object} options - 音频播放选项
+     * @param {number} options.startTime - 音频开始时间点（毫秒）
+     * @param {number} [options.endTime] - 音频结束时间点（毫秒）
+     * @param {boolean} [options.loop] - 是否循环播放
+     * @param {number} options.duration - 音频时长（毫秒）
+     * @returns {number[]} - 捕获时间轴上的时间点列表（毫秒）
+     */
+    _mapAudioTimes(times, options) {
+        const { startTime, loop, duration } = options;
+        const endTime = options.endTime > 0 ? options.endTime : (this.config.duration || Infinity);
+        const result = [];
+        // 循环播放的音频需要按播放次数展开，未知结束时间时只展开一次
+        const playCount = loop && duration > 0 && endTime !== Infinity ? Math.ceil((endTime - startTime) / duration) : 1;
+        for (let i = 0; i < playCount; i++) {
+            for (const time of times) {
+                const mappedTime = startTime + i * duration + time;
+                if (mappedTime >= endTime)
+                    break;
+                result.push(mappedTime);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 获取音频元素的效果链
+     * 
+     * 支持effects属性传入JSON格式的效果链，以及pitch、tempo、highpass、lowpass简写属性
+     * 
+     * @private
+     * @param {HTMLAudioElement} e - 音频元素
+     * @returns {Object[]} - 音频效果链
+     */
+    _getAudioEffects(e) {
+        const effectsAttribute = e.getAttribute("effects");
+        let effects = [];
+        if (effectsAttribute) {
+            try {
+                effects = JSON.parse(effectsAttribute);
+            }
+            catch (err) {
+                throw new Error(`audio effects attribute is invalid JSON: ${effectsAttribute}`);
+            }
+        }
+        // 简写属性追加到效果链末尾
+        const highpass = e.getNumberAttribute("highpass");
+        const lowpass = e.getNumberAttribute("lowpass");
+        const pitch = e.getNumberAttribute("pitch");
+        const tempo = e.getNumberAttribute("tempo");
+        highpass !== undefined && effects.push({ type: "highpass", frequency: highpass });
+        lowpass !== undefined && effects.push({ type: "lowpass", frequency: lowpass });
+        pitch !== undefined && effects.push({ type: "pitch", semitones: pitch });
+        tempo !== undefined && effects.push({ type: "tempo", rate: tempo });
+        return effects.length ? effects : undefined;
+    }
+
+    /**
+     * 添加字幕
+     * 
+     * @param {Object} options - 字幕选项
+     * @param {string} options.text - 字幕文本
+     * @param {number} [options.startTime] - 开始时间点（毫秒），默认为当前时间点
+     * @param {number} options.endTime - 结束时间点（毫秒）
+     */
+    addCaption(options = {}) {
+        const { text, startTime = this.currentTime, endTime } = options;
+        ____addCaption({
+            text,
+            startTime,
+            endTime
+        });
+    }
+
+    /**
+     * 添加多个字幕
+     */
+    addCaptions(captions = []) {
+        captions.forEach(caption => this.addCaption(caption));
+    }
+
     /**
      * 转化为SVG动画对象
      * 
@@ -592,6 +752,15 @@ export default class CaptureContext {
             id: audioId,
             // 音频来源
             url: this._currentUrlJoin(e.getAttribute("src")) || undefined,
+            // 语音合成选项
+            tts: e.hasAttribute("tts") ? {
+                // 合成文本
+                text: e.getAttribute("tts"),
+                // 合成音色
+                voice: e.getAttribute("voice") || undefined,
+                // 语音合成提供者
+                provider: e.getAttribute("tts-provider") || e.getAttribute("ttsProvider") || undefined
+            } : undefined,
             // 音频格式
             format: e.getAttribute("format") || undefined,
             // 音频开始时间点（毫秒）
@@ -608,6 +777,12 @@ export default class CaptureContext {
             fadeOutDuration: e.getNumberAttribute("fade-out-duration") || e.getNumberAttribute("fadeOutDuration"),
             // 音频音量
             volume: (e.getNumberAttribute("volume") || e.volume || 1) * 100,
+            // 音频播放速率，负数时倒放
+            playbackRate: e.getNumberAttribute("playback-rate") || e.getNumberAttribute("playbackRate") || e.playbackRate,
+            // 音频效果链
+            effects: this._getAudioEffects(e),
+            // 音频角色（music/voice/sfx），避免与ARIA的role属性冲突
+            role: e.getAttribute("audio-role") || e.getAttribute("audioRole") || undefined,
             // 音频是否循环播放
             loop: e.getBooleanAttribute("loop"),
             // 音频是否自动播放
@@ -619,6 +794,7 @@ export default class CaptureContext {
             // 是否忽略本地缓存
             ignoreCache: e.getBooleanAttribute("ignore-cache") || e.getBooleanAttribute("ignoreCache")
         };
+        e.____audioId = audioId;
         e.____onRemoved = () => ____updateAudioEndTime(audioId, this.currentTime);
         ____addAudio(options);
     }
@@ -660,6 +836,12 @@ export default class CaptureContext {
             seekStart: e.getNumberAttribute("seek-start") || e.getNumberAttribute("seekStart") || (currentTimeAttribute ? currentTimeAttribute * 1000 : undefined),
             // 视频裁剪结束时间点（毫秒）
             seekEnd: e.getNumberAttribute("seek-end") || e.getNumberAttribute("seekEnd"),
+            // 视频播放速率，负数时倒放
+            playbackRate: e.getNumberAttribute("playback-rate") || e.getNumberAttribute("playbackRate") || e.playbackRate,
+            // 视频是否倒放
+            reverse: e.getBooleanAttribute("reverse"),
+            // 视频是否往返播放
+            boomerang: e.getBooleanAttribute("boomerang"),
             // 视频是否循环播放
             loop: e.getBooleanAttribute("loop"),
             // 视频音频音量
@@ -725,6 +907,10 @@ export default class CaptureContext {
             endTime: Math.min(e.getNumberAttribute("end-time") || e.getNumberAttribute("endTime") || Infinity, this.config.duration),
             // 是否循环播放
             loop: e.getBooleanAttribute("loop"),
+            // 是否倒放
+            reverse: e.getBooleanAttribute("reverse"),
+            // 是否往返播放
+            boomerang: e.getBooleanAttribute("boomerang"),
             // 拉取失败时重试拉取次数
             retryFetchs: e.getNumberAttribute("retry-fetchs") || e.getNumberAttribute("retryFetchs")
         };
@@ -804,6 +990,80 @@ export default class CaptureContext {
         return lottieCanvas;
     }
 
+    /**
+     * 将HTML画布或图像元素转换为转场画布
+     * 
+     * @param {HTMLElement} e - 画布或图像HTML元素
+     */
+    convertToTransitionCanvas(e) {
+        const options = {
+            // 元素ID
+            id: e.getAttribute("id") || undefined,
+            // 元素类名
+            class: e.getAttribute("class") || undefined,
+            // 画面来源
+            source: e.hasAttribute("transition-from") ? "from" : "to",
+            // 画布宽度
+            width: e.getNumberAttribute("width") || e.width,
+            // 画布高度
+            height: e.getNumberAttribute("height") || e.height,
+            // 开始播放时间点（毫秒）
+            startTime: 0,
+            // 结束播放时间点（毫秒）
+            endTime: this.config.duration || Infinity,
+            // 帧间隔时间（毫秒）
+            frameInterval: 1000 / this.config.fps
+        };
+        let canvas;
+        if (!(e instanceof HTMLCanvasElement)) {
+            // 创建画布元素
+            canvas = this._createCanvas(options);
+            // 复制目标元素样式
+            this._copyElementStyle(e, canvas);
+            // 代理目标元素所有属性和行为
+            this._buildElementProxy(e, canvas);
+            // 将目标元素替换为画布
+            e.replaceWith(canvas);
+        }
+        else
+            canvas = e;
+        // 实例化转场画布实例
+        const transitionCanvas = new ____TransitionCanvas(options);
+        // 绑定画布元素
+        transitionCanvas.bind(canvas);
+        // 将对象加入媒体调度列表
+        this.dispatchMedias.push(transitionCanvas);
+        return transitionCanvas;
+    }
+
+    /**
+     * 将HTML字幕轨道元素的字幕转发到合成器
+     * 
+     * @param {HTMLTrackElement} e - 字幕轨道元素
+     */
+    convertToCaptionTrack(e) {
+        const src = e.getAttribute("src");
+        if (!src)
+            return;
+        const url = this._currentUrlJoin(src);
+        const options = {
+            // 字幕格式
+            format: e.getAttribute("format") || (/\.srt(\?|$)/i.test(src) ? "srt" : "vtt"),
+            // 轨道开始时间点（毫秒）
+            startTime: e.getNumberAttribute("start-time") || e.getNumberAttribute("startTime") || this.currentTime,
+            // 轨道结束时间点（毫秒）
+            endTime: Math.min(e.getNumberAttribute("end-time") || e.getNumberAttribute("endTime") || Infinity, this.config.duration)
+        };
+        fetch(url)
+            .then(response => {
+                if (!response.ok)
+                    throw new Error(`caption track ${url} fetch failed: [${response.status}] ${response.statusText}`);
+                return response.text();
+            })
+            .then(content => ____addCaptionTrack({ content, ...options }))
+            .catch(err => console.error(err));
+    }
+
     /**
      * 抛出错误中断捕获
      * 
@@ -8,6 +8,7 @@ import _ from "lodash";
 import Synthesizer from "./Synthesizer.js";
 import VideoChunk from "./VideoChunk.js";
 import Transition from "../entity/Transition.js";
+import Audio from "../entity/Audio.js";
 import logger from "../lib/logger.js";
 
 /**
@@ -17,6 +18,10 @@ export default class ChunkSynthesizer extends Synthesizer {
 
     /** @type {VideoChunk[]} - 视频块列表 */
     chunks = [];
+    /** @type {Map<VideoChunk, string>} - 分块进入下一分块的转场片段路径 */
+    #transitionClips = new Map();
+    /** @type {Map<VideoChunk, Audio[]>} - 分块的音频列表 */
+    #chunkAudios = new Map();
 
     /**
      * 构造函数
@@ -48,6 +53,9 @@ export default class ChunkSynthesizer extends Synthesizer {
         super(options);
         const { chunks } = options;
         assert(_.isUndefined(chunks) || _.isArray(chunks), "chunks must be VideoChunk[]");
+        assert(!this.isImageSequence(), "Image sequence format is not supported by ChunkSynthesizer");
+        assert(!this.isAnimatedImage(), "Animated image format is not supported by ChunkSynthesizer");
+        assert(!this.isLiveStreaming(), "liveOutput is not supported by ChunkSynthesizer");
         if (this.showProgress) {
             this._cliProgress = new cliProgress.MultiBar({
                 hideCursor: true,
@@ -97,21 +105,16 @@ export default class ChunkSynthesizer extends Synthesizer {
         let offsetTime = 0
         const chunksRenderPromises = [];
         this.chunks.forEach(chunk => {
-            chunk.audios.forEach(audio => {
-                if (!_.isFinite(audio.startTime))
-                    audio.startTime = 0;
-                audio.startTime += offsetTime;
-                if (!_.isFinite(audio.endTime))
-                    audio.endTime = chunk.duration;
-                audio.endTime += offsetTime;
-                this.addAudio(audio);
-            });
+            chunk.audios.forEach(audio => this.#addChunkAudio(chunk, audio, offsetTime));
+            chunk.subtitles.forEach(subtitle => this.#addChunkSubtitle(chunk, subtitle, offsetTime));
             // 分块未完成时先进行渲染
             !chunk.isCompleted() && chunksRenderPromises.push(this.renderChunk(chunk, offsetTime));
             offsetTime += chunk.getOutputDuration();
         });
         // 等待分块渲染完成再开始合成流程
         Promise.all(chunksRenderPromises)
+            // 需要在浏览器中渲染的转场在分块完成后渲染为转场片段
+            .then(() => this.#renderTransitions())
             .then(() => super.start())
             .catch(err => this._emitError(err));
     }
@@ -126,15 +129,7 @@ export default class ChunkSynthesizer extends Synthesizer {
         if (chunk.isCompleted())
             return;
         return await new Promise((resolve, reject) => {
-            chunk.on("audioAdd", options => {
-                const audio = this.addAudio(options);
-                if (!_.isFinite(audio.startTime))
-                    audio.startTime = 0;
-                audio.startTime += offsetTime;
-                if (!_.isFinite(audio.endTime))
-                    audio.endTime = chunk.duration;
-                audio.endTime += offsetTime;
-            });
+            chunk.on("audioAdd", audio => this.#addChunkAudio(chunk, audio, offsetTime));
             chunk.on("audioUpdate", options => {
                 if (_.isFinite(options.startTime))
                     options.startTime += offsetTime;
@@ -142,6 +137,7 @@ export default class ChunkSynthesizer extends Synthesizer {
                     options.endTime += offsetTime;
                 this.updateAudio(options);
             });
+            chunk.on("subtitleAdd", subtitle => this.#addChunkSubtitle(chunk, subtitle, offsetTime));
             chunk.on("progress", () => this._emitChunksProgress());
             chunk.once("completed", resolve);
             chunk.once("error", reject);
@@ -149,6 +145,76 @@ export default class ChunkSynthesizer extends Synthesizer {
         });
     }
 
+    /**
+     * 添加分块的字幕
+     * 
+     * 分块字幕偏移到合成时间轴并裁剪到分块时长内
+     * 
+     * @param {VideoChunk} chunk - 视频分块
+     * @param {Subtitle} subtitle - 字幕对象
+     * @param {number} offsetTime - 分块在合成时间轴的偏移时间（毫秒）
+     */
+    #addChunkSubtitle(chunk, subtitle, offsetTime) {
+        const { startTime, endTime, text } = subtitle;
+        if (startTime >= chunk.duration)
+            return;
+        this.addSubtitle({
+            startTime: startTime + offsetTime,
+            endTime: Math.min(endTime, chunk.duration) + offsetTime,
+            text
+        });
+    }
+
+    /**
+     * 添加并记录分块的音频
+     * 
+     * 复制分块的音频并偏移到合成时间轴，分块中的音频保持相对于分块起点的时间，供分块页面的音频分析使用
+     * 
+     * @param {VideoChunk} chunk - 视频分块
+     * @param {Audio} chunkAudio - 分块的音频对象
+     * @param {number} offsetTime - 分块在合成时间轴的偏移时间（毫秒）
+     * @returns {Audio} - 音频对象
+     */
+    #addChunkAudio(chunk, chunkAudio, offsetTime) {
+        const startTime = _.isFinite(chunkAudio.startTime) ? chunkAudio.startTime : 0;
+        const endTime = _.isFinite(chunkAudio.endTime) ? chunkAudio.endTime : chunk.duration;
+        const audio = this.addAudio(new Audio({
+            ...chunkAudio,
+            startTime: startTime + offsetTime,
+            endTime: endTime + offsetTime
+        }));
+        if (!this.#chunkAudios.has(chunk))
+            this.#chunkAudios.set(chunk, []);
+        this.#chunkAudios.get(chunk).push(audio);
+        return audio;
+    }
+
+    /**
+     * 渲染分块之间的转场片段
+     */
+    async #renderTransitions() {
+        for (let i = 0; i < this.chunks.length - 1; i++) {
+            const chunk = this.chunks[i];
+            if (!chunk.transition || !chunk.transition.isRendered() || this.#transitionClips.has(chunk))
+                continue;
+            this.#transitionClips.set(chunk, await this._renderTransition(chunk, this.chunks[i + 1]));
+        }
+    }
+
+    /**
+     * 渲染转场片段
+     * 
+     * 转场片段需要浏览器渲染，由持有浏览器的上层实现
+     * 
+     * @protected
+     * @param {VideoChunk} chunk - 转场前的分块
+     * @param {VideoChunk} nextChunk - 转场后的分块
+     * @returns {string} - 转场片段路径
+     */
+    async _renderTransition(chunk, nextChunk) {
+        throw new Error(`Transition ${chunk.transition.id} must be rendered in browser, please use MultiVideo`);
+    }
+
     /**
      * 发送进度事件
      */
@@ -202,7 +268,10 @@ export default class ChunkSynthesizer extends Synthesizer {
      * @protected
      */
     _emitCompleted() {
-        Promise.all(this.chunks.map(chunk => chunk.autoremove && fs.remove(chunk.outputPath)))
+        Promise.all([
+            ...this.chunks.map(chunk => chunk.autoremove && fs.remove(chunk.outputPath)),
+            ...[...this.#transitionClips.values()].map(clipPath => fs.remove(clipPath))
+        ])
             .catch(err => logger.error(err));
         super._emitCompleted();
     }
@@ -234,6 +303,8 @@ export default class ChunkSynthesizer extends Synthesizer {
         let durationOffset = 0;
         // 上一个输出索引
         let lastOutput = null;
+        // 转场片段列表
+        const transitionClips = [];
         for (let i = 0; i < chunks.length; i++) {
             // 当前分块
             const chunk = chunks[i];
@@ -252,11 +323,23 @@ export default class ChunkSynthesizer extends Synthesizer {
                     // 输出索引
                     const output = `[v${index}]`;
                     // 获取上一分块转场参数
-                    let { id: transtiionId, duration: transitionDuration } = lastChunk.transition;
+                    let { id: transtiionId, duration: transitionDuration, type: transitionType, expr } = lastChunk.transition;
                     // 上一分块时长减去当前转场时长获得偏移量
                     durationOffset += (lastChunk.duration - transitionDuration);
-                    // 添加转场到复合过滤器
-                    complexFilter += `${input}[${index + 1}:v]xfade=transition=${transtiionId}:duration=${Math.floor(transitionDuration / 1000 * 100) / 100}:offset=${Math.floor(durationOffset / 1000 * 100) / 100}${output};`;
+                    // 已渲染的转场片段替换前后分块交界处的画面
+                    if (this.#transitionClips.has(lastChunk)) {
+                        const clip = `[t${index}]`;
+                        transitionClips.push({ path: this.#transitionClips.get(lastChunk), output: clip });
+                        complexFilter += `${input}trim=end=${durationOffset / 1000},setpts=PTS-STARTPTS[a${index}];`;
+                        complexFilter += `[${index + 1}:v]trim=start=${transitionDuration / 1000},setpts=PTS-STARTPTS[b${index}];`;
+                        complexFilter += `[a${index}]${clip}[b${index}]concat=n=3:v=1:a=0${output};`;
+                    }
+                    else {
+                        // 自定义表达式转场使用custom转场
+                        const transitionOption = transitionType == Transition.TYPE.EXPR ? `custom:expr='${expr}'` : transtiionId;
+                        // 添加转场到复合过滤器
+                        complexFilter += `${input}[${index + 1}:v]xfade=transition=${transitionOption}:duration=${Math.floor(transitionDuration / 1000 * 100) / 100}:offset=${Math.floor(durationOffset / 1000 * 100) / 100}${output};`;
+                    }
                     // 设置当前输出索引用于下次处理
                     lastOutput = output;
                 }
@@ -285,6 +368,12 @@ export default class ChunkSynthesizer extends Synthesizer {
             inputs.push(attachCoverPath);
             lastOutput = output;
         }
+        // 将转场片段输入并重置时间戳
+        transitionClips.forEach(({ path, output }) => {
+            vencoder.addInput(path);
+            complexFilter = `[${inputs.length}:v]setpts=PTS-STARTPTS${output};${complexFilter}`;
+            inputs.push(path);
+        });
         // 如采用复合过滤器将应用
         if (complexFilter) {
             vencoder.complexFilter(complexFilter.replace(`${lastOutput};`, `,format=${pixelFormat}[output]`));
@@ -309,6 +398,85 @@ export default class ChunkSynthesizer extends Synthesizer {
         return vencoder;
     }
 
+    /**
+     * 创建音频时间轴的复合过滤器
+     * 
+     * 存在音频交叉淡化的转场时，每个分块的音频按角色混音为裁剪到分块时长的分块音轨，
+     * 交叉淡化的相邻分块音轨使用acrossfade连接，其余分块音轨和非分块音频按时间轴混音
+     * 
+     * @protected
+     * @param {FfmpegCommand} aencoder - 编码器
+     * @param {number} outputDuration - 输出时长（毫秒）
+     * @returns {string} - 复合过滤器参数
+     */
+    _createAudioFilter(aencoder, outputDuration) {
+        const { chunks } = this;
+        if (!chunks.some((chunk, index) => index < chunks.length - 1 && chunk.transition && chunk.transition.audioCrossfade))
+            return super._createAudioFilter(aencoder, outputDuration);
+        let complexFilter = "";
+        // 音频输入索引，0为视频输入
+        let inputIndex = 1;
+        // 分块时间轴起始时间点
+        const chunkOffsetTimes = [];
+        chunks.reduce((offsetTime, chunk) => {
+            chunkOffsetTimes.push(offsetTime);
+            return offsetTime + chunk.getOutputDuration();
+        }, 0);
+        const outputs = [];
+        const chunkAudios = [...this.#chunkAudios.values()].flat();
+        // 分块音频按角色分别生成音轨，使闪避仍然可以区分背景音乐和旁白
+        _.uniq(chunkAudios.map(audio => audio.role)).forEach((role, r) => {
+            // 生成分块音轨
+            chunks.forEach((chunk, i) => {
+                const audios = (this.#chunkAudios.get(chunk) || []).filter(audio => audio.role == role);
+                const trackOutputs = audios.reduce((result, audio, j) => {
+                    const output = `r${r}c${i}a${j}`;
+                    const filter = this._createAudioTrackFilter(aencoder, audio, inputIndex, output, { offsetTime: chunkOffsetTimes[i], duration: chunk.duration });
+                    if (!filter)
+                        return result;
+                    inputIndex++;
+                    complexFilter += filter;
+                    return [...result, `[${output}]`];
+                }, []);
+                // 没有音频的分块使用静音音轨占位
+                const source = trackOutputs.length ? `${trackOutputs.join("")}amix=inputs=${trackOutputs.length}:normalize=0,` : `aevalsrc=0:c=stereo:s=44100:d=${chunk.duration / 1000},`;
+                // 统一音频格式并裁剪或填充到分块时长
+                complexFilter += `${source}aformat=sample_rates=44100:channel_layouts=stereo,apad,atrim=end=${chunk.duration / 1000}[r${r}c${i}];`;
+            });
+            // 交叉淡化的相邻分块音轨连接为音轨组
+            const groups = [];
+            let group = { output: `[r${r}c0]`, offsetTime: 0 };
+            for (let i = 0; i < chunks.length - 1; i++) {
+                const { transition } = chunks[i];
+                if (transition && transition.audioCrossfade) {
+                    const { duration, audioCurve } = transition;
+                    complexFilter += `${group.output}[r${r}c${i + 1}]acrossfade=d=${duration / 1000}:c1=${audioCurve}:c2=${audioCurve}[r${r}x${i}];`;
+                    group.output = `[r${r}x${i}]`;
+                }
+                else {
+                    groups.push(group);
+                    group = { output: `[r${r}c${i + 1}]`, offsetTime: chunkOffsetTimes[i + 1] };
+                }
+            }
+            groups.push(group);
+            groups.forEach(({ output, offsetTime }, index) => {
+                complexFilter += `${output}adelay=${offsetTime}|${offsetTime}[r${r}g${index}];`;
+                outputs.push({ output: `[r${r}g${index}]`, role });
+            });
+        });
+        // 非分块音频按时间轴混音
+        this.audios.filter(audio => !chunkAudios.includes(audio)).forEach((audio, index) => {
+            const output = `a${index}`;
+            const filter = this._createAudioTrackFilter(aencoder, audio, inputIndex, output, { duration: outputDuration });
+            if (!filter)
+                return;
+            inputIndex++;
+            complexFilter += filter;
+            outputs.push({ output: `[${output}]`, role: audio.role });
+        });
+        return complexFilter && `${complexFilter}${this._createAudioMixFilter(outputs)}`;
+    }
+
     /**
      * 获取已合成视频时长
      * 
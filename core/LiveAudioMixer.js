@@ -0,0 +1,415 @@
+import net from "net";
+import assert from "assert";
+import { PassThrough } from "stream";
+import ffmpeg from "fluent-ffmpeg";
+import _ from "lodash";
+
+import Audio from "../entity/Audio.js";
+import logger from "../lib/logger.js";
+import util from "../lib/util.js";
+
+/**
+ * 直播音频混音器
+ * 
+ * 直播推流无法在渲染完成后合成音频，混音器将音频解码为PCM并跟随视频帧的时间轴实时混音，通过本地TCP连接输入到推流编码器
+ */
+export default class LiveAudioMixer {
+
+    /** 采样率 */
+    static SAMPLE_RATE = 44100;
+    /** 声道数 */
+    static CHANNELS = 2;
+    /** 每个音频的解码缓冲时长（毫秒），缓冲区写满后暂停解码等待混音消耗 */
+    static BUFFER_DURATION = 10000;
+
+    /** @type {number} - 视频帧率 */
+    fps;
+    /** @type {number} - 视频时长（毫秒），未设置结束时间点的音频在此结束 */
+    duration;
+    /** @type {number} - 视频音量（0-100） */
+    volume;
+    /** @type {string} - 编码器拉取PCM音频的地址 */
+    url = null;
+    /** @type {Map<Audio, Object>} - 音频及其解码轨道 */
+    #tracks = new Map();
+    /** @type {number} - 已加入混音队列的帧数 */
+    #frameIndex = 0;
+    /** @type {Promise} - 混音队列，按帧顺序等待解码和写入 */
+    #queue = Promise.resolve();
+    /** @type {boolean} - 是否已结束 */
+    #ended = false;
+    /** @type {PassThrough} - PCM音频流 */
+    #stream = new PassThrough();
+    /** @type {net.Server} - 本地TCP服务 */
+    #server = null;
+
+    /**
+     * 构造函数
+     * 
+     * @param {Object} options - 混音器选项
+     * @param {number} options.fps - 视频帧率
+     * @param {number} options.duration - 视频时长（毫秒）
+     * @param {number} [options.volume=100] - 视频音量（0-100）
+     */
+    constructor(options) {
+        assert(_.isObject(options), "LiveAudioMixer options must be Object");
+        const { fps, duration, volume } = options;
+        assert(_.isFinite(fps) && fps > 0, "fps must be number and greater than 0");
+        assert(_.isFinite(duration), "duration must be number");
+        assert(_.isUndefined(volume) || _.isFinite(volume), "volume must be number");
+        this.fps = fps;
+        this.duration = duration;
+        this.volume = _.defaultTo(volume, 100);
+    }
+
+    /**
+     * 监听本地端口等待编码器连接
+     * 
+     * @returns {string} - 编码器拉取PCM音频的地址
+     */
+    async listen() {
+        if (this.url)
+            return this.url;
+        this.#server = net.createServer(socket => {
+            // 只接受编码器的一个连接
+            this.#server.close();
+            // 编码器退出时连接可能被重置
+            socket.on("error", err => logger.warn(`Live audio connection error: ${err.message}`));
+            this.#stream.pipe(socket);
+        });
+        await new Promise((resolve, reject) => {
+            this.#server.once("error", reject);
+            this.#server.listen(0, "127.0.0.1", resolve);
+        });
+        this.url = `tcp://127.0.0.1:${this.#server.address().port}`;
+        return this.url;
+    }
+
+    /**
+     * 添加音频
+     * 
+     * 音频在后台流式解码到有限的环形缓冲区，混音到该音频时将等待对应的采样解码完成
+     * 
+     * @param {Audio} audio - 音频对象
+     */
+    addAudio(audio) {
+        assert(audio instanceof Audio, "audio must be Audio");
+        if (this.#tracks.has(audio) || this.#ended)
+            return;
+        const { SAMPLE_RATE, CHANNELS, BUFFER_DURATION } = LiveAudioMixer;
+        const capacity = Math.ceil(BUFFER_DURATION * SAMPLE_RATE / 1000);
+        const track = {
+            audio,
+            // 环形缓冲区，按音频内的采样序号取模存放
+            samples: new Int16Array(capacity * CHANNELS),
+            capacity,
+            // 已解码的采样数，循环播放时跨轮次累计
+            decodedLength: 0,
+            // 混音仍需读取的最小采样序号
+            readOffset: 0,
+            // 单轮解码的采样数，首轮解码完成前为null
+            length: null,
+            // 是否已全部解码
+            finished: false,
+            // 尚未写入缓冲区的数据
+            pending: Buffer.alloc(0),
+            decoder: null,
+            output: null,
+            waiters: []
+        };
+        this.#tracks.set(audio, track);
+        this.#decode(track)
+            .catch(err => {
+                if (this.#ended)
+                    return;
+                this.#tracks.delete(audio);
+                this.#notify(track);
+                logger.error(`Live audio ${audio.path || audio.url} decode failed: ${err.message}`);
+            });
+    }
+
+    /**
+     * 混音下一帧对应的音频采样并写入音频流
+     * 
+     * 混音按帧顺序排队执行，等待所需采样解码完成以及编码器消耗音频流
+     * 
+     * @returns {Promise} - 该帧混音完成的Promise
+     */
+    mix() {
+        const frameIndex = this.#frameIndex++;
+        this.#queue = this.#queue
+            .then(() => this.#mixFrame(frameIndex))
+            .catch(err => logger.error(`Live audio mix failed: ${err.message}`));
+        return this.#queue;
+    }
+
+    /**
+     * 结束音频流
+     * 
+     * 已加入队列的帧混音完成后结束
+     */
+    end() {
+        this.#queue = this.#queue.then(() => this.#close());
+    }
+
+    /**
+     * 终止混音
+     * 
+     * 立即结束音频流并停止所有解码
+     */
+    abort() {
+        this.#close(true);
+    }
+
+    /**
+     * 关闭音频流和解码器
+     * 
+     * @param {boolean} [destroy=false] - 是否直接销毁音频流
+     */
+    #close(destroy = false) {
+        this.#ended = true;
+        if (destroy)
+            this.#stream.destroy();
+        else if (!this.#stream.writableEnded)
+            this.#stream.end();
+        this.#server && this.#server.close();
+        this.#server = null;
+        this.#tracks.forEach(track => {
+            track.decoder && track.decoder.kill();
+            this.#notify(track);
+        });
+    }
+
+    /**
+     * 混音指定帧
+     * 
+     * @param {number} frameIndex - 帧序号
+     */
+    async #mixFrame(frameIndex) {
+        if (this.#ended)
+            return;
+        const { SAMPLE_RATE, CHANNELS } = LiveAudioMixer;
+        // 按帧序号计算采样范围，避免累积误差导致音画不同步
+        const startSample = Math.round(frameIndex * SAMPLE_RATE / this.fps);
+        const endSample = Math.round((frameIndex + 1) * SAMPLE_RATE / this.fps);
+        const mixed = new Float32Array((endSample - startSample) * CHANNELS);
+        for (let track of this.#tracks.values()) {
+            const range = this.#getMixRange(track, startSample, endSample);
+            if (!range)
+                continue;
+            // 之前的采样不再需要，释放缓冲区空间后继续解码
+            track.readOffset = Math.max(track.readOffset, range.start);
+            this.#fill(track);
+            await this.#waitDecoded(track, range.end);
+            if (this.#ended)
+                return;
+            this.#mixAudio(mixed, track, startSample);
+            track.readOffset = Math.max(track.readOffset, range.end);
+            this.#fill(track);
+        }
+        const buffer = Buffer.alloc(mixed.length * 2);
+        mixed.forEach((value, index) => buffer.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(value))), index * 2));
+        // 编码器未连接或消耗较慢时等待音频流排空
+        if (!this.#stream.write(buffer))
+            await this.#waitDrain();
+    }
+
+    /**
+     * 获取帧范围内需要混音的音频采样范围
+     * 
+     * @param {Object} track - 解码轨道
+     * @param {number} startSample - 帧起始采样序号
+     * @param {number} endSample - 帧结束采样序号
+     * @returns {{start: number, end: number}} - 音频内的采样范围，无需混音时为null
+     */
+    #getMixRange(track, startSample, endSample) {
+        const { SAMPLE_RATE } = LiveAudioMixer;
+        const { startTime } = track.audio;
+        const playEndTime = this.#getPlayEndTime(track);
+        const audioStartSample = Math.round(startTime * SAMPLE_RATE / 1000);
+        const start = Math.max(startSample, audioStartSample);
+        const end = Math.min(endSample, Math.ceil(playEndTime * SAMPLE_RATE / 1000));
+        if (start >= end)
+            return null;
+        return { start: start - audioStartSample, end: end - audioStartSample };
+    }
+
+    /**
+     * 获取音频的播放结束时间点
+     * 
+     * 非循环音频在首轮解码完成前按媒体时长估算播放时长
+     * 
+     * @param {Object} track - 解码轨道
+     * @returns {number} - 播放结束时间点（毫秒）
+     */
+    #getPlayEndTime(track) {
+        const { SAMPLE_RATE } = LiveAudioMixer;
+        const { startTime, loop, duration, seekStart, seekEnd, speed } = track.audio;
+        const endTime = _.defaultTo(track.audio.endTime, this.duration);
+        if (loop)
+            return endTime;
+        let playDuration = Infinity;
+        if (track.length !== null)
+            playDuration = track.length / SAMPLE_RATE * 1000;
+        else if (_.isFinite(duration))
+            playDuration = ((seekEnd || duration) - (seekStart || 0)) / speed;
+        return Math.min(endTime, startTime + playDuration);
+    }
+
+    /**
+     * 等待音频解码到指定采样
+     * 
+     * @param {Object} track - 解码轨道
+     * @param {number} offset - 音频内的采样序号
+     */
+    async #waitDecoded(track, offset) {
+        while (!this.#ended && this.#tracks.has(track.audio) && !track.finished && track.decodedLength < offset)
+            await new Promise(resolve => track.waiters.push(resolve));
+    }
+
+    /**
+     * 等待音频流排空
+     */
+    async #waitDrain() {
+        await new Promise(resolve => {
+            const done = () => {
+                this.#stream.off("drain", done);
+                this.#stream.off("close", done);
+                resolve();
+            };
+            this.#stream.on("drain", done);
+            this.#stream.on("close", done);
+        });
+    }
+
+    /**
+     * 通知等待解码的混音
+     * 
+     * @param {Object} track - 解码轨道
+     */
+    #notify(track) {
+        track.waiters.splice(0).forEach(fn => fn());
+    }
+
+    /**
+     * 将音频采样叠加到混音缓冲区
+     * 
+     * @param {Float32Array} mixed - 混音缓冲区
+     * @param {Object} track - 解码轨道
+     * @param {number} startSample - 混音缓冲区起始采样序号
+     */
+    #mixAudio(mixed, track, startSample) {
+        const { SAMPLE_RATE, CHANNELS } = LiveAudioMixer;
+        const { startTime, volume, fadeInDuration, fadeOutDuration } = track.audio;
+        const { samples, capacity, decodedLength } = track;
+        const playEndTime = this.#getPlayEndTime(track);
+        const audioStartSample = Math.round(startTime * SAMPLE_RATE / 1000);
+        const gain = volume * this.volume / 10000;
+        for (let i = 0; i < mixed.length / CHANNELS; i++) {
+            const time = (startSample + i) / SAMPLE_RATE * 1000;
+            if (time < startTime || time >= playEndTime)
+                continue;
+            // 循环播放时解码器重复输出音频，采样序号跨轮次累计
+            const offset = startSample + i - audioStartSample;
+            // 超出已解码范围或已被覆盖的采样静音处理
+            if (offset >= decodedLength || offset < decodedLength - capacity)
+                continue;
+            let factor = gain;
+            // 淡入淡出按线性增益处理
+            if (fadeInDuration && time - startTime < fadeInDuration)
+                factor *= (time - startTime) / fadeInDuration;
+            if (fadeOutDuration && playEndTime - time < fadeOutDuration)
+                factor *= (playEndTime - time) / fadeOutDuration;
+            const index = offset % capacity * CHANNELS;
+            for (let c = 0; c < CHANNELS; c++)
+                mixed[i * CHANNELS + c] += samples[index + c] * factor;
+        }
+    }
+
+    /**
+     * 流式解码音频
+     * 
+     * 循环播放的音频在每轮解码结束后重新解码，直到混音器结束
+     * 
+     * @param {Object} track - 解码轨道
+     */
+    async #decode(track) {
+        await track.audio.load();
+        while (!this.#ended) {
+            await this.#decodePass(track);
+            // 首轮解码完成后得到实际的采样数
+            track.length = _.defaultTo(track.length, track.decodedLength);
+            if (!track.audio.loop || !track.length)
+                break;
+        }
+        track.finished = true;
+        this.#notify(track);
+    }
+
+    /**
+     * 解码一轮音频
+     * 
+     * @param {Object} track - 解码轨道
+     */
+    async #decodePass(track) {
+        const { SAMPLE_RATE, CHANNELS } = LiveAudioMixer;
+        const { path, seekStart, seekEnd, filter } = track.audio;
+        await new Promise((resolve, reject) => {
+            const decoder = ffmpeg(path);
+            // 设置裁剪开始时间点
+            seekStart && decoder.addInputOption("-ss", util.millisecondsToHmss(seekStart));
+            // 设置裁剪结束时间点
+            seekEnd && decoder.addInputOption("-to", util.millisecondsToHmss(seekEnd));
+            // 应用播放速率及音频效果
+            filter && decoder.audioFilters(filter);
+            const output = decoder
+                .noVideo()
+                .audioChannels(CHANNELS)
+                .audioFrequency(SAMPLE_RATE)
+                .toFormat("s16le")
+                .once("error", reject)
+                .pipe();
+            track.decoder = decoder;
+            track.output = output;
+            output.on("data", chunk => {
+                track.pending = track.pending.length ? Buffer.concat([track.pending, chunk]) : chunk;
+                this.#fill(track);
+            });
+            // 进程退出且输出的数据全部写入缓冲区后本轮解码结束
+            Promise.all([
+                new Promise(resolve => output.once("end", resolve)),
+                new Promise(resolve => decoder.once("end", resolve))
+            ]).then(resolve);
+        });
+        // 等待缓冲区已满时暂存的数据写入，不足一个采样的尾部数据将被丢弃
+        while (!this.#ended && track.pending.length >= CHANNELS * 2)
+            await new Promise(resolve => track.waiters.push(resolve));
+        track.pending = Buffer.alloc(0);
+    }
+
+    /**
+     * 将待写入的数据填充到环形缓冲区
+     * 
+     * 缓冲区中尚未混音的采样达到容量时暂停解码，混音消耗后恢复
+     * 
+     * @param {Object} track - 解码轨道
+     */
+    #fill(track) {
+        if (!track.output)
+            return;
+        const { CHANNELS } = LiveAudioMixer;
+        const frameSize = CHANNELS * 2;
+        const { samples, capacity } = track;
+        const count = Math.max(0, Math.min(Math.floor(track.pending.length / frameSize), capacity - (track.decodedLength - track.readOffset)));
+        for (let i = 0; i < count; i++) {
+            const index = (track.decodedLength + i) % capacity * CHANNELS;
+            for (let c = 0; c < CHANNELS; c++)
+                samples[index + c] = track.pending.readInt16LE((i * CHANNELS + c) * 2);
+        }
+        track.decodedLength += count;
+        track.pending = track.pending.subarray(count * frameSize);
+        track.pending.length >= frameSize ? track.output.pause() : track.output.resume();
+        count > 0 && this.#notify(track);
+    }
+
+}
\ No newline at end of file
@@ -12,9 +12,11 @@ import SvgAnimation from "../media/SvgAnimation.js";
 import VideoCanvas from "../media/VideoCanvas.js";
 import DynamicImage from "../media/DynamicImage.js";
 import LottieCanvas from "../media/LottieCanvas.js";
+import TransitionCanvas from "../media/TransitionCanvas.js";
 import MP4Demuxer from "../media/MP4Demuxer.js";
 import VideoConfig from "../preprocessor/video/VideoConfig.js";
 import Audio from "../entity/Audio.js";
+import Subtitle from "../entity/Subtitle.js";
 import Font from "../entity/Font.js";
 import globalConfig from "../lib/global-config.js";
 import logger from "../lib/logger.js";
@@ -83,6 +85,14 @@ export default class Page extends EventEmitter {
     frameQuality;
     /** @type {number} - 背景不透明度（0-1） */
     backgroundOpacity = 1;
+    /** @type {string} - 捕获指定的帧图格式（jpeg/png），未指定时使用frameFormat */
+    captureFrameFormat = null;
+    /** @type {number} - 捕获帧率上限，设置后按实际时间限制捕获速度 */
+    frameRateLimit = null;
+    /** @type {Function} - 转场帧图提供函数，返回转场前后分块指定帧的base64编码 */
+    transitionFrameProvider = null;
+    /** @type {Function} - 音频分析提供函数，返回指定音频的逐帧分析或节拍检测结果 */
+    audioAnalysisProvider = null;
     /** @type {Font[]} - 已注册字体集 */
     fonts = [];
     /** @type {Object[]} - 已接受资源列表 */
@@ -95,6 +105,10 @@ export default class Page extends EventEmitter {
     timeActions = {}
     /** @type {Set} - 资源排重Set */
     #resourceSet = new Set();
+    /** @type {number} - 限速首帧时间点 */
+    #frameLimitStartTime = null;
+    /** @type {number} - 限速后已捕获帧数 */
+    #frameLimitCount = 0;
     /** @type {CDPSession} - CDP会话 */
     #cdpSession = null;
     /** @type {boolean} - 是否初始页面 */
@@ -243,6 +257,54 @@ export default class Page extends EventEmitter {
         this.backgroundOpacity = opacity;
     }
 
+    /**
+     * 设置捕获的帧图格式（jpeg/png）
+     * 
+     * @param {string} format - 帧图格式
+     */
+    setCaptureFrameFormat(format) {
+        assert(this.isReady(), "Page state must be ready");
+        assert(["jpeg", "png"].includes(format), "frame format must be jpeg or png");
+        this.captureFrameFormat = format;
+    }
+
+    /**
+     * 设置捕获帧率上限，捕获速度快于实际时间时将等待
+     * 
+     * @param {number} fps - 帧率上限
+     */
+    setFrameRateLimit(fps) {
+        assert(this.isReady(), "Page state must be ready");
+        assert(_.isFinite(fps) && fps > 0, "fps must be number and greater than 0");
+        this.frameRateLimit = fps;
+        this.#frameLimitStartTime = null;
+        this.#frameLimitCount = 0;
+    }
+
+    /**
+     * 设置转场帧图提供函数
+     * 
+     * 转场页面中的转场画布将通过此函数获取转场前后分块的帧图
+     * 
+     * @param {Function} fn - 转场帧图提供函数，参数为画面来源（from/to）和帧索引
+     */
+    setTransitionFrameProvider(fn) {
+        assert(_.isFunction(fn), "Transition frame provider must be Function");
+        this.transitionFrameProvider = fn;
+    }
+
+    /**
+     * 设置音频分析提供函数
+     * 
+     * 页面中的可视化元素将通过此函数获取音频的逐帧分析或节拍检测结果
+     * 
+     * @param {Function} fn - 音频分析提供函数，参数为音频ID和分析类型（frames/beats）
+     */
+    setAudioAnalysisProvider(fn) {
+        assert(_.isFunction(fn), "Audio analysis provider must be Function");
+        this.audioAnalysisProvider = fn;
+    }
+
     /**
      * 注册字体
      * 
@@ -345,10 +407,10 @@ export default class Page extends EventEmitter {
             assert(_.isUndefined(duration) || _.isFinite(duration), "duration must be number");
             assert(_.isUndefined(frameCount) || _.isFinite(frameCount), "frameCount must be number");
             assert(_.isUndefined(videoDecoderHardwareAcceleration) || _.isString(videoDecoderHardwareAcceleration), "videoDecoderHardwareAcceleration must be string");
-            // 指定时长时将计算总帧数
-            if (_.isFinite(duration))
+            // 指定时长时将计算总帧数，同时指定总帧数时以总帧数为准
+            if (_.isFinite(duration) && !_.isFinite(frameCount))
                 frameCount = util.durationToFrameCount(duration, fps);
-            else if (_.isFinite(frameCount))
+            else if (_.isFinite(frameCount) && !_.isFinite(duration))
                 duration = util.frameCountToDuration(frameCount, fps);
             // 页面进入捕获中状态
             this.#setState(Page.STATE.CAPTURING);
@@ -507,6 +569,13 @@ export default class Page extends EventEmitter {
         // 暴露添加音频函数
         await this.target.exposeFunction("____addAudio", this.#addAudio.bind(this));
         await this.target.exposeFunction("____updateAudioEndTime", this.#updateAudioEndTime.bind(this));
+        // 暴露获取音频分析函数
+        await this.target.exposeFunction("____getAudioAnalysis", this.#getAudioAnalysis.bind(this));
+        // 暴露添加字幕函数
+        await this.target.exposeFunction("____addCaption", this.#addCaption.bind(this));
+        await this.target.exposeFunction("____addCaptionTrack", this.#addCaptionTrack.bind(this));
+        // 暴露获取转场帧图函数
+        await this.target.exposeFunction("____getTransitionFrame", this.#getTransitionFrame.bind(this));
         // 暴露抛出错误函数
         await this.target.exposeFunction("____throwError", (code = -1, message = "") => this.#emitError(new Error(`throw error: [${code}] ${message}`)));
         // 页面加载前进行上下文初始化
@@ -517,6 +586,7 @@ export default class Page extends EventEmitter {
             window.____VideoCanvas=${VideoCanvas};
             window.____DynamicImage=${DynamicImage};
             window.____LottieCanvas=${LottieCanvas};
+            window.____TransitionCanvas=${TransitionCanvas};
             window.____CaptureContext=${CaptureContext};
             window.captureCtx=new ____CaptureContext();
         `);
@@ -606,7 +676,7 @@ export default class Page extends EventEmitter {
     async #captureFrame() {
         try {
             // 非兼容渲染模式使用BeginFrame API进行捕获否则使用截图API
-            const frameFormat = this.backgroundOpacity < 1 ? "png" : this.frameFormat;
+            const frameFormat = this.backgroundOpacity < 1 ? "png" : (this.captureFrameFormat || this.frameFormat);
             if (!globalConfig.compatibleRenderingMode) {
                 let timer;
                 // 帧数据捕获
@@ -640,6 +710,7 @@ export default class Page extends EventEmitter {
                 // 帧数据回调
                 this.emit("frame", screenshotData);
             }
+            await this.#waitFrameRateLimit();
             return true;
         }
         catch (err) {
@@ -648,6 +719,57 @@ export default class Page extends EventEmitter {
         }
     }
 
+    /**
+     * 等待到达下一帧的捕获时间点
+     */
+    async #waitFrameRateLimit() {
+        if (!this.frameRateLimit)
+            return;
+        const now = performance.now();
+        this.#frameLimitStartTime = _.defaultTo(this.#frameLimitStartTime, now);
+        // 按首帧时间点计算下一帧的时间点，捕获落后时不等待以追赶进度
+        const nextTime = this.#frameLimitStartTime + ++this.#frameLimitCount * 1000 / this.frameRateLimit;
+        nextTime > now && await new Promise(resolve => setTimeout(resolve, nextTime - now));
+    }
+
+    /**
+     * 获取转场帧图
+     * 
+     * @param {string} source - 画面来源（from/to）
+     * @param {number} index - 帧索引
+     * @returns {string} - 帧图的base64编码
+     */
+    async #getTransitionFrame(source, index) {
+        if (!this.transitionFrameProvider)
+            return null;
+        try {
+            return await this.transitionFrameProvider(source, index);
+        }
+        catch (err) {
+            this.#emitError(err);
+            return null;
+        }
+    }
+
+    /**
+     * 获取音频分析结果
+     * 
+     * @param {number} audioId - 音频ID
+     * @param {string} [type="frames"] - 分析类型（frames/beats）
+     * @returns {Object} - 音频分析结果
+     */
+    async #getAudioAnalysis(audioId, type = "frames") {
+        if (!this.audioAnalysisProvider)
+            return null;
+        try {
+            return await this.audioAnalysisProvider(audioId, type);
+        }
+        catch (err) {
+            this.#emitError(err);
+            return null;
+        }
+    }
+
     /**
      * 添加音频
      * 
@@ -667,6 +789,41 @@ export default class Page extends EventEmitter {
         this.emit("audioUpdate", audioId, { endTime });
     }
 
+    /**
+     * 添加字幕
+     * 
+     * @param {Subtitle} options - 字幕选项
+     */
+    #addCaption(options) {
+        this.emit("subtitleAdd", new Subtitle(options));
+    }
+
+    /**
+     * 添加字幕轨道
+     * 
+     * 轨道中的字幕以轨道开始时间点为起点偏移，超出轨道结束时间点的部分将被裁剪
+     * 
+     * @param {Object} options - 字幕轨道选项
+     * @param {string} options.content - 字幕内容
+     * @param {string} [options.format="vtt"] - 字幕格式（srt/vtt）
+     * @param {number} [options.startTime=0] - 轨道开始时间点（毫秒）
+     * @param {number} [options.endTime=Infinity] - 轨道结束时间点（毫秒）
+     */
+    #addCaptionTrack(options) {
+        const { content, format = "vtt", startTime, endTime } = options;
+        // 页面传递的Infinity经序列化后为null
+        const trackStartTime = _.isFinite(startTime) ? startTime : 0;
+        const trackEndTime = _.isFinite(endTime) ? endTime : Infinity;
+        Subtitle.parse(content, format)
+            .map(subtitle => ({
+                startTime: subtitle.startTime + trackStartTime,
+                endTime: Math.min(subtitle.endTime + trackStartTime, trackEndTime),
+                text: subtitle.text
+            }))
+            .filter(subtitle => subtitle.startTime < subtitle.endTime)
+            .forEach(subtitle => this.#addCaption(subtitle));
+    }
+
     /**
      * 预处理视频
      * 
@@ -901,6 +1058,12 @@ export default class Page extends EventEmitter {
      */
     #resetStates() {
         this.backgroundOpacity = 1;
+        this.captureFrameFormat = null;
+        this.frameRateLimit = null;
+        this.transitionFrameProvider = null;
+        this.audioAnalysisProvider = null;
+        this.#frameLimitStartTime = null;
+        this.#frameLimitCount = 0;
         this.fonts = [];
         this.acceptResources = [];
         this.rejectResources = [];
@@ -921,6 +1084,7 @@ export default class Page extends EventEmitter {
         this.removeAllListeners("videoPreprocess");
         this.removeAllListeners("audioAdd");
         this.removeAllListeners("audioUpdate");
+        this.removeAllListeners("subtitleAdd");
         this.removeAllListeners("error");
         this.removeAllListeners("crashed");
     }
@@ -11,11 +11,14 @@ import cliProgress from "cli-progress";
 import _ from "lodash";
 
 import {
-    SUPPORT_FORMAT, FORMAT_VIDEO_ENCODER_MAP,
-    FORMAT_AUDIO_ENCODER_MAP, VIDEO_ENCODER_MAP, AUDIO_ENCODER_MAP
+    SUPPORT_FORMAT, IMAGE_SEQUENCE_FORMAT, ANIMATED_IMAGE_FORMAT, LIVE_PROTOCOL_FORMAT, FORMAT_VIDEO_ENCODER_MAP, FORMAT_AUDIO_ENCODER_MAP,
+    FORMAT_SUBTITLE_ENCODER_MAP, VIDEO_ENCODER, VIDEO_ENCODER_MAP, AUDIO_ENCODER_MAP, BITSTREAM_FILTER, AUDIO_ROLE, SUBTITLE_MODE
 } from "../lib/const.js";
 import globalConfig from "../lib/global-config.js";
 import Audio from "../entity/Audio.js";
+import Subtitle from "../entity/Subtitle.js";
+import LiveAudioMixer from "./LiveAudioMixer.js";
+import AudioAnalyzer from "./AudioAnalyzer.js";
 import logger from "../lib/logger.js";
 import util from "../lib/util.js";
 
@@ -57,8 +60,14 @@ export default class Synthesizer extends EventEmitter {
     height;
     /** @type {number} - 视频时长 */
     duration;
-    /** @type {string} - 视频格式（mp4/webm） */
+    /** @type {string} - 视频格式（mp4/webm/mov/gif/webp/png-sequence/jpeg-sequence） */
     format;
+    /** @type {number} - 动图播放次数，0为无限循环 */
+    loopCount;
+    /** @type {number} - GIF调色板最大颜色数（4-256） */
+    maxColors;
+    /** @type {string} - 图像序列帧文件名模式，%d或%0Nd将被替换为帧序号 */
+    frameNamePattern;
     /** @type {string} - 附加到视频首帧的封面路径 */
     attachCoverPath;
     /** @type {boolean} - 是否捕获封面并输出*/
@@ -81,14 +90,28 @@ export default class Synthesizer extends EventEmitter {
     audioBitrate;
     /** @type {numer} - 视频音量（0-100） */
     volume;
+    /** @type {Object} - 背景音乐闪避选项，为null时不闪避 */
+    audioDucking = null;
+    /** @type {Object} - 响度标准化选项，为null时不标准化 */
+    audioLoudness = null;
+    /** @type {Object} - 字幕选项 */
+    subtitle = null;
     /** @type {numer} - 并行写入帧数 */
     parallelWriteFrames;
     /** @type {boolean} - 背景不透明度（0-1）仅webm格式支持 */
     backgroundOpacity;
     /** @type {boolean} - 是否在命令行展示进度 */
     showProgress;
+    /** @type {number} - 检查点间隔时间（毫秒），设置后将分段编码，中断后可从最后的检查点恢复 */
+    checkpointInterval;
+    /** @type {Object} - 流媒体打包选项，设置后将在视频合成完成后输出HLS和/或DASH */
+    packaging = null;
+    /** @type {string} - 直播推流地址 */
+    liveOutput = null;
     /** @type {Audio[]} - 音频列表 */
     audios = [];
+    /** @type {Subtitle[]} - 字幕列表 */
+    subtitles = [];
     /** @type {string} - 临时路径 */
     tmpDirPath = path.resolve("tmp/synthesizer/");
     /** @type {number} - 启动时间点 */
@@ -101,6 +124,10 @@ export default class Synthesizer extends EventEmitter {
     _cliProgress = null;
     /** @protected @type {number} - 目标帧数 */
     _targetFrameCount = 0;
+    /** @protected @type {string} - 分段目录路径 */
+    _segmentDirPath;
+    /** @protected @type {number} - 已提交到检查点的帧数 */
+    _committedFrameCount = 0;
     /** @type {Buffer[]} - 帧缓冲区列表 */
     #frameBuffers = null;
     /** @type {Buffer[]} - 帧缓冲区指针 */
@@ -109,17 +136,56 @@ export default class Synthesizer extends EventEmitter {
     #pipeStream = null;
     /** @type {FfmpegCommand} - 当前编码器 */
     #encoder = null;
+    /** @type {Object[]} - 已提交的分段列表 */
+    #segments = [];
+    /** @type {string} - 当前分段列表文件路径 */
+    #segmentListPath = null;
+    /** @type {boolean} - 分段是否已在外部编码完成 */
+    #segmentsProvided = false;
+    /** @type {boolean} - 编码是否被中断 */
+    #interrupted = false;
+    /** @type {Function} - 中断完成回调函数 */
+    #suspendCallback = null;
+    /** @type {Function} - 恢复编码回调函数 */
+    #resumeCallback = null;
+    /** @type {Promise} - 图像序列输出目录创建承诺 */
+    #frameDirPromise = null;
+    /** @type {Set<Promise>} - 写入中的帧文件 */
+    #frameWrites = new Set();
+    /** @type {number} - 已写入的帧文件数量 */
+    #writtenFrameCount = 0;
+    /** @type {Error} - 帧文件写入错误 */
+    #frameWriteError = null;
+    /** @type {Promise} - 帧输入结束承诺 */
+    #inputEndPromise = null;
+    /** @type {Function} - 帧输入结束回调函数 */
+    #inputEndCallback = null;
+    /** @type {boolean} - 图像序列是否已终止 */
+    #imageSequenceAborted = false;
+    /** @type {LiveAudioMixer} - 直播音频混音器 */
+    #liveAudioMixer = null;
+    /** @type {Object} - 首次分析测得的混音响度 */
+    #loudnessMeasurement = null;
+    /** @type {Object} - 响度标准化报告 */
+    #loudnessReport = null;
+    /** @type {string} - 用于封装或烧录的字幕文件路径 */
+    #subtitleFilePath = null;
+    /** @type {Map<Audio, Object>} - 音频分析结果，按分析类型缓存 */
+    #audioAnalyses = new Map();
 
     /**
      * 构造函数
      * 
      * @param {Object} options - 序列帧合成器选项
-     * @param {string} options.outputPath - 导出视频路径
+     * @param {string} options.outputPath - 导出视频路径，图像序列格式时为输出目录路径，设置liveOutput时可不提供
      * @param {number} options.width - 视频宽度
      * @param {number} options.height - 视频高度
      * @param {number} options.duration - 视频时长
      * @param {number} [options.fps=30] - 视频合成帧率
-     * @param {string} [options.format] - 导出视频格式（mp4/webm）
+     * @param {string} [options.format] - 导出视频格式（mp4/webm/mov/gif/webp/png-sequence/jpeg-sequence）
+     * @param {number} [options.loopCount=0] - 动图播放次数，0为无限循环，仅gif和webp格式支持
+     * @param {number} [options.maxColors=256] - GIF调色板最大颜色数（4-256）
+     * @param {string} [options.frameNamePattern] - 图像序列帧文件名模式，%d或%0Nd将被替换为从0开始的帧序号，默认frame_%06d.png或frame_%06d.jpg
      * @param {string} [options.attachCoverPath] - 附加到视频首帧的封面路径
      * @param {string} [options.coverCapture=false] - 是否捕获封面并输出
      * @param {number} [options.coverCaptureTime] - 封面捕获时间点（毫秒）
@@ -131,23 +197,54 @@ export default class Synthesizer extends EventEmitter {
      * @param {string} [options.audioEncoder="aac"] - 音频编码器
      * @param {string} [options.audioBitrate] - 音频码率
      * @param {number} [options.volume=100] - 视频音量（0-100）
+     * @param {boolean|Object} [options.audioDucking=true] - 背景音乐闪避选项，旁白（voice）播放时压低背景音乐（music），设置为false关闭
+     * @param {number} [options.audioDucking.threshold=0.05] - 触发闪避的旁白电平阈值（0-1）
+     * @param {number} [options.audioDucking.ratio=8] - 压缩比（1-20）
+     * @param {number} [options.audioDucking.attack=20] - 起始时间（毫秒）
+     * @param {number} [options.audioDucking.release=400] - 释放时间（毫秒）
+     * @param {number|Object} [options.audioLoudness] - 响度标准化选项，设置后将对混音进行两次loudnorm处理，数字时为目标综合响度（LUFS）
+     * @param {number} [options.audioLoudness.integrated=-14] - 目标综合响度（LUFS，-70至-5）
+     * @param {number} [options.audioLoudness.truePeak=-1] - 最大真峰值（dBTP，-9至0）
+     * @param {number} [options.audioLoudness.range=11] - 目标响度范围（LU，1至50）
+     * @param {Object} [options.subtitle] - 字幕选项，仅mp4、webm和mov格式支持
+     * @param {string} [options.subtitle.path] - 字幕文件路径（.srt/.vtt/.ass），srt和vtt文件将被解析为字幕列表
+     * @param {Subtitle[]} [options.subtitle.cues] - 字幕列表
+     * @param {string} [options.subtitle.mode="soft"] - 字幕模式（soft/burn），软字幕作为独立字幕流封装，硬字幕烧录到画面中
+     * @param {string} [options.subtitle.language] - 软字幕语言代码（ISO 639-2，如chi、eng）
+     * @param {string} [options.subtitle.style] - 硬字幕样式，使用ASS样式字段覆盖默认样式（如FontName=Arial,FontSize=24）
+     * @param {string} [options.subtitle.sidecar] - 外挂字幕格式（srt/vtt），设置后将在输出路径旁写入同名字幕文件
+     * @param {boolean} [options.subtitle.embed=true] - 是否将字幕封装或烧录到视频中，仅需外挂字幕时可关闭
      * @param {number} [options.parallelWriteFrames=10] - 并行写入帧数
      * @param {boolean} [options.backgroundOpacity=1] - 背景不透明度（0-1），仅webm格式支持
      * @param {boolean} [options.showProgress=false] - 是否在命令行展示进度
+     * @param {number} [options.checkpointInterval] - 检查点间隔时间（毫秒），设置后将分段编码，中断后可从最后的检查点恢复
+     * @param {Object} [options.packaging] - 流媒体打包选项，仅mp4格式支持
+     * @param {boolean} [options.packaging.hls=false] - 是否输出HLS
+     * @param {boolean} [options.packaging.dash=false] - 是否输出DASH
+     * @param {number} [options.packaging.segmentDuration=4000] - 切片时长（毫秒）
+     * @param {string} [options.packaging.outputDirPath] - 打包输出目录路径，默认为输出路径去除后缀名
+     * @param {Object[]} [options.packaging.renditions] - 多码率档位列表，默认只输出原始分辨率
+     * @param {number} options.packaging.renditions[].height - 档位视频高度，宽度按比例计算
+     * @param {string} [options.packaging.renditions[].videoBitrate] - 档位视频码率
+     * @param {string} [options.packaging.renditions[].audioBitrate] - 档位音频码率
+     * @param {string} [options.liveOutput] - 直播推流地址（rtmp/rtmps/srt/udp/tcp/file协议），设置后将按实时速度推流而不输出文件，仅mp4格式的H264或H265编码支持
      */
     constructor(options) {
         super();
         assert(_.isObject(options), "Synthesizer options must be object");
-        const { width, height, fps, duration, format, outputPath,
+        const { width, height, fps, duration, format, outputPath, frameNamePattern, loopCount, maxColors,
             attachCoverPath, coverCapture, coverCaptureTime, coverCaptureFormat,
             videoEncoder, videoQuality, videoBitrate, pixelFormat, audioEncoder,
-            audioBitrate, volume, parallelWriteFrames, backgroundOpacity, showProgress } = options;
+            audioBitrate, volume, audioDucking, audioLoudness, subtitle, parallelWriteFrames, backgroundOpacity, showProgress, checkpointInterval, packaging, liveOutput } = options;
         assert(_.isFinite(width) && width % 2 === 0, "width must be even number");
         assert(_.isFinite(height) && height % 2 === 0, "height must be even number");
         assert(_.isFinite(duration), "synthesis duration must be number");
-        assert(_.isString(outputPath) || this._isVideoChunk(), "outputPath must be string");
+        assert(_.isString(outputPath) || this._isVideoChunk() || _.isString(liveOutput), "outputPath must be string");
         assert(_.isUndefined(fps) || _.isFinite(fps), "synthesis fps must be number");
-        assert(_.isUndefined(format) || SUPPORT_FORMAT.includes(format), `format ${format} is not supported`);
+        assert(_.isUndefined(format) || SUPPORT_FORMAT.includes(format) || IMAGE_SEQUENCE_FORMAT[format], `format ${format} is not supported`);
+        assert(_.isUndefined(loopCount) || (_.isInteger(loopCount) && loopCount >= 0), "loopCount must be integer and not less than 0");
+        assert(_.isUndefined(maxColors) || (_.isInteger(maxColors) && maxColors >= 4 && maxColors <= 256), "maxColors must be integer between 4 and 256");
+        assert(_.isUndefined(frameNamePattern) || (_.isString(frameNamePattern) && /%0?\d*d/.test(frameNamePattern)), "frameNamePattern must be string and contain %d or %0Nd");
         assert(_.isUndefined(attachCoverPath) || _.isString(attachCoverPath), "attachCoverPath must be string");
         assert(_.isUndefined(coverCapture) || _.isBoolean(coverCapture), "coverCapture must be boolean");
         assert(_.isUndefined(coverCaptureTime) || _.isFinite(coverCaptureTime), "coverCaptureTime must be number");
@@ -162,6 +259,11 @@ export default class Synthesizer extends EventEmitter {
         assert(_.isUndefined(parallelWriteFrames) || _.isFinite(parallelWriteFrames), "parallelWriteFrames must be number");
         assert(_.isUndefined(backgroundOpacity) || _.isFinite(backgroundOpacity), "backgroundOpacity must be number");
         assert(_.isUndefined(showProgress) || _.isBoolean(showProgress), "showProgress must be boolean")
+        assert(_.isUndefined(checkpointInterval) || (_.isFinite(checkpointInterval) && checkpointInterval > 0), "checkpointInterval must be number and greater than 0");
+        assert(_.isUndefined(checkpointInterval) || !this._isVideoChunk(), "checkpointInterval is not supported by VideoChunk");
+        assert(_.isUndefined(liveOutput) || (_.isString(liveOutput) && LIVE_PROTOCOL_FORMAT[Synthesizer.#getProtocol(liveOutput)]), `liveOutput must be ${Object.keys(LIVE_PROTOCOL_FORMAT).join("/")} URL`);
+        // 直播推流时没有输出路径，需在解析打包选项前检查
+        assert(_.isUndefined(liveOutput) || _.isUndefined(packaging), "packaging is not supported by liveOutput");
         if (!format && outputPath && !this._isVideoChunk()) {
             const _format = path.extname(outputPath).substring(1);
             if (!_format)
@@ -184,18 +286,57 @@ export default class Synthesizer extends EventEmitter {
         this.coverCapture = _.defaultTo(coverCapture, false);
         this.coverCaptureTime = coverCaptureTime;
         this.coverCaptureFormat = _.defaultTo(coverCaptureFormat, "jpg");
-        this.videoEncoder = _.defaultTo(videoEncoder, _.defaultTo(this.format == "webm" ? globalConfig.webmEncoder : globalConfig.mp4Encoder, FORMAT_VIDEO_ENCODER_MAP[this.format][0] || "libx264"));
+        if (this.isImageSequence()) {
+            assert(!this._isVideoChunk(), "Image sequence format is not supported by VideoChunk");
+            assert(!coverCapture && !attachCoverPath, "coverCapture and attachCoverPath are not supported by image sequence format");
+            assert(_.isUndefined(checkpointInterval), "checkpointInterval is not supported by image sequence format");
+            const extname = IMAGE_SEQUENCE_FORMAT[this.format] == "jpeg" ? "jpg" : "png";
+            this.frameNamePattern = _.defaultTo(frameNamePattern, `frame_%06d.${extname}`);
+        }
+        else {
+            const globalEncoder = { mp4: globalConfig.mp4Encoder, webm: globalConfig.webmEncoder }[this.format];
+            this.videoEncoder = _.defaultTo(videoEncoder, _.defaultTo(globalEncoder, FORMAT_VIDEO_ENCODER_MAP[this.format][0] || "libx264"));
+        }
+        if (this.isAnimatedImage()) {
+            assert(!this._isVideoChunk(), "Animated image format is not supported by VideoChunk");
+            assert(_.isUndefined(checkpointInterval), "checkpointInterval is not supported by animated image format");
+        }
+        this.loopCount = _.defaultTo(loopCount, 0);
+        this.maxColors = _.defaultTo(maxColors, 256);
         this.videoQuality = _.defaultTo(videoQuality, 100);
         this.videoBitrate = videoBitrate;
-        this.audioEncoder = _.defaultTo(audioEncoder, _.defaultTo(globalConfig.audioEncoder, FORMAT_AUDIO_ENCODER_MAP[this.format][0] || "aac"));
+        this.audioEncoder = _.defaultTo(audioEncoder, _.defaultTo(globalConfig.audioEncoder, _.get(FORMAT_AUDIO_ENCODER_MAP, [this.format, 0]) || "aac"));
         this.audioBitrate = audioBitrate;
         this.volume = _.defaultTo(volume, 100);
-        this.parallelWriteFrames = _.defaultTo(parallelWriteFrames, 10);
+        audioDucking !== false && (this.audioDucking = this.#normalizeAudioDucking(audioDucking));
+        !_.isNil(audioLoudness) && (this.audioLoudness = this.#normalizeAudioLoudness(audioLoudness));
+        // 直播推流逐帧写入以降低延迟
+        this.parallelWriteFrames = _.defaultTo(parallelWriteFrames, liveOutput ? 1 : 10);
         this.backgroundOpacity = _.defaultTo(backgroundOpacity, 1);
-        this.pixelFormat = _.defaultTo(pixelFormat, this.hasAlphaChannel ? "yuva420p" : "yuv420p");
+        // GIF先以RGB无损编码中间视频再生成调色板
+        if (this.format == "gif")
+            this.pixelFormat = _.defaultTo(pixelFormat, "bgra");
+        // QuickTime Animation使用RGB，ProRes 4444使用10位4:4:4采样
+        else if (this.format == "mov") {
+            if (this.getVideoEncodingType() == "QTRLE")
+                this.pixelFormat = _.defaultTo(pixelFormat, this.hasAlphaChannel ? "argb" : "rgb24");
+            else
+                this.pixelFormat = _.defaultTo(pixelFormat, this.hasAlphaChannel ? "yuva444p10le" : "yuv444p10le");
+        }
+        else
+            this.pixelFormat = _.defaultTo(pixelFormat, this.hasAlphaChannel ? "yuva420p" : "yuv420p");
         this.showProgress = _.defaultTo(showProgress, false);
+        this.checkpointInterval = checkpointInterval;
+        packaging && (this.packaging = this.#normalizePackaging(packaging));
+        this.subtitle = this.#normalizeSubtitle(subtitle);
+        if (liveOutput) {
+            this.liveOutput = liveOutput;
+            this.#checkLiveOutput();
+            this.#liveAudioMixer = this.#createLiveAudioMixer();
+        }
         this.#frameBuffers = new Array(this.parallelWriteFrames);
         this._swapFilePath = path.join(this.tmpDirPath, `${uniqid("video_")}.${this.format}`);
+        this._segmentDirPath = path.join(this.tmpDirPath, uniqid("segments_"));
         this._targetFrameCount = util.durationToFrameCount(this.duration, this.fps);
         if (this.showProgress) {
             this._cliProgress = new cliProgress.SingleBar({
@@ -209,58 +350,561 @@ export default class Synthesizer extends EventEmitter {
      * 启动合成
      */
     start() {
-        if (!this.#pipeStream)
+        if (this.isImageSequence())
+            this.#inputEndPromise = new Promise(resolve => this.#inputEndCallback = resolve);
+        else if (!this.#pipeStream)
             this.#pipeStream = new PassThrough();
         assert(this.isReady(), "Synthesizer status is not READY, please reset the synthesizer: synthesizer.reset()");
         this.#setState(Synthesizer.STATE.SYNTHESIZING);
         this._startupTime = _.defaultTo(this._startupTime, performance.now());
         this._targetFrameCount = util.durationToFrameCount(this.duration, this.fps);
         (async () => {
-            await fs.ensureDir(path.dirname(this.outputPath));
+            this.outputPath && await fs.ensureDir(path.dirname(this.outputPath));
             await fs.ensureDir(this.tmpDirPath);
             // 等待启动前已添加的音频加载完成
             await this.#waitForAudiosLoaded();
-            await new Promise((resolve, reject) => {
-                this._createVideoEncoder()
-                    .once("start", cmd => util.ffmpegLog(cmd))
-                    .on("progress", e => {
-                        if (!this._targetFrameCount)
-                            return this._emitProgress(0, 0, 0);
-                        const progres = e.frames / this._targetFrameCount;
-                        this._emitProgress(progres * (this.audioSynthesis ? 98 : 100), e.frames, this._targetFrameCount);
-                    })
-                    .once("error", reject)
-                    .once("end", resolve)
-                    .run();
-            });
-            if (!this._isVideoChunk()) {
-                if (this.audioSynthesis) {
+            // 图像序列直接写入帧文件
+            if (this.isImageSequence())
+                await this.#writeImageSequence();
+            // 分段已在外部编码完成时直接拼接
+            else if (this.#segmentsProvided) {
+                await this.#concatSegments();
+                await fs.remove(this._segmentDirPath);
+            }
+            // 启用检查点时分段编码再拼接
+            else if (this.checkpointInterval)
+                await this.#encodeSegments();
+            else
+                await this.#runVideoEncoder();
+            // GIF使用调色板二次编码
+            this.format == "gif" && await this.#encodeGif();
+            // 图像序列不合成音频，音频时间轴写入清单
+            if (this.isImageSequence())
+                await this.#writeManifest();
+            // 直播推流的音频已实时混音
+            else if (!this._isVideoChunk() && !this.isLiveStreaming()) {
+                if (this.isAnimatedImage() && this.audios.length > 0)
+                    logger.warn(`Format ${this.format} does not support audio, ${this.audios.length} audios have been dropped`);
+                if (this.isAnimatedImage() && this.subtitles.length > 0)
+                    logger.warn(`Format ${this.format} does not support subtitle, ${this.subtitles.length} subtitles have been dropped`);
+                // 音频和字幕在同一次封装中合入
+                if (this.audioSynthesis || this.subtitleSynthesis) {
                     // 等待渲染期间新添加的音频加载完成
                     await this.#waitForAudiosLoaded();
+                    // 响度标准化首次分析混音响度
+                    this.audioLoudness && this.audioSynthesis && await this.#measureLoudness();
+                    // 生成用于封装或烧录的字幕文件
+                    this.#subtitleFilePath = this.subtitleSynthesis ? await this.#writeSubtitleFile() : null;
                     await new Promise((resolve, reject) => {
                         this._createAudioEncoder()
                             .once("start", cmd => util.ffmpegLog(cmd))
                             .on("progress", e => this._emitProgress(98 + ((e.percent || 0) * 0.02), this._targetFrameCount, this._targetFrameCount))
                             .once("error", reject)
-                            .once("end", resolve)
+                            .once("end", (stdout, stderr) => {
+                                this.#loudnessMeasurement && this.#reportLoudness(stderr);
+                                resolve();
+                            })
                             .run();
                     });
                     await fs.remove(this._swapFilePath);
+                    // 移除生成的字幕文件
+                    this.#subtitleFilePath && this.#subtitleFilePath != this.subtitle.path && await fs.remove(this.#subtitleFilePath);
+                    this.#subtitleFilePath = null;
                 }
                 else
                     await fs.move(this._swapFilePath, this.outputPath, { overwrite: true });
             }
+            // 写入外挂字幕文件
+            this.subtitleSidecarPath && await this.#writeSubtitleSidecar();
             this.coverCapture && await this.#captureCover();
+            // 从合成的视频打包流媒体
+            if (this.packaging) {
+                this.packaging.hls && await this.#packageStream("hls");
+                this.packaging.dash && await this.#packageStream("dash");
+            }
             this.#setState(Synthesizer.STATE.COMPLETED);
             this._emitCompleted();
         })()
             .catch(err => this._emitError(err));
     }
 
+    /**
+     * 运行视频编码器
+     */
+    async #runVideoEncoder() {
+        // 直播推流时先启动混音器等待编码器连接
+        this.isLiveStreaming() && await this.#liveAudioMixer.listen();
+        await new Promise((resolve, reject) => {
+            this._createVideoEncoder()
+                .once("start", cmd => util.ffmpegLog(cmd))
+                .on("progress", e => {
+                    if (!this._targetFrameCount)
+                        return this._emitProgress(0, 0, 0);
+                    // 从检查点恢复时需加上已提交的帧数
+                    const frames = this._committedFrameCount + e.frames;
+                    const progres = frames / this._targetFrameCount;
+                    this._emitProgress(progres * (this.audioSynthesis || this.format == "gif" ? 98 : 100), frames, this._targetFrameCount);
+                })
+                // 编码被中断时管道可能提前关闭，已提交的分段仍然有效
+                .once("error", err => this.#interrupted ? resolve() : reject(err))
+                .once("end", resolve)
+                .run();
+        });
+    }
+
+    /**
+     * 校验并规范化背景音乐闪避选项
+     * 
+     * @param {boolean|Object} audioDucking - 背景音乐闪避选项
+     * @returns {Object} - 规范化的背景音乐闪避选项
+     */
+    #normalizeAudioDucking(audioDucking) {
+        assert(_.isUndefined(audioDucking) || _.isBoolean(audioDucking) || _.isPlainObject(audioDucking), "audioDucking must be boolean or Object");
+        const { threshold, ratio, attack, release } = _.isPlainObject(audioDucking) ? audioDucking : {};
+        assert(_.isUndefined(threshold) || (_.isFinite(threshold) && threshold > 0 && threshold <= 1), "audioDucking.threshold must be number between 0 and 1");
+        assert(_.isUndefined(ratio) || (_.isFinite(ratio) && ratio >= 1 && ratio <= 20), "audioDucking.ratio must be number between 1 and 20");
+        assert(_.isUndefined(attack) || (_.isFinite(attack) && attack > 0 && attack <= 2000), "audioDucking.attack must be number between 0 and 2000");
+        assert(_.isUndefined(release) || (_.isFinite(release) && release > 0 && release <= 9000), "audioDucking.release must be number between 0 and 9000");
+        return {
+            threshold: _.defaultTo(threshold, 0.05),
+            ratio: _.defaultTo(ratio, 8),
+            attack: _.defaultTo(attack, 20),
+            release: _.defaultTo(release, 400)
+        };
+    }
+
+    /**
+     * 校验并规范化响度标准化选项
+     * 
+     * @param {number|Object} audioLoudness - 响度标准化选项
+     * @returns {Object} - 规范化的响度标准化选项
+     */
+    #normalizeAudioLoudness(audioLoudness) {
+        assert(_.isFinite(audioLoudness) || _.isPlainObject(audioLoudness), "audioLoudness must be number or Object");
+        assert(!this._isVideoChunk(), "audioLoudness is not supported by VideoChunk");
+        const { integrated, truePeak, range } = _.isFinite(audioLoudness) ? { integrated: audioLoudness } : audioLoudness;
+        assert(_.isUndefined(integrated) || (_.isFinite(integrated) && integrated >= -70 && integrated <= -5), "audioLoudness.integrated must be number between -70 and -5");
+        assert(_.isUndefined(truePeak) || (_.isFinite(truePeak) && truePeak >= -9 && truePeak <= 0), "audioLoudness.truePeak must be number between -9 and 0");
+        assert(_.isUndefined(range) || (_.isFinite(range) && range >= 1 && range <= 50), "audioLoudness.range must be number between 1 and 50");
+        return {
+            integrated: _.defaultTo(integrated, -14),
+            truePeak: _.defaultTo(truePeak, -1),
+            range: _.defaultTo(range, 11)
+        };
+    }
+
+    /**
+     * 校验并规范化字幕选项
+     * 
+     * srt和vtt字幕文件将被解析并添加到字幕列表，ass字幕文件保留样式直接使用
+     * 
+     * @param {Object} [subtitle] - 字幕选项
+     * @returns {Object} - 规范化的字幕选项
+     */
+    #normalizeSubtitle(subtitle = {}) {
+        assert(_.isPlainObject(subtitle), "subtitle must be Object");
+        const { path: subtitlePath, cues, mode, language, style, sidecar, embed } = subtitle;
+        const extname = _.isString(subtitlePath) ? util.getPathExtname(subtitlePath).toLowerCase() : null;
+        assert(_.isUndefined(subtitlePath) || ["srt", "vtt", "ass"].includes(extname), "subtitle.path must be srt, vtt or ass file path");
+        assert(_.isUndefined(cues) || _.isArray(cues), "subtitle.cues must be Array");
+        assert(_.isUndefined(mode) || Object.values(SUBTITLE_MODE).includes(mode), `subtitle.mode must be ${Object.values(SUBTITLE_MODE).join("/")}`);
+        assert(_.isUndefined(language) || (_.isString(language) && /^[a-z]{3}$/.test(language)), "subtitle.language must be ISO 639-2 code");
+        assert(_.isUndefined(style) || (_.isString(style) && !style.includes("'")), "subtitle.style must be string and not contain single quote");
+        assert(_.isUndefined(sidecar) || sidecar == "srt" || sidecar == "vtt", "subtitle.sidecar must be srt or vtt");
+        assert(_.isUndefined(embed) || _.isBoolean(embed), "subtitle.embed must be boolean");
+        assert(extname != "ass" || !this._isVideoChunk(), "ass subtitle file is not supported by VideoChunk");
+        assert(!sidecar || !this._isVideoChunk(), "subtitle.sidecar is not supported by VideoChunk");
+        assert(!sidecar || extname != "ass", "subtitle.sidecar is not supported with ass subtitle file");
+        assert(!sidecar || !this.isAnimatedImage(), `Format ${this.format} does not support subtitle`);
+        if (subtitlePath || cues) {
+            assert(!this.isImageSequence() || extname != "ass", "ass subtitle file is not supported by image sequence format");
+            assert(!this.isAnimatedImage(), `Format ${this.format} does not support subtitle`);
+        }
+        if (extname == "srt" || extname == "vtt")
+            this.addSubtitles(Subtitle.load(subtitlePath));
+        cues && this.addSubtitles(cues);
+        return {
+            path: extname == "ass" ? path.resolve(subtitlePath) : null,
+            mode: _.defaultTo(mode, SUBTITLE_MODE.SOFT),
+            language,
+            style,
+            sidecar: _.defaultTo(sidecar, null),
+            embed: _.defaultTo(embed, true)
+        };
+    }
+
+    /**
+     * 校验并规范化流媒体打包选项
+     * 
+     * @param {Object} packaging - 流媒体打包选项
+     * @returns {Object} - 规范化的流媒体打包选项
+     */
+    #normalizePackaging(packaging) {
+        assert(_.isPlainObject(packaging), "packaging must be Object");
+        const { hls, dash, segmentDuration, outputDirPath, renditions } = packaging;
+        assert(_.isUndefined(hls) || _.isBoolean(hls), "packaging.hls must be boolean");
+        assert(_.isUndefined(dash) || _.isBoolean(dash), "packaging.dash must be boolean");
+        assert(hls || dash, "packaging requires hls or dash to be enabled");
+        assert(_.isUndefined(segmentDuration) || (_.isFinite(segmentDuration) && segmentDuration > 0), "packaging.segmentDuration must be number and greater than 0");
+        assert(_.isUndefined(outputDirPath) || _.isString(outputDirPath), "packaging.outputDirPath must be string");
+        assert(_.isUndefined(renditions) || (_.isArray(renditions) && renditions.length > 0), "packaging.renditions must be non-empty Array");
+        assert(_.isUndefined(renditions) || _.uniqBy(renditions, "height").length == renditions.length, "packaging.renditions height must be unique");
+        assert(!this._isVideoChunk(), "packaging is not supported by VideoChunk");
+        assert(this.format == "mp4", "packaging only supports mp4 format");
+        const encodingType = this.getVideoEncodingType();
+        assert(encodingType == "H264" || encodingType == "H265", `Video encoder ${this.videoEncoder} does not support packaging, only support encoding using H264 and H265`);
+        const parsedPath = path.parse(this.outputPath);
+        return {
+            hls: _.defaultTo(hls, false),
+            dash: _.defaultTo(dash, false),
+            segmentDuration: _.defaultTo(segmentDuration, 4000),
+            outputDirPath: path.resolve(_.defaultTo(outputDirPath, path.join(parsedPath.dir, parsedPath.name))),
+            renditions: (renditions || [{ height: this.height }]).map((rendition, index) => {
+                assert(_.isObject(rendition), `packaging.renditions[${index}] must be Object`);
+                const { height, videoBitrate, audioBitrate } = rendition;
+                assert(_.isFinite(height) && height > 0 && height % 2 === 0, `packaging.renditions[${index}].height must be even number`);
+                assert(_.isUndefined(videoBitrate) || _.isString(videoBitrate), `packaging.renditions[${index}].videoBitrate must be string`);
+                assert(_.isUndefined(audioBitrate) || _.isString(audioBitrate), `packaging.renditions[${index}].audioBitrate must be string`);
+                // 按原始宽高比计算偶数宽度
+                const width = Math.round(this.width * height / this.height / 2) * 2;
+                return {
+                    name: `${height}p`,
+                    width,
+                    height,
+                    // 未指定码率时按像素总量计算，与视频编码器一致
+                    videoBitrate: _.defaultTo(videoBitrate, _.defaultTo(this.videoBitrate, `${Math.round((2560 / 921600 * width * height) * (this.videoQuality / 100))}k`)),
+                    audioBitrate: _.defaultTo(audioBitrate, _.defaultTo(this.audioBitrate, "128k"))
+                };
+            })
+        };
+    }
+
+    /**
+     * 打包流媒体
+     * 
+     * 从合成的视频转码所有档位并切片输出，所有档位在相同的时间点插入关键帧以保证切片对齐
+     * 
+     * @param {string} type - 打包类型（hls/dash）
+     */
+    async #packageStream(type) {
+        const { outputPath, videoEncoder, audioEncoder, audioSynthesis } = this;
+        const { segmentDuration, renditions } = this.packaging;
+        const dirPath = path.join(this.packaging.outputDirPath, type);
+        await fs.remove(dirPath);
+        await fs.ensureDir(dirPath);
+        const segmentTime = segmentDuration / 1000;
+        const packager = ffmpeg().input(outputPath);
+        // 将视频流拆分并缩放到各档位
+        const splitOutputs = renditions.map((rendition, index) => `[v${index}]`).join("");
+        const scaleFilters = renditions.map(({ width, height }, index) => `[v${index}]scale=${width}:${height}[v${index}out]`);
+        packager.complexFilter(`[0:v]split=${renditions.length}${splitOutputs};${scaleFilters.join(";")}`);
+        renditions.forEach(({ videoBitrate }, index) => {
+            packager.outputOptions([
+                "-map", `[v${index}out]`,
+                `-c:v:${index}`, videoEncoder,
+                `-b:v:${index}`, videoBitrate
+            ]);
+        });
+        // HLS每个档位都需要音频流，DASH的音频流共享
+        const audioCount = audioSynthesis ? (type == "hls" ? renditions.length : 1) : 0;
+        for (let index = 0; index < audioCount; index++) {
+            packager.outputOptions([
+                "-map", "0:a",
+                `-c:a:${index}`, audioEncoder,
+                `-b:a:${index}`, renditions[index].audioBitrate
+            ]);
+        }
+        packager.outputOption("-force_key_frames", `expr:gte(t,n_forced*${segmentTime})`);
+        // 禁止场景切换插入关键帧
+        videoEncoder == VIDEO_ENCODER.CPU.H264 && packager.outputOption("-sc_threshold", 0);
+        if (type == "hls") {
+            const streamMap = renditions.map(({ name }, index) => `v:${index}${audioCount ? `,a:${index}` : ""},name:${name}`);
+            packager
+                .outputOption("-hls_time", segmentTime)
+                .outputOption("-hls_playlist_type", "vod")
+                .outputOption("-hls_segment_filename", path.join(dirPath, "stream_%v_%05d.ts"))
+                // 主播放列表输出到档位播放列表所在目录
+                .outputOption("-master_pl_name", path.basename(this.hlsPath))
+                .outputOption("-var_stream_map", streamMap.join(" "))
+                .toFormat("hls")
+                .output(path.join(dirPath, "stream_%v.m3u8"));
+        }
+        else {
+            packager
+                .outputOption("-seg_duration", segmentTime)
+                .outputOption("-use_template", 1)
+                .outputOption("-use_timeline", 1)
+                .outputOption("-adaptation_sets", audioCount ? "id=0,streams=v id=1,streams=a" : "id=0,streams=v")
+                .toFormat("dash")
+                .output(this.dashPath);
+        }
+        await new Promise((resolve, reject) => {
+            packager
+                .once("start", cmd => util.ffmpegLog(cmd))
+                .once("error", reject)
+                .once("end", resolve)
+                .run();
+        });
+    }
+
+    /**
+     * 使用调色板编码GIF
+     * 
+     * 第一遍从中间视频生成调色板，第二遍使用调色板编码GIF到交换文件
+     */
+    async #encodeGif() {
+        const { maxColors, hasAlphaChannel, videoEncoder, _swapFilePath } = this;
+        const sourcePath = this.#getGifSourcePath();
+        const palettePath = path.join(this.tmpDirPath, `${uniqid("palette_")}.png`);
+        await new Promise((resolve, reject) => {
+            ffmpeg()
+                .input(sourcePath)
+                // 无透明通道时无需保留透明色
+                .videoFilter(`palettegen=max_colors=${maxColors}:reserve_transparent=${hasAlphaChannel ? 1 : 0}`)
+                .output(palettePath)
+                .once("start", cmd => util.ffmpegLog(cmd))
+                .once("error", reject)
+                .once("end", resolve)
+                .run();
+        });
+        await new Promise((resolve, reject) => {
+            ffmpeg()
+                .input(sourcePath)
+                .input(palettePath)
+                .complexFilter(`[0:v][1:v]paletteuse${hasAlphaChannel ? "=alpha_threshold=128" : ""}`)
+                .videoCodec(videoEncoder)
+                .outputOption("-loop", this.#getLoopOption())
+                .toFormat("gif")
+                .output(_swapFilePath)
+                .once("start", cmd => util.ffmpegLog(cmd))
+                .on("progress", e => this._emitProgress(98 + ((e.percent || 0) * 0.02)))
+                .once("error", reject)
+                .once("end", resolve)
+                .run();
+        });
+        await fs.remove(sourcePath);
+        await fs.remove(palettePath);
+    }
+
+    /**
+     * 获取GIF中间视频路径
+     * 
+     * @returns {string} - 中间视频路径
+     */
+    #getGifSourcePath() {
+        return this._swapFilePath.replace(/\.gif$/, ".mkv");
+    }
+
+    /**
+     * 获取动图循环参数
+     * 
+     * GIF的-loop为重复次数（-1为不重复），WebP的-loop为播放次数
+     * 
+     * @returns {number} - 循环参数
+     */
+    #getLoopOption() {
+        if (!this.loopCount)
+            return 0;
+        if (this.format == "gif")
+            return this.loopCount == 1 ? -1 : this.loopCount - 1;
+        return this.loopCount;
+    }
+
+    /**
+     * 写入图像序列
+     * 
+     * 帧在输入时已开始写入，等待帧输入结束且所有帧文件写入完成
+     */
+    async #writeImageSequence() {
+        await fs.ensureDir(this.outputPath);
+        await this.#inputEndPromise;
+        await Promise.all(this.#frameWrites);
+        // 已终止时不写入清单
+        if (this.#imageSequenceAborted)
+            throw new Error("Render aborted");
+        if (this.#frameWriteError)
+            throw this.#frameWriteError;
+    }
+
+    /**
+     * 写入帧文件
+     * 
+     * @param {Buffer} buffer - 帧缓冲区
+     */
+    #writeFrame(buffer) {
+        const framePath = path.join(this.outputPath, this.getFrameFileName(this._frameCount++));
+        if (!this.#frameDirPromise)
+            this.#frameDirPromise = fs.ensureDir(this.outputPath);
+        const promise = this.#frameDirPromise
+            .then(() => fs.writeFile(framePath, buffer))
+            .then(() => {
+                this.#writtenFrameCount++;
+                this._targetFrameCount && this._emitProgress(this.#writtenFrameCount / this._targetFrameCount * 100);
+            })
+            .catch(err => this.#frameWriteError = this.#frameWriteError || err)
+            .finally(() => this.#frameWrites.delete(promise));
+        this.#frameWrites.add(promise);
+    }
+
+    /**
+     * 写入图像序列清单
+     * 
+     * 清单包含帧信息及音频时间轴，供其它工具合成时使用
+     */
+    async #writeManifest() {
+        const { format, width, height, fps, frameNamePattern } = this;
+        // 使用精确的帧时长，便于其它工具按帧对齐音频
+        const outputDuration = this._frameCount / fps * 1000;
+        await fs.writeJSON(this.manifestPath, {
+            format,
+            width,
+            height,
+            fps,
+            frameCount: this._frameCount,
+            duration: outputDuration,
+            frameNamePattern,
+            frameStartNumber: 0,
+            audios: this.audios.map(audio => ({
+                ..._.pick(audio, ["path", "url", "startTime", "loop", "volume", "role", "seekStart", "seekEnd", "fadeInDuration", "fadeOutDuration"]),
+                endTime: _.defaultTo(audio.endTime, outputDuration),
+                duration: audio.duration
+            })),
+            subtitles: _.sortBy(this.subtitles, "startTime").map(subtitle => _.pick(subtitle, ["startTime", "endTime", "text"]))
+        }, { spaces: 4 });
+    }
+
+    /**
+     * 获取图像序列帧文件名
+     * 
+     * @param {number} index - 帧序号
+     * @returns {string} - 帧文件名
+     */
+    getFrameFileName(index) {
+        return this.frameNamePattern.replace(/%(0?)(\d*)d/, (match, zero, width) => String(index).padStart(Number(width) || 0, zero ? "0" : " "));
+    }
+
+    /**
+     * 分段编码
+     * 
+     * 每个检查点间隔输出一个分段，编码被中断后提交已完成的分段并等待恢复，全部完成后无损拼接为交换文件
+     */
+    async #encodeSegments() {
+        await fs.ensureDir(this._segmentDirPath);
+        while (true) {
+            this.#segmentListPath = path.join(this._segmentDirPath, `segments_${this.#segments.length}.csv`);
+            await this.#runVideoEncoder();
+            await this.#commitSegments();
+            if (!this.#interrupted)
+                break;
+            // 通知已中断并等待从检查点恢复
+            const resumePromise = new Promise(resolve => this.#resumeCallback = resolve);
+            const fn = this.#suspendCallback;
+            this.#suspendCallback = null;
+            fn && fn();
+            await resumePromise;
+        }
+        await this.#concatSegments();
+        await fs.remove(this._segmentDirPath);
+    }
+
+    /**
+     * 提交分段列表中已完成的分段到检查点
+     */
+    async #commitSegments() {
+        if (!await fs.pathExists(this.#segmentListPath))
+            return;
+        const content = await fs.readFile(this.#segmentListPath, "utf-8");
+        content.split("\n").forEach(line => {
+            const [filename, startTime, endTime] = line.trim().split(",");
+            if (!filename)
+                return;
+            const frameCount = Math.round((Number(endTime) - Number(startTime)) * this.fps);
+            this.#segments.push({ path: path.join(this._segmentDirPath, path.basename(filename)), frameCount });
+            this._committedFrameCount += frameCount;
+        });
+    }
+
+    /**
+     * 无损拼接所有分段到交换文件
+     */
+    async #concatSegments() {
+        const listPath = path.join(this._segmentDirPath, "concat.txt");
+        await fs.writeFile(listPath, this.#segments.map(segment => `file '${segment.path}'`).join("\n"));
+        await new Promise((resolve, reject) => {
+            ffmpeg()
+                .input(listPath)
+                .inputOptions(["-f concat", "-safe 0"])
+                .videoCodec("copy")
+                .outputOption("-movflags +faststart")
+                .toFormat(this.format)
+                .output(this._swapFilePath)
+                .once("start", cmd => util.ffmpegLog(cmd))
+                .once("error", reject)
+                .once("end", resolve)
+                .run();
+        });
+    }
+
+    /**
+     * 使用已编码的分段启动合成
+     * 
+     * 跳过帧输入和视频编码，分段无损拼接后继续合成音频及捕获封面
+     * 
+     * @protected
+     * @param {Object[]} segments - 分段列表，按播放顺序排列
+     * @param {string} segments[].path - 分段文件路径
+     * @param {number} segments[].frameCount - 分段帧数
+     */
+    _startWithSegments(segments) {
+        assert(_.isArray(segments) && segments.length > 0, "segments must be non-empty Array");
+        assert(!this.checkpointInterval, "checkpointInterval is not supported when starting with segments");
+        this.#segments = segments.map(({ path, frameCount }) => ({ path, frameCount }));
+        this._frameCount = _.sumBy(this.#segments, "frameCount");
+        this.#segmentsProvided = true;
+        this.start();
+    }
+
+    /**
+     * 中断编码并等待已编码的分段提交到检查点
+     * 
+     * @protected
+     * @returns {number} - 已提交到检查点的帧数
+     */
+    async _suspend() {
+        assert(this.checkpointInterval, "checkpointInterval is not set, unable to suspend");
+        this.#interrupted = true;
+        const suspendPromise = new Promise(resolve => this.#suspendCallback = resolve);
+        // 结束帧输入使编码器完成当前分段
+        this.#drain();
+        await suspendPromise;
+        return this._committedFrameCount;
+    }
+
+    /**
+     * 从检查点恢复编码
+     * 
+     * @protected
+     */
+    _resume() {
+        assert(this.#resumeCallback, "Synthesizer is not suspended, unable to resume");
+        this.#interrupted = false;
+        // 丢弃检查点之后的帧
+        this._frameCount = this._committedFrameCount;
+        this.#pipeStream = new PassThrough();
+        const fn = this.#resumeCallback;
+        this.#resumeCallback = null;
+        fn();
+    }
+
     /**
      * 终止合成
      */
     abort() {
+        if (this.isImageSequence()) {
+            this.#imageSequenceAborted = true;
+            return this.#endFrameInput();
+        }
+        this.#liveAudioMixer && this.#liveAudioMixer.abort();
         this.#drain();
         this.#closeEncoder(true);
     }
@@ -271,10 +915,14 @@ export default class Synthesizer extends EventEmitter {
      * @param {Buffer} buffer - 帧缓冲区
      */
     input(buffer) {
+        if (this.isImageSequence())
+            return this.#writeFrame(buffer);
         if (!this.#pipeStream)
             this.#pipeStream = new PassThrough();
         this.#frameBuffers[this.#frameBufferIndex] = buffer;
         this._frameCount++;
+        // 混音与该帧同步的音频
+        this.#liveAudioMixer && this.#liveAudioMixer.mix();
         if (++this.#frameBufferIndex < this.parallelWriteFrames)
             return;
         this.#pipeStream.write(Buffer.concat(this.#frameBuffers));
@@ -285,10 +933,22 @@ export default class Synthesizer extends EventEmitter {
      * 结束帧输入
      */
     endInput() {
+        if (this.isImageSequence())
+            return this.#endFrameInput();
+        this.#liveAudioMixer && this.#liveAudioMixer.end();
         this.#drain();
         this.#closeEncoder();
     }
 
+    /**
+     * 结束图像序列帧输入
+     */
+    #endFrameInput() {
+        const fn = this.#inputEndCallback;
+        this.#inputEndCallback = null;
+        fn && fn();
+    }
+
     /**
      * 等待音频加载完成
      */
@@ -303,7 +963,7 @@ export default class Synthesizer extends EventEmitter {
         if (!this.#pipeStream)
             return;
         if (this.#frameBufferIndex > 0)
-            this.#pipeStream.write(Buffer.concat(this.#frameBuffers.filter(v => v)));
+            this.#pipeStream.write(Buffer.concat(this.#frameBuffers.slice(0, this.#frameBufferIndex)));
         this.#frameBufferIndex = 0;
         if (!this.#pipeStream.closed)
             this.#pipeStream.end();
@@ -353,6 +1013,13 @@ export default class Synthesizer extends EventEmitter {
             outputPath: this.outputPath,
             rtf: outputDuration / takes
         };
+        this.isLiveStreaming() && (result.liveOutput = this.liveOutput);
+        if (this.packaging) {
+            this.packaging.hls && (result.hlsPath = this.hlsPath);
+            this.packaging.dash && (result.dashPath = this.dashPath);
+        }
+        this.#loudnessReport && (result.loudness = this.#loudnessReport);
+        this.subtitleSidecarPath && this.subtitles.length > 0 && (result.subtitlePath = this.subtitleSidecarPath);
         this.emit("completed", result);
     }
 
@@ -390,6 +1057,7 @@ export default class Synthesizer extends EventEmitter {
         audio.load()
             .catch(err => this._emitError(err));
         this.audios.push(audio);
+        this.#liveAudioMixer && this.#liveAudioMixer.addAudio(audio);
         return audio;
     }
 
@@ -415,6 +1083,51 @@ export default class Synthesizer extends EventEmitter {
         return audio;
     }
 
+    /**
+     * 分析音频
+     * 
+     * frames类型按视频帧率逐帧分析音频的均方根、峰值及频段能量，beats类型检测音频的速度、节拍及起音，同一音频的同类分析只进行一次
+     * 
+     * @param {number} audioId - 音频ID
+     * @param {string} [type="frames"] - 分析类型（frames/beats）
+     * @returns {Object} - 分析结果及音频的开始时间点startTime、结束时间点endTime和是否循环loop，音频不存在时返回null
+     */
+    async analyzeAudio(audioId, type = "frames") {
+        assert(type == "frames" || type == "beats", "Audio analysis type must be frames or beats");
+        const audio = this.audios.find(audio => audio.id === audioId);
+        if (!audio)
+            return null;
+        !this.#audioAnalyses.has(audio) && this.#audioAnalyses.set(audio, {});
+        const analyses = this.#audioAnalyses.get(audio);
+        if (!analyses[type])
+            analyses[type] = type == "beats" ? AudioAnalyzer.detectBeats(audio) : new AudioAnalyzer({ fps: this.fps }).analyze(audio);
+        const analysis = await analyses[type];
+        const { startTime, endTime, loop } = audio;
+        return { ...analysis, startTime, endTime, loop };
+    }
+
+    /**
+     * 添加字幕
+     * 
+     * @param {Subtitle} subtitle - 字幕对象
+     * @returns {Subtitle} - 字幕对象
+     */
+    addSubtitle(subtitle) {
+        if (!(subtitle instanceof Subtitle))
+            subtitle = new Subtitle(subtitle);
+        this.subtitles.push(subtitle);
+        return subtitle;
+    }
+
+    /**
+     * 添加多个字幕
+     * 
+     * @param {Subtitle[]} subtitles - 字幕对象列表
+     */
+    addSubtitles(subtitles) {
+        subtitles.forEach(subtitle => this.addSubtitle(subtitle));
+    }
+
     /**
      * 创建视频编码器
      * 
@@ -422,27 +1135,13 @@ export default class Synthesizer extends EventEmitter {
      * @returns {FfmpegCommand} - 编码器
      */
     _createVideoEncoder() {
-        const { outputPath, width, height, fps, format, videoEncoder, videoBitrate,
-            videoQuality, pixelFormat, attachCoverPath, _swapFilePath } = this;
+        const { outputPath, width, height, fps, format, videoEncoder,
+            pixelFormat, attachCoverPath, _swapFilePath } = this;
         const vencoder = ffmpeg();
-        // 设置视频码率将忽略质量设置
-        if (videoBitrate)
-            vencoder.videoBitrate(videoBitrate);
-        else {
-            // 计算总像素量
-            const pixels = width * height;
-            // 根据像素总量设置视频码率
-            vencoder.videoBitrate(`${(2560 / 921600 * pixels) * (videoQuality / 100)}k`);
-        }
-        const encodingType = this.getVideoEncodingType();
-        if (encodingType == "H264" || encodingType == "H265") {
-            // 使用主要配置
-            vencoder.outputOption("-profile:v main");
-            // 使用中等预设
-            vencoder.outputOption("-preset medium");
-        }
+        this.#applyVideoEncodeOptions(vencoder);
         vencoder.addInput(this.#pipeStream);
-        if (attachCoverPath) {
+        // 从检查点恢复时首帧已编码，无需再附加封面
+        if (attachCoverPath && !this._committedFrameCount) {
             // 附加封面
             vencoder.addInput(attachCoverPath);
             vencoder.complexFilter(`[1:v]scale=${width}:${height}[cover];[0:v][cover]overlay=repeatlast=0,scale=w=${width}:h=${height},format=${pixelFormat}`);
@@ -455,7 +1154,7 @@ export default class Synthesizer extends EventEmitter {
                 .outputOption("-pix_fmt", pixelFormat)
         }
         // 保持透明通道
-        this.hasAlphaChannel && vencoder.outputOption("-auto-alt-ref 0");
+        this.hasAlphaChannel && format == "webm" && vencoder.outputOption("-auto-alt-ref 0");
         vencoder
             // 使用图像管道
             .inputFormat("image2pipe")
@@ -463,18 +1162,171 @@ export default class Synthesizer extends EventEmitter {
             .inputFPS(fps)
             // 去除冗余信息
             .inputOption("-hide_banner")
-            // 指定视频编码器
-            .videoCodec(videoEncoder)
-            // 将MOOV头移到最前面
-            .outputOption("-movflags +faststart")
-            // 指定输出格式
-            .toFormat(format)
-            // 指定输出路径
-            .output(this._isVideoChunk() ? outputPath : _swapFilePath);
+            // 指定视频编码器，GIF先使用FFV1编码为无损中间视频
+            .videoCodec(format == "gif" ? "ffv1" : videoEncoder);
+        if (format == "gif") {
+            vencoder
+                .toFormat("matroska")
+                .output(this.#getGifSourcePath());
+        }
+        else if (this.isLiveStreaming())
+            this.#applyLiveOutput(vencoder);
+        else if (this.checkpointInterval)
+            this.#applySegmentOutput(vencoder);
+        else {
+            vencoder
+                // 将MOOV头移到最前面
+                .outputOption("-movflags +faststart")
+                // 指定输出格式
+                .toFormat(format)
+                // 指定输出路径
+                .output(this._isVideoChunk() ? outputPath : _swapFilePath);
+        }
         this.#encoder = vencoder;
         return vencoder;
     }
 
+    /**
+     * 应用视频编码参数
+     * 
+     * 包含码率控制及编码器配置，视频编码和烧录字幕的重新编码共用
+     * 
+     * @param {FfmpegCommand} vencoder - 编码器
+     */
+    #applyVideoEncodeOptions(vencoder) {
+        const { width, height, format, videoEncoder, videoBitrate, videoQuality } = this;
+        const encodingType = this.getVideoEncodingType();
+        // 动图及ProRes、QuickTime Animation不使用码率控制
+        if (this.isAnimatedImage() || encodingType == "PRORES" || encodingType == "QTRLE") {
+            // WebP使用质量参数控制压缩率
+            format == "webp" && vencoder
+                .outputOption("-quality", videoQuality)
+                .outputOption("-loop", this.#getLoopOption());
+        }
+        // 设置视频码率将忽略质量设置
+        else if (videoBitrate)
+            vencoder.videoBitrate(videoBitrate);
+        else {
+            // 计算总像素量
+            const pixels = width * height;
+            // 根据像素总量设置视频码率
+            vencoder.videoBitrate(`${(2560 / 921600 * pixels) * (videoQuality / 100)}k`);
+        }
+        if (encodingType == "H264" || encodingType == "H265") {
+            // 使用主要配置
+            vencoder.outputOption("-profile:v main");
+            // 直播推流的软编码使用低延迟的快速预设，否则使用中等预设
+            if (this.isLiveStreaming() && [VIDEO_ENCODER.CPU.H264, VIDEO_ENCODER.CPU.H265].includes(videoEncoder)) {
+                vencoder.outputOption("-preset veryfast");
+                vencoder.outputOption("-tune zerolatency");
+            }
+            else
+                vencoder.outputOption("-preset medium");
+        }
+        else if (encodingType == "PRORES") {
+            // 使用ProRes 4444配置
+            vencoder.outputOption("-profile:v 4444");
+            // 使用Apple厂商标识以提升剪辑软件兼容性
+            vencoder.outputOption("-vendor apl0");
+            // 保持16位透明通道
+            this.hasAlphaChannel && vencoder.outputOption("-alpha_bits 16");
+        }
+    }
+
+    /**
+     * 应用分段输出
+     * 
+     * @param {FfmpegCommand} vencoder - 视频编码器
+     */
+    #applySegmentOutput(vencoder) {
+        const segmentTime = this.checkpointInterval / 1000;
+        // mp4使用mpegts分段，webm和mov使用同格式分段，均可无损拼接
+        const segmentFormat = ["webm", "mov"].includes(this.format) ? this.format : "mpegts";
+        const bitstreamFilter = BITSTREAM_FILTER[this.getVideoEncodingType()];
+        segmentFormat == "mpegts" && bitstreamFilter && vencoder.outputOption(`-bsf:v ${bitstreamFilter}`);
+        vencoder
+            // 在每个检查点强制插入关键帧确保分段时长准确
+            .outputOption("-force_key_frames", `expr:gte(t,n_forced*${segmentTime})`)
+            .outputOption("-segment_time", segmentTime)
+            .outputOption("-segment_format", segmentFormat)
+            // 分段完成时写入分段列表，用于确定已提交的帧
+            .outputOption("-segment_list", this.#segmentListPath)
+            .outputOption("-segment_list_type", "csv")
+            .outputOption("-segment_start_number", this.#segments.length)
+            .outputOption("-reset_timestamps", 1)
+            .toFormat("segment")
+            .output(path.join(this._segmentDirPath, `segment_%06d.${segmentFormat == "mpegts" ? "ts" : segmentFormat}`));
+    }
+
+    /**
+     * 应用直播推流输出
+     * 
+     * @param {FfmpegCommand} vencoder - 视频编码器
+     */
+    #applyLiveOutput(vencoder) {
+        const { fps, audioEncoder, audioBitrate, liveOutput, liveFormat } = this;
+        vencoder
+            // 输入混音器实时输出的PCM音频
+            .addInput(this.#liveAudioMixer.url)
+            .inputFormat("s16le")
+            .inputOption("-ar", LiveAudioMixer.SAMPLE_RATE)
+            .inputOption("-ac", LiveAudioMixer.CHANNELS)
+            .audioCodec(audioEncoder)
+            // 每2秒插入关键帧以便观众快速开始播放
+            .outputOption("-g", Math.round(fps * 2));
+        // 指定音频码率
+        audioBitrate && vencoder.audioBitrate(audioBitrate);
+        // 推流无法回写时长和文件大小
+        liveFormat == "flv" && vencoder.outputOption("-flvflags no_duration_filesize");
+        vencoder
+            .toFormat(liveFormat)
+            .output(liveOutput);
+    }
+
+    /**
+     * 校验直播推流选项
+     */
+    #checkLiveOutput() {
+        assert(!this._isVideoChunk(), "liveOutput is not supported by VideoChunk");
+        assert(this.format == "mp4", "liveOutput only supports mp4 format");
+        assert(!this.coverCapture, "coverCapture is not supported by liveOutput");
+        assert(_.isUndefined(this.checkpointInterval), "checkpointInterval is not supported by liveOutput");
+        assert(!this.audioLoudness, "audioLoudness is not supported by liveOutput");
+        assert(!this.subtitle.path && this.subtitles.length == 0, "subtitle is not supported by liveOutput");
+        const encodingType = this.getVideoEncodingType();
+        // FLV仅支持H264
+        if (this.liveFormat == "flv")
+            assert(encodingType == "H264", `Video encoder ${this.videoEncoder} does not support ${Synthesizer.#getProtocol(this.liveOutput)} live streaming, only support encoding using H264`);
+        else
+            assert(encodingType == "H264" || encodingType == "H265", `Video encoder ${this.videoEncoder} does not support live streaming, only support encoding using H264 and H265`);
+    }
+
+    /**
+     * 创建直播音频混音器
+     * 
+     * @returns {LiveAudioMixer} - 直播音频混音器
+     */
+    #createLiveAudioMixer() {
+        const mixer = new LiveAudioMixer({
+            fps: this.fps,
+            duration: this.duration,
+            volume: this.volume
+        });
+        this.audios.forEach(audio => mixer.addAudio(audio));
+        return mixer;
+    }
+
+    /**
+     * 获取地址的协议名
+     * 
+     * @param {string} url - 地址
+     * @returns {string} - 协议名
+     */
+    static #getProtocol(url) {
+        const match = /^([a-z]+):/i.exec(url);
+        return match ? match[1].toLowerCase() : null;
+    }
+
     /**
      * 创建音频编码器
      * 
@@ -482,53 +1334,277 @@ export default class Synthesizer extends EventEmitter {
      * @returns {FfmpegCommand} - 编码器
      */
     _createAudioEncoder() {
-        const { outputPath, _swapFilePath, format, audioEncoder,
-            audioBitrate, volume: videoVolume, audios } = this;
+        const { outputPath, _swapFilePath, format, videoEncoder, audioEncoder, audioBitrate } = this;
         const aencoder = ffmpeg();
         // 指定音频码率
         audioBitrate && aencoder.audioBitrate(audioBitrate);
         const outputDuration = this.getOutputDuration();
+        // 烧录字幕需要重新编码视频，否则直接复制视频流
+        const burnSubtitle = this.#subtitleFilePath && this.subtitle.mode == SUBTITLE_MODE.BURN;
         aencoder
             .addInput(_swapFilePath)
-            .videoCodec("copy")
+            .videoCodec(burnSubtitle ? videoEncoder : "copy")
             .setDuration(outputDuration / 1000)
             .audioCodec(audioEncoder)
             .outputOption("-movflags +faststart")
             .toFormat(format)
             .addOutput(outputPath);
-        // 生成音频时间轴的复合过滤器参数
-        let outputs = "";
+        // 应用音频时间轴的复合过滤器
+        const complexFilter = this._createAudioFilter(aencoder, outputDuration);
+        // 字幕输入需在音频输入之后添加
+        const subtitleFilter = this.#subtitleFilePath ? this.#applySubtitle(aencoder) : "";
+        // 使用首次分析的响度对混音进行标准化
+        const filters = [subtitleFilter, complexFilter && this.#loudnessMeasurement ? `${complexFilter}${this.#createLoudnormFilter()}` : complexFilter];
+        filters.some(filter => filter) && aencoder.complexFilter(filters.filter(filter => filter).join(";"));
+        this.#encoder = aencoder;
+        return aencoder;
+    }
+
+    /**
+     * 创建音频时间轴的复合过滤器
+     * 
+     * @protected
+     * @param {FfmpegCommand} aencoder - 编码器
+     * @param {number} outputDuration - 输出时长（毫秒）
+     * @returns {string} - 复合过滤器参数
+     */
+    _createAudioFilter(aencoder, outputDuration) {
+        const { audios } = this;
+        const outputs = [];
         const complexFilter = audios.reduce((result, audio, index) => {
-            const { path, url, loop, startTime, endTime = outputDuration, duration, volume, seekStart, seekEnd, fadeInDuration, fadeOutDuration } = audio;
-            if (seekEnd && seekEnd - seekStart > duration)
-                return result;
-            // 添加音频输入
-            aencoder.addInput(path || url);
-            // 设置裁剪开始时间点
-            seekStart && aencoder.addInputOption("-ss", util.millisecondsToHmss(seekStart));  //截取开始时间点
-            // 设置裁剪结束时间点
-            seekEnd && aencoder.addInputOption("-to", util.millisecondsToHmss(seekEnd));  //截取结束时间点
-            // 时长裁剪过滤器
-            const cutFilter = `atrim=start=0:end=${(endTime - startTime) / 1000}`;
-            // 循环过滤器
-            const loopFilter = loop ? ",aloop=loop=-1:size=2e+09" : "";
-            // 延迟过滤器
-            const delayFilter = `,adelay=${startTime}|${startTime}`;
-            // 音量过滤器
-            const volumeFilter = `,volume=${Math.floor((volume * videoVolume) * 0.01) / 100}`;
-            // 音频淡入过滤器
-            const fadeInFilter = fadeInDuration ? `,afade=t=in:st=${startTime / 1000}:d=${fadeInDuration / 1000}` : "";
-            // 音频淡出过滤器
-            const fadeOutFilter = fadeOutDuration ? `,afade=t=out:st=${((loop ? endTime : (Math.min(endTime, duration) || duration)) - fadeOutDuration) / 1000}:d=${fadeOutDuration / 1000}` : "";
             // 输出标志
             const output = `a${index}`;
-            outputs += `[${output}]`;
-            return result + `[${1 + index}]${cutFilter}${loopFilter}${delayFilter}${volumeFilter}${fadeInFilter}${fadeOutFilter}[${output}];`;
+            const filter = this._createAudioTrackFilter(aencoder, audio, 1 + outputs.length, output, { duration: outputDuration });
+            if (!filter)
+                return result;
+            outputs.push({ output: `[${output}]`, role: audio.role });
+            return result + filter;
         }, "");
-        // 应用符合过滤器
-        complexFilter && aencoder.complexFilter(`${complexFilter}${outputs}amix=inputs=${audios.length}:normalize=0`);
-        this.#encoder = aencoder;
-        return aencoder;
+        return complexFilter && `${complexFilter}${this._createAudioMixFilter(outputs)}`;
+    }
+
+    /**
+     * 创建音轨混音过滤器
+     * 
+     * 同时存在背景音乐和旁白时，使用旁白作为侧链压缩背景音乐实现自动闪避
+     * 
+     * @protected
+     * @param {Object[]} outputs - 音轨列表
+     * @param {string} outputs[].output - 音轨输出标志
+     * @param {string} [outputs[].role] - 音轨角色（music/voice/sfx）
+     * @returns {string} - 过滤器参数
+     */
+    _createAudioMixFilter(outputs) {
+        const mix = list => `${list.map(({ output }) => output).join("")}amix=inputs=${list.length}:normalize=0`;
+        const musics = outputs.filter(({ role }) => role == AUDIO_ROLE.MUSIC);
+        const voices = outputs.filter(({ role }) => role == AUDIO_ROLE.VOICE);
+        if (!this.audioDucking || musics.length == 0 || voices.length == 0)
+            return mix(outputs);
+        const { threshold, ratio, attack, release } = this.audioDucking;
+        const others = outputs.filter(({ role }) => role != AUDIO_ROLE.MUSIC && role != AUDIO_ROLE.VOICE);
+        // 侧链压缩要求两路输入的格式一致
+        const format = "aformat=sample_fmts=fltp:sample_rates=44100:channel_layouts=stereo";
+        return `${mix(musics)},${format}[music];` +
+            `${mix(voices)},${format},asplit=2[voice][sidechain];` +
+            `[music][sidechain]sidechaincompress=threshold=${threshold}:ratio=${ratio}:attack=${attack}:release=${release}[ducked];` +
+            mix([{ output: "[ducked]" }, { output: "[voice]" }, ...others]);
+    }
+
+    /**
+     * 添加音频输入并创建其时间轴过滤器
+     * 
+     * @protected
+     * @param {FfmpegCommand} aencoder - 编码器
+     * @param {Audio} audio - 音频对象
+     * @param {number} inputIndex - 音频输入索引
+     * @param {string} output - 输出标志
+     * @param {Object} options - 时间轴选项
+     * @param {number} options.duration - 时间轴时长（毫秒），未设置结束时间点的音频在此结束
+     * @param {number} [options.offsetTime=0] - 时间轴起始时间点（毫秒），音频时间点将减去此偏移
+     * @returns {string} - 过滤器参数，音频无效时返回空字符串
+     */
+    _createAudioTrackFilter(aencoder, audio, inputIndex, output, options) {
+        const { duration: timelineDuration, offsetTime = 0 } = options;
+        const { path, url, loop, duration: sourceDuration, volume, seekStart, seekEnd, fadeInDuration, fadeOutDuration, filter, speed } = audio;
+        if (seekEnd && seekEnd - seekStart > sourceDuration)
+            return "";
+        // 播放速率和变速效果会改变音频的播放时长
+        const duration = sourceDuration / speed;
+        const startTime = Math.max(0, audio.startTime - offsetTime);
+        const endTime = _.defaultTo(audio.endTime, offsetTime + timelineDuration) - offsetTime;
+        // 添加音频输入
+        aencoder.addInput(path || url);
+        // 设置裁剪开始时间点
+        seekStart && aencoder.addInputOption("-ss", util.millisecondsToHmss(seekStart));  //截取开始时间点
+        // 设置裁剪结束时间点
+        seekEnd && aencoder.addInputOption("-to", util.millisecondsToHmss(seekEnd));  //截取结束时间点
+        // 播放速率及音频效果过滤器
+        const effectsFilter = filter ? `${filter},` : "";
+        // 时长裁剪过滤器
+        const cutFilter = `atrim=start=0:end=${(endTime - startTime) / 1000}`;
+        // 循环过滤器
+        const loopFilter = loop ? ",aloop=loop=-1:size=2e+09" : "";
+        // 延迟过滤器
+        const delayFilter = `,adelay=${startTime}|${startTime}`;
+        // 音量过滤器
+        const volumeFilter = `,volume=${Math.floor((volume * this.volume) * 0.01) / 100}`;
+        // 音频淡入过滤器
+        const fadeInFilter = fadeInDuration ? `,afade=t=in:st=${startTime / 1000}:d=${fadeInDuration / 1000}` : "";
+        // 音频淡出过滤器
+        const fadeOutFilter = fadeOutDuration ? `,afade=t=out:st=${((loop ? endTime : (Math.min(endTime, duration) || duration)) - fadeOutDuration) / 1000}:d=${fadeOutDuration / 1000}` : "";
+        return `[${inputIndex}]${effectsFilter}${cutFilter}${loopFilter}${delayFilter}${volumeFilter}${fadeInFilter}${fadeOutFilter}[${output}];`;
+    }
+
+    /**
+     * 创建响度标准化过滤器
+     * 
+     * 未分析时输出统计信息用于首次分析，已分析时使用测得的数值进行线性标准化
+     * 
+     * @returns {string} - 过滤器参数
+     */
+    #createLoudnormFilter() {
+        const { integrated, truePeak, range } = this.audioLoudness;
+        let filter = `loudnorm=I=${integrated}:TP=${truePeak}:LRA=${range}`;
+        const measurement = this.#loudnessMeasurement;
+        if (measurement)
+            filter += `:measured_I=${measurement.input_i}:measured_TP=${measurement.input_tp}:measured_LRA=${measurement.input_lra}:measured_thresh=${measurement.input_thresh}:offset=${measurement.target_offset}:linear=true`;
+        // loudnorm内部会上采样到192kHz，需要重采样回常用采样率
+        return `,${filter}:print_format=json,aresample=44100`;
+    }
+
+    /**
+     * 首次分析混音响度
+     */
+    async #measureLoudness() {
+        this.#loudnessMeasurement = null;
+        this.#loudnessReport = null;
+        const outputDuration = this.getOutputDuration();
+        const analyzer = ffmpeg();
+        analyzer
+            .addInput(this._swapFilePath)
+            .setDuration(outputDuration / 1000)
+            .noVideo()
+            .toFormat("null")
+            .addOutput("-");
+        const complexFilter = this._createAudioFilter(analyzer, outputDuration);
+        // 没有有效音轨时无需标准化
+        if (!complexFilter)
+            return;
+        analyzer.complexFilter(`${complexFilter}${this.#createLoudnormFilter()}`);
+        this.#encoder = analyzer;
+        const stderr = await new Promise((resolve, reject) => {
+            analyzer
+                .once("start", cmd => util.ffmpegLog(cmd))
+                .once("error", reject)
+                .once("end", (stdout, stderr) => resolve(stderr))
+                .run();
+        });
+        const measurement = Synthesizer.#parseLoudnormStats(stderr);
+        // 静音的混音无法测得响度，跳过标准化
+        if (!measurement || !_.isFinite(Number(measurement.input_i)))
+            return logger.warn(`Unable to measure loudness of ${this.name || "audio"}, loudness normalization has been skipped`);
+        this.#loudnessMeasurement = measurement;
+    }
+
+    /**
+     * 生成响度标准化报告
+     * 
+     * @param {string} stderr - 标准化编码的输出信息
+     */
+    #reportLoudness(stderr) {
+        const measurement = this.#loudnessMeasurement;
+        const stats = Synthesizer.#parseLoudnormStats(stderr) || {};
+        const toNumber = value => _.isFinite(Number(value)) ? Number(value) : null;
+        this.#loudnessReport = {
+            target: { ...this.audioLoudness },
+            input: {
+                integrated: toNumber(measurement.input_i),
+                truePeak: toNumber(measurement.input_tp),
+                range: toNumber(measurement.input_lra)
+            },
+            output: {
+                integrated: toNumber(stats.output_i),
+                truePeak: toNumber(stats.output_tp),
+                range: toNumber(stats.output_lra)
+            },
+            normalizationType: _.defaultTo(stats.normalization_type, null)
+        };
+        this.#loudnessMeasurement = null;
+    }
+
+    /**
+     * 解析loudnorm输出的统计信息
+     * 
+     * @param {string} stderr - ffmpeg输出信息
+     * @returns {Object} - 统计信息，未找到时返回null
+     */
+    static #parseLoudnormStats(stderr) {
+        if (!_.isString(stderr))
+            return null;
+        const index = stderr.lastIndexOf("Parsed_loudnorm");
+        if (index == -1)
+            return null;
+        const match = stderr.substring(index).match(/\{[\s\S]*?\}/);
+        try {
+            return match ? JSON.parse(match[0]) : null;
+        }
+        catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * 写入字幕文件
+     * 
+     * @returns {string} - 字幕文件路径
+     */
+    async #writeSubtitleFile() {
+        // ass字幕文件无法合并字幕列表
+        if (this.subtitle.path) {
+            this.subtitles.length > 0 && logger.warn(`ass subtitle file ${this.subtitle.path} is used, ${this.subtitles.length} subtitles have been dropped`);
+            return this.subtitle.path;
+        }
+        const filePath = path.join(this.tmpDirPath, `${uniqid("subtitle_")}.srt`);
+        await fs.writeFile(filePath, Subtitle.stringify(this.subtitles));
+        return filePath;
+    }
+
+    /**
+     * 写入外挂字幕文件
+     */
+    async #writeSubtitleSidecar() {
+        if (this.subtitles.length == 0)
+            return;
+        await fs.writeFile(this.subtitleSidecarPath, Subtitle.stringify(this.subtitles, this.subtitle.sidecar));
+    }
+
+    /**
+     * 应用字幕到封装编码器
+     * 
+     * 软字幕作为字幕流输入并由默认流选择封装，硬字幕通过subtitles或ass滤镜烧录并重新编码视频
+     * 
+     * @param {FfmpegCommand} aencoder - 编码器
+     * @returns {string} - 烧录字幕的视频过滤器参数，软字幕时返回空字符串
+     */
+    #applySubtitle(aencoder) {
+        const { format, pixelFormat } = this;
+        const { mode, language, style } = this.subtitle;
+        const subtitlePath = this.#subtitleFilePath;
+        if (mode == SUBTITLE_MODE.SOFT) {
+            aencoder
+                .addInput(subtitlePath)
+                .outputOption("-c:s", FORMAT_SUBTITLE_ENCODER_MAP[format]);
+            language && aencoder.outputOption("-metadata:s:s:0", `language=${language}`);
+            return "";
+        }
+        // 滤镜参数中的路径需要转义冒号和反斜杠
+        const filename = subtitlePath.replace(/\\/g, "/").replace(/:/g, "\\:");
+        const filter = util.getPathExtname(subtitlePath) == "ass" ? `ass=filename='${filename}'` :
+            `subtitles=filename='${filename}'${style ? `:force_style='${style}'` : ""}`;
+        this.#applyVideoEncodeOptions(aencoder);
+        aencoder.outputOption("-map", "[subtitled]");
+        this.hasAlphaChannel && format == "webm" && aencoder.outputOption("-auto-alt-ref 0");
+        return `[0:v]${filter},format=${pixelFormat}[subtitled]`;
     }
 
     /**
@@ -578,6 +1654,8 @@ export default class Synthesizer extends EventEmitter {
      */
     async removeOutputFile() {
         const { outputPath, coverCaptureFormat } = this;
+        if (!outputPath)
+            return;
         const coverPath = path.join(path.dirname(outputPath), `${path.basename(outputPath)}.${coverCaptureFormat}`);
         await fs.remove(outputPath);
         await fs.remove(coverPath);
@@ -590,11 +1668,29 @@ export default class Synthesizer extends EventEmitter {
         this.#frameBufferIndex = 0;
         this.#frameBuffers = new Array(this.parallelWriteFrames);
         this._frameCount = 0;
+        this._committedFrameCount = 0;
+        this.#segments = [];
+        this.#segmentsProvided = false;
+        this.#interrupted = false;
+        this.#frameDirPromise = null;
+        this.#frameWrites = new Set();
+        this.#writtenFrameCount = 0;
+        this.#frameWriteError = null;
+        this.#inputEndPromise = null;
+        this.#inputEndCallback = null;
+        this.#imageSequenceAborted = false;
+        this.#loudnessMeasurement = null;
+        this.#loudnessReport = null;
         this._startupTime = null;
         this.#closeEncoder(true);
         if (this.#pipeStream && !this.#pipeStream.closed)
             this.#pipeStream.end();
         this.#pipeStream = null;
+        // 混音器的音频流结束后无法复用
+        if (this.#liveAudioMixer) {
+            this.#liveAudioMixer.abort();
+            this.#liveAudioMixer = this.#createLiveAudioMixer();
+        }
         this.#setState(Synthesizer.STATE.READY);
     }
 
@@ -653,6 +1749,33 @@ export default class Synthesizer extends EventEmitter {
         return this.state == Synthesizer.STATE.COMPLETED;
     }
 
+    /**
+     * 是否输出图像序列
+     * 
+     * @returns {boolean} - 是否输出图像序列
+     */
+    isImageSequence() {
+        return _.has(IMAGE_SEQUENCE_FORMAT, this.format);
+    }
+
+    /**
+     * 是否输出动图
+     * 
+     * @returns {boolean} - 是否输出动图
+     */
+    isAnimatedImage() {
+        return ANIMATED_IMAGE_FORMAT.includes(this.format);
+    }
+
+    /**
+     * 是否直播推流
+     * 
+     * @returns {boolean} - 是否直播推流
+     */
+    isLiveStreaming() {
+        return !!this.liveOutput;
+    }
+
     /**
      * 移除所有监听器
      */
@@ -727,14 +1850,94 @@ export default class Synthesizer extends EventEmitter {
      * @returns {boolean} - 是否合成音频
      */
     get audioSynthesis() {
-        return this.audios.length > 0;
+        // 动图不支持音频，直播推流的音频已实时混音
+        return this.audios.length > 0 && !this.isAnimatedImage() && !this.isLiveStreaming();
+    }
+
+    /**
+     * 获取是否合成字幕
+     * 
+     * @returns {boolean} - 是否合成字幕
+     */
+    get subtitleSynthesis() {
+        // 动图和图像序列不支持字幕，字幕时间轴写入图像序列清单
+        return this.subtitle.embed && (this.subtitles.length > 0 || !!this.subtitle.path) && !!FORMAT_SUBTITLE_ENCODER_MAP[this.format] && !this.isLiveStreaming();
+    }
+
+    /**
+     * 获取需要页面捕获的帧图格式（png/jpeg），为null时使用全局配置的帧图格式
+     * 
+     * 图像序列直接写入帧图，mov格式需要无损的png帧图保证画质和透明通道
+     * 
+     * @returns {string} - 帧图格式
+     */
+    get captureFrameFormat() {
+        if (this.format == "mov")
+            return "png";
+        return IMAGE_SEQUENCE_FORMAT[this.format] || null;
+    }
+
+    /**
+     * 获取直播推流的封装格式
+     * 
+     * @returns {string} - 封装格式
+     */
+    get liveFormat() {
+        return this.liveOutput ? LIVE_PROTOCOL_FORMAT[Synthesizer.#getProtocol(this.liveOutput)] : null;
+    }
+
+    /**
+     * 获取HLS主播放列表路径
+     * 
+     * @returns {string} - 主播放列表路径
+     */
+    get hlsPath() {
+        if (!this.packaging || !this.packaging.hls)
+            return null;
+        return path.join(this.packaging.outputDirPath, "hls", "master.m3u8");
+    }
+
+    /**
+     * 获取DASH清单路径
+     * 
+     * @returns {string} - 清单路径
+     */
+    get dashPath() {
+        if (!this.packaging || !this.packaging.dash)
+            return null;
+        return path.join(this.packaging.outputDirPath, "dash", "manifest.mpd");
+    }
+
+    /**
+     * 获取图像序列清单路径
+     * 
+     * @returns {string} - 清单路径
+     */
+    get manifestPath() {
+        return this.isImageSequence() ? path.join(this.outputPath, "manifest.json") : null;
+    }
+
+    /**
+     * 获取外挂字幕文件路径
+     * 
+     * @returns {string} - 外挂字幕文件路径
+     */
+    get subtitleSidecarPath() {
+        if (!this.subtitle.sidecar || this._isVideoChunk() || this.isLiveStreaming())
+            return null;
+        const extname = this.subtitle.sidecar;
+        // 图像序列的字幕文件与清单写入同一目录
+        if (this.isImageSequence())
+            return path.join(this.outputPath, `subtitle.${extname}`);
+        const { dir, name } = path.parse(this.outputPath);
+        return path.join(dir, `${name}.${extname}`);
     }
 
     /**
      * 获取是否具有透明通道
      */
     get hasAlphaChannel() {
-        return this.format == "webm" && this.backgroundOpacity < 1;
+        return ["webm", "mov", "gif", "webp", "png-sequence"].includes(this.format) && this.backgroundOpacity < 1;
     }
 
     /**
@@ -0,0 +1,335 @@
+import path from "path";
+import assert from "assert";
+import fs from "fs-extra";
+import ffmpeg from "fluent-ffmpeg";
+import uniqid from "uniqid";
+import _ from "lodash";
+
+import Page from "./Page.js";
+import VideoChunk from "./VideoChunk.js";
+import Transition from "../entity/Transition.js";
+import Font from "../entity/Font.js";
+import util from "../lib/util.js";
+
+/** 转场页面内容 */
+const PAGE_CONTENT = "<!DOCTYPE html><html><head><meta charset=\"UTF-8\"></head><body></body></html>";
+
+/** 顶点着色器，绘制覆盖整个画布的矩形 */
+const VERTEX_SHADER = "attribute vec2 position;void main(){gl_Position=vec4(position,0.0,1.0);}";
+
+/**
+ * 转场渲染器
+ * 
+ * 提取前后分块在转场时间内的帧，在浏览器中逐帧渲染GLSL转场或捕获HTML转场页面并编码为转场片段，合成时使用转场片段替换分块交界处的画面
+ */
+export default class TransitionRenderer {
+
+    /** @type {Transition} - 转场对象 */
+    transition;
+    /** @type {number} - 视频宽度 */
+    width;
+    /** @type {number} - 视频高度 */
+    height;
+    /** @type {number} - 视频帧率 */
+    fps;
+    /** @type {Object} - 转场片段编码选项 */
+    encodeOptions;
+    /** @type {Font[]} - HTML转场页面注册的字体 */
+    fonts;
+    /** @type {string} - 临时路径 */
+    tmpDirPath = path.resolve("tmp/transition/");
+
+    /**
+     * 构造函数
+     * 
+     * @param {Object} options - 转场渲染器选项
+     * @param {Transition} options.transition - 转场对象
+     * @param {number} options.width - 视频宽度
+     * @param {number} options.height - 视频高度
+     * @param {number} options.fps - 视频帧率
+     * @param {Object} [options.encodeOptions] - 转场片段编码选项，包含videoEncoder、videoQuality、videoBitrate和pixelFormat
+     * @param {Font[]} [options.fonts] - HTML转场页面注册的字体
+     */
+    constructor(options) {
+        assert(_.isObject(options), "TransitionRenderer options must be Object");
+        const { transition, width, height, fps, encodeOptions, fonts } = options;
+        assert(transition instanceof Transition, "transition must be Transition");
+        assert(transition.isRendered(), `Transition ${transition.id} does not need to be rendered`);
+        assert(_.isFinite(width), "width must be number");
+        assert(_.isFinite(height), "height must be number");
+        assert(_.isFinite(fps), "fps must be number");
+        assert(_.isUndefined(encodeOptions) || _.isObject(encodeOptions), "encodeOptions must be Object");
+        assert(_.isUndefined(fonts) || _.isArray(fonts), "fonts must be Font[]");
+        this.transition = transition;
+        this.width = width;
+        this.height = height;
+        this.fps = fps;
+        this.encodeOptions = _.pick(encodeOptions, ["videoEncoder", "videoQuality", "videoBitrate", "pixelFormat"]);
+        this.fonts = _.defaultTo(fonts, []);
+    }
+
+    /**
+     * 渲染转场片段
+     * 
+     * @param {Page} page - 渲染页面
+     * @param {VideoChunk} fromChunk - 转场前的分块
+     * @param {VideoChunk} toChunk - 转场后的分块
+     * @returns {string} - 转场片段路径
+     */
+    async render(page, fromChunk, toChunk) {
+        assert(page instanceof Page, "page must be Page");
+        const { transition, width, height, fps } = this;
+        const frameCount = Math.max(1, util.durationToFrameCount(transition.duration, fps));
+        const id = uniqid("transition_");
+        const frameDirPath = path.join(this.tmpDirPath, id);
+        const clipPath = path.join(this.tmpDirPath, `${id}.ts`);
+        await fs.ensureDir(frameDirPath);
+        let clip = null;
+        try {
+            // 提取前一分块末尾和后一分块开头的帧
+            await Promise.all([
+                this.#extractFrames(fromChunk.outputPath, Math.max(0, fromChunk.duration - transition.duration), frameCount, path.join(frameDirPath, "from_%06d.png")),
+                this.#extractFrames(toChunk.outputPath, 0, frameCount, path.join(frameDirPath, "to_%06d.png"))
+            ]);
+            clip = new VideoChunk({
+                ...this.encodeOptions,
+                width,
+                height,
+                fps,
+                duration: frameCount / fps * 1000,
+                outputPath: clipPath
+            });
+            const completedPromise = new Promise((resolve, reject) => {
+                clip.once("completed", resolve);
+                clip.once("error", reject);
+            });
+            clip.start();
+            if (transition.type == Transition.TYPE.HTML)
+                await this.#captureHTML(page, clip, frameDirPath, frameCount);
+            else
+                await this.#renderGLSL(page, clip, frameDirPath, frameCount);
+            clip.endInput();
+            await completedPromise;
+            return clipPath;
+        }
+        catch (err) {
+            clip && clip.abort();
+            throw err;
+        }
+        finally {
+            await fs.remove(frameDirPath);
+        }
+    }
+
+    /**
+     * 逐帧渲染GLSL转场
+     * 
+     * @param {Page} page - 渲染页面
+     * @param {VideoChunk} clip - 转场片段
+     * @param {string} frameDirPath - 帧目录路径
+     * @param {number} frameCount - 转场帧数
+     */
+    async #renderGLSL(page, clip, frameDirPath, frameCount) {
+        await page.setContent(PAGE_CONTENT);
+        await this.#initShader(page);
+        for (let i = 0; i < frameCount; i++) {
+            const [from, to] = await Promise.all(["from", "to"].map(name => this.#readFrame(frameDirPath, name, i)));
+            clip.input(await this.#renderFrame(page, from, to, i / frameCount));
+        }
+    }
+
+    /**
+     * 捕获HTML转场页面
+     * 
+     * 页面中的转场画布在每帧捕获前通过页面的转场帧图提供函数获取前后分块的帧图
+     * 
+     * @param {Page} page - 渲染页面
+     * @param {VideoChunk} clip - 转场片段
+     * @param {string} frameDirPath - 帧目录路径
+     * @param {number} frameCount - 转场帧数
+     */
+    async #captureHTML(page, clip, frameDirPath, frameCount) {
+        const { width, height, fps, fonts } = this;
+        const { url, content } = this.transition;
+        const errorPromise = new Promise((_, reject) => {
+            page.once("error", reject);
+            page.once("crashed", reject);
+        });
+        page.setTransitionFrameProvider((source, index) => this.#readFrame(frameDirPath, source, Math.min(index, frameCount - 1)));
+        await page.setViewport({ width, height });
+        if (url)
+            await page.goto(url);
+        else
+            await page.setContent(content);
+        fonts.length > 0 && page.registerFonts(fonts);
+        await page.waitForFontsLoaded();
+        page.on("frame", buffer => clip.input(buffer));
+        await Promise.race([
+            (async () => {
+                await page.startScreencast({ fps, frameCount });
+                await new Promise(resolve => page.once("screencastCompleted", resolve));
+            })(),
+            errorPromise
+        ]);
+        await page.stopScreencast();
+    }
+
+    /**
+     * 提取视频帧
+     * 
+     * @param {string} source - 视频路径
+     * @param {number} seekTime - 开始时间点（毫秒）
+     * @param {number} frameCount - 提取帧数
+     * @param {string} pattern - 帧文件路径模式
+     */
+    async #extractFrames(source, seekTime, frameCount, pattern) {
+        await new Promise((resolve, reject) => {
+            ffmpeg(source)
+                .seekInput(seekTime / 1000)
+                .frames(frameCount)
+                .outputOption("-start_number", 0)
+                .output(pattern)
+                .once("start", cmd => util.ffmpegLog(cmd))
+                .once("error", reject)
+                .once("end", resolve)
+                .run();
+        });
+    }
+
+    /**
+     * 读取提取的帧
+     * 
+     * @param {string} frameDirPath - 帧目录路径
+     * @param {string} name - 帧名称前缀
+     * @param {number} index - 帧索引
+     * @returns {string} - 帧图的base64编码
+     */
+    async #readFrame(frameDirPath, name, index) {
+        // 分块帧数不足时沿用最后一帧
+        for (let i = index; i >= 0; i--) {
+            const framePath = path.join(frameDirPath, `${name}_${String(i).padStart(6, "0")}.png`);
+            if (await fs.pathExists(framePath))
+                return (await fs.readFile(framePath)).toString("base64");
+        }
+        throw new Error(`Transition ${this.transition.id} is unable to extract ${name} frames`);
+    }
+
+    /**
+     * 在页面中初始化转场着色器
+     * 
+     * @param {Page} page - 渲染页面
+     */
+    async #initShader(page) {
+        const { width, height } = this;
+        const { glsl, uniforms, params } = this.transition;
+        await page.target.evaluate((options) => {
+            const { width, height, vertexShader, fragmentShader, uniforms, params } = options;
+            const canvas = document.createElement("canvas");
+            canvas.width = width;
+            canvas.height = height;
+            const gl = canvas.getContext("webgl", { preserveDrawingBuffer: true, premultipliedAlpha: false });
+            if (!gl)
+                throw new Error("WebGL is not supported, unable to render glsl transition");
+            const compile = (type, source) => {
+                const shader = gl.createShader(type);
+                gl.shaderSource(shader, source);
+                gl.compileShader(shader);
+                if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS))
+                    throw new Error(`Transition glsl compile failed: ${gl.getShaderInfoLog(shader)}`);
+                return shader;
+            };
+            const program = gl.createProgram();
+            gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexShader));
+            gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentShader));
+            gl.linkProgram(program);
+            if (!gl.getProgramParameter(program, gl.LINK_STATUS))
+                throw new Error(`Transition glsl link failed: ${gl.getProgramInfoLog(program)}`);
+            gl.useProgram(program);
+            gl.viewport(0, 0, width, height);
+            const buffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+            gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+            const position = gl.getAttribLocation(program, "position");
+            gl.enableVertexAttribArray(position);
+            gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+            const location = name => gl.getUniformLocation(program, name);
+            gl.uniform1i(location("from"), 0);
+            gl.uniform1i(location("to"), 1);
+            gl.uniform1f(location("ratio"), width / height);
+            gl.uniform2f(location("resolution"), width, height);
+            Object.entries(params).forEach(([name, value]) => {
+                const type = uniforms[name];
+                if (type == "float")
+                    gl.uniform1f(location(name), value);
+                else if (type == "int" || type == "bool")
+                    gl.uniform1i(location(name), Number(value));
+                else if (type.startsWith("ivec"))
+                    gl[`uniform${type.slice(-1)}iv`](location(name), value);
+                else
+                    gl[`uniform${type.slice(-1)}fv`](location(name), value);
+            });
+            // 非2的幂尺寸纹理需要禁用mipmap和重复环绕
+            const textures = [0, 1].map(() => {
+                const texture = gl.createTexture();
+                gl.bindTexture(gl.TEXTURE_2D, texture);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+                return texture;
+            });
+            // 纹理坐标原点在左下角，需要翻转图像
+            gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+            window.____transitionRenderer = { gl, canvas, textures, progressLocation: location("progress") };
+        }, {
+            width,
+            height,
+            vertexShader: VERTEX_SHADER,
+            fragmentShader: [
+                "precision highp float;",
+                "uniform sampler2D from;",
+                "uniform sampler2D to;",
+                "uniform float progress;",
+                "uniform float ratio;",
+                "uniform vec2 resolution;",
+                "vec4 getFromColor(vec2 uv){return texture2D(from, uv);}",
+                "vec4 getToColor(vec2 uv){return texture2D(to, uv);}",
+                glsl,
+                "void main(){gl_FragColor=transition(gl_FragCoord.xy / resolution);}"
+            ].join("\n"),
+            uniforms,
+            params
+        });
+    }
+
+    /**
+     * 渲染转场帧
+     * 
+     * @param {Page} page - 渲染页面
+     * @param {string} from - 转场前的帧图base64编码
+     * @param {string} to - 转场后的帧图base64编码
+     * @param {number} progress - 转场进度（0-1）
+     * @returns {Buffer} - 帧图缓冲区
+     */
+    async #renderFrame(page, from, to, progress) {
+        const dataURL = await page.target.evaluate(async (from, to, progress) => {
+            const { gl, canvas, textures, progressLocation } = window.____transitionRenderer;
+            const images = await Promise.all([from, to].map(async data => {
+                const image = new Image();
+                image.src = `data:image/png;base64,${data}`;
+                await image.decode();
+                return image;
+            }));
+            images.forEach((image, index) => {
+                gl.activeTexture(gl.TEXTURE0 + index);
+                gl.bindTexture(gl.TEXTURE_2D, textures[index]);
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+            });
+            gl.uniform1f(progressLocation, progress);
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+            return canvas.toDataURL("image/png");
+        }, from, to, progress);
+        return Buffer.from(dataURL.substring(dataURL.indexOf(",") + 1), "base64");
+    }
+
+}
\ No newline at end of file
@@ -4,7 +4,9 @@ import Browser from "./Browser.js";
 import Page from "./Page.js";
 import ChunkSynthesizer from "./ChunkSynthesizer.js";
 import VideoChunk from "./VideoChunk.js";
+import TransitionRenderer from "./TransitionRenderer.js";
 import Synthesizer from "./Synthesizer.js";
+import AudioAnalyzer from "./AudioAnalyzer.js";
 
 export {
     CaptureContext,
@@ -13,5 +15,7 @@ export {
     Page,
     ChunkSynthesizer,
     VideoChunk,
-    Synthesizer
+    TransitionRenderer,
+    Synthesizer,
+    AudioAnalyzer
 };
\ No newline at end of file
@@ -4,9 +4,15 @@ import fs from "fs-extra";
 import _ from "lodash";
 import AsyncLock from "async-lock";
 
+import { AUDIO_ROLE, AUDIO_EFFECT } from "../lib/const.js";
 import util from "../lib/util.js";
 
 const downloadLock = new AsyncLock();
+const speechLock = new AsyncLock();
+const AUDIO_ROLES = Object.values(AUDIO_ROLE);
+const AUDIO_EFFECTS = Object.values(AUDIO_EFFECT);
+/** @type {Map<string, Function>} - 已注册的语音合成提供者 */
+const TTS_PROVIDERS = new Map();
 
 /**
  * 音频
@@ -19,6 +25,8 @@ export default class Audio {
     path;
     /** @type {string} - 音频URL */
     url;
+    /** @type {Object} - 语音合成选项 */
+    tts;
     /** @type {number} - 起始时间点（毫秒） */
     startTime;
     /** @type {number} - 结束时间点（毫秒） */
@@ -29,6 +37,8 @@ export default class Audio {
     loop;
     /** @type {number} - 音量（0-100） */
     volume;
+    /** @type {string} - 音频角色（music/voice/sfx） */
+    role;
     /** @type {number} - 裁剪起始时间点（毫秒） */
     seekStart;
     /** @type {number} - 裁剪结束实际点（毫秒） */
@@ -37,6 +47,10 @@ export default class Audio {
     fadeInDuration;
     /** @type {number} - 淡出时长（毫秒 */
     fadeOutDuration;
+    /** @type {number} - 播放速率，负数时倒放 */
+    playbackRate;
+    /** @type {Object[]} - 音频效果链 */
+    effects;
     /** @type {number} - 重试拉取次数 */
     retryFetchs;
     /** @type {boolean} - 是否忽略本地缓存 */
@@ -53,44 +67,64 @@ export default class Audio {
      * @param {number} [options.id] - 音频ID
      * @param {string} [options.path] - 音频路径
      * @param {string} [options.url] - 音频URL
+     * @param {Object} [options.tts] - 语音合成选项，由已注册的语音合成提供者生成音频，与path和url三选一
+     * @param {string} options.tts.text - 合成文本
+     * @param {string} [options.tts.voice] - 合成音色
+     * @param {string} [options.tts.provider] - 语音合成提供者名称，默认使用首个注册的提供者
+     * @param {string} [options.tts.format="wav"] - 合成音频格式
      * @param {number} [options.startTime=0] - 起始时间点（毫秒）
      * @param {number} [options.endTime] - 结束时间点（毫秒）
      * @param {boolean} [options.loop=false] - 是否循环播放
      * @param {number} [options.volume=100] - 音量（0-100）
+     * @param {string} [options.role="sfx"] - 音频角色（music/voice/sfx），旁白播放时背景音乐将自动闪避，语音合成音频默认为voice
      * @param {number} [options.seekStart=0] - 裁剪起始时间点（毫秒）
      * @param {number} [options.seekEnd] - 裁剪结束实际点（毫秒）
      * @param {number} [options.fadeInDuration] - 淡入时长（毫秒）
      * @param {number} [options.fadeOutDuration] - 淡出时长（毫秒）
+     * @param {number} [options.playbackRate=1] - 播放速率（绝对值0.0625-16），负数时倒放
+     * @param {Object[]} [options.effects] - 音频效果链，按顺序应用，每个效果包含效果类型type及其参数
      * @param {number} [options.retryFetchs=2] - 重试拉取次数
      * @param {boolean} [options.ignoreCache=false] - 是否忽略本地缓存
      */
     constructor(options) {
         assert(_.isObject(options), "addAudio options must be object");
-        const { id, path: _path, url, startTime, endTime, loop, volume, seekStart, seekEnd,
-            fadeInDuration, fadeOutDuration, retryFetchs, ignoreCache } = options;
+        const { id, path: _path, url, tts, startTime, endTime, loop, volume, role, seekStart, seekEnd,
+            fadeInDuration, fadeOutDuration, playbackRate, effects, retryFetchs, ignoreCache } = options;
         assert(_.isUndefined(id) || _.isFinite(id), "Audio id must be number");
-        assert(_.isString(_path) || _.isString(url), "Audio path or url must be string");
+        assert(_.isString(_path) || _.isString(url) || _.isPlainObject(tts), "Audio path or url must be string, or tts must be Object");
+        assert(_.isUndefined(tts) || (_.isString(tts.text) && tts.text.trim().length > 0), "Audio tts.text must be non-empty string");
+        assert(_.isUndefined(tts) || _.isUndefined(tts.voice) || _.isString(tts.voice), "Audio tts.voice must be string");
+        assert(_.isUndefined(tts) || _.isUndefined(tts.provider) || _.isString(tts.provider), "Audio tts.provider must be string");
+        assert(_.isUndefined(tts) || _.isUndefined(tts.format) || /^\w+$/.test(tts.format), "Audio tts.format is invalid");
         assert(_.isUndefined(startTime) || _.isFinite(startTime), "Audio startTime must be number");
         assert(_.isUndefined(endTime) || _.isFinite(endTime), "Audio endTime must be number");
         assert(_.isUndefined(loop) || _.isBoolean(loop), "Audio loop must be boolean");
         assert(_.isUndefined(volume) || _.isFinite(volume), "Audio volume must be number");
+        assert(_.isUndefined(role) || AUDIO_ROLES.includes(role), `Audio role must be ${AUDIO_ROLES.join("/")}`);
         assert(_.isUndefined(seekStart) || _.isFinite(seekStart), "Audio seekStart must be number");
         assert(_.isUndefined(seekEnd) || _.isFinite(seekEnd), "Audio seekEnd must be number");
         assert(_.isUndefined(fadeInDuration) || _.isFinite(fadeInDuration), "Audio fadeInDuration must be number");
         assert(_.isUndefined(fadeOutDuration) || _.isFinite(fadeOutDuration), "Audio fadeOutDuration must be number");
+        assert(_.isUndefined(playbackRate) || (_.isFinite(playbackRate) && Math.abs(playbackRate) >= 0.0625 && Math.abs(playbackRate) <= 16),
+            "Audio playbackRate must be number and its absolute value between 0.0625 and 16");
+        assert(_.isUndefined(effects) || _.isArray(effects), "Audio effects must be Array");
         assert(_.isUndefined(retryFetchs) || _.isFinite(retryFetchs), "Audio retryFetchs must be number");
         assert(_.isUndefined(ignoreCache) || _.isBoolean(ignoreCache), "Audio fadeOutDuration must be boolean");
         this.id = id;
         this.path = _.isString(_path) ? path.resolve(_path) : _path;
         this.url = url;
+        this.tts = tts;
         this.startTime = _.defaultTo(startTime, 0);
         this.endTime = endTime;
         this.loop = _.defaultTo(loop, false);
         this.volume = _.defaultTo(volume, 100);
+        this.role = _.defaultTo(role, tts ? AUDIO_ROLE.VOICE : AUDIO_ROLE.SFX);
         this.seekStart = _.defaultTo(seekStart, 0);
         this.seekEnd = seekEnd;
         this.fadeInDuration = fadeInDuration;
         this.fadeOutDuration = fadeOutDuration;
+        this.playbackRate = _.defaultTo(playbackRate, 1);
+        this.effects = (effects || []).map((effect, index) => Audio.#normalizeEffect(effect, index));
         this.retryFetchs = _.defaultTo(retryFetchs, 2);
         this.ignoreCache = _.defaultTo(ignoreCache, false);
     }
@@ -110,6 +144,8 @@ export default class Audio {
             }
             else if (this.url)
                 this.path = await this.#downloadFile(this.url);
+            else if (this.tts)
+                this.path = await this.#synthesizeSpeech(this.tts);
             this.duration = await util.getMediaDuration(this.path);
             if (this.endTime > 0 && this.startTime > this.endTime)
                 throw new Error(`Audio startTime (${this.startTime}) > endTime (${this.endTime})`);
@@ -119,6 +155,35 @@ export default class Audio {
         return this.#loadPromise;
     }
 
+    /**
+     * 获取播放速度倍率
+     * 
+     * 播放速率和变速效果会改变音频的播放时长
+     * 
+     * @returns {number} - 速度倍率
+     */
+    get speed() {
+        return this.effects
+            .filter(effect => effect.type == AUDIO_EFFECT.TEMPO)
+            .reduce((speed, effect) => speed * effect.rate, Math.abs(this.playbackRate));
+    }
+
+    /**
+     * 获取音频过滤器
+     * 
+     * 先应用播放速率再应用效果链
+     * 
+     * @returns {string} - 过滤器参数，无需处理时为空字符串
+     */
+    get filter() {
+        return [
+            // 负播放速率时倒放
+            this.playbackRate < 0 ? "areverse" : "",
+            util.createAudioTempoFilter(Math.abs(this.playbackRate)),
+            util.createAudioEffectsFilter(this.effects)
+        ].filter(filter => filter).join(",");
+    }
+
     /**
      * 下载文件
      *
@@ -142,4 +207,111 @@ export default class Audio {
         return filePath;
     }
 
+    /**
+     * 合成语音
+     * 
+     * 相同提供者、文本、音色及参数的合成结果将被缓存
+     * 
+     * @param {Object} tts - 语音合成选项
+     * @returns {string} - 合成音频路径
+     */
+    async #synthesizeSpeech(tts) {
+        const { provider: name, format = "wav", ...options } = tts;
+        const providerName = _.defaultTo(name, TTS_PROVIDERS.keys().next().value);
+        assert(TTS_PROVIDERS.has(providerName), `TTS provider ${providerName || ""} is not registered, please register it by Audio.registerTTSProvider()`);
+        const provider = TTS_PROVIDERS.get(providerName);
+        const hash = util.md5(JSON.stringify(_.sortBy(_.toPairs(_.omitBy(options, _.isUndefined)), 0)));
+        const filePath = path.join(this.tmpDirPath, "tts", providerName, `${hash}.${format}`);
+        await speechLock.acquire(hash, async () => {
+            if (!this.ignoreCache && await fs.pathExists(filePath)) return;
+            await fs.ensureDir(path.dirname(filePath));
+            // 临时文件保留后缀名以便合成引擎识别格式
+            const tmpFilePath = path.join(path.dirname(filePath), `${hash}.tmp.${format}`);
+            const result = await provider({ ...options }, tmpFilePath);
+            if (_.isBuffer(result))
+                await fs.writeFile(tmpFilePath, result);
+            else if (_.isString(result) && path.resolve(result) != tmpFilePath)
+                await fs.copy(result, tmpFilePath);
+            if (!await fs.pathExists(tmpFilePath))
+                throw new Error(`TTS provider ${providerName} did not output audio for text: ${_.truncate(options.text, { length: 30 })}`);
+            await fs.move(tmpFilePath, filePath, { overwrite: true });
+        });
+        return filePath;
+    }
+
+    /**
+     * 校验并规范化音频效果
+     * 
+     * @param {Object} effect - 音频效果
+     * @param {number} index - 效果在效果链中的索引
+     * @returns {Object} - 规范化的音频效果
+     */
+    static #normalizeEffect(effect, index) {
+        const name = `Audio effects[${index}]`;
+        assert(_.isPlainObject(effect), `${name} must be Object`);
+        assert(AUDIO_EFFECTS.includes(effect.type), `${name}.type must be ${AUDIO_EFFECTS.join("/")}`);
+        // 校验参数范围，未设置时使用默认值
+        const param = (key, min, max, defaultValue) => {
+            const value = effect[key];
+            assert(_.isUndefined(value) ? !_.isUndefined(defaultValue) : (_.isFinite(value) && value >= min && value <= max),
+                `${name}.${key} must be number between ${min} and ${max}`);
+            return _.defaultTo(value, defaultValue);
+        };
+        switch (effect.type) {
+            case AUDIO_EFFECT.EQUALIZER:
+                return { type: effect.type, frequency: param("frequency", 20, 20000), gain: param("gain", -30, 30), q: param("q", 0.1, 10, 1) };
+            case AUDIO_EFFECT.HIGHPASS:
+            case AUDIO_EFFECT.LOWPASS:
+                return { type: effect.type, frequency: param("frequency", 20, 20000), q: param("q", 0.1, 10, 0.707) };
+            case AUDIO_EFFECT.COMPRESSOR:
+                return {
+                    type: effect.type,
+                    threshold: param("threshold", -60, 0, -18),
+                    ratio: param("ratio", 1, 20, 4),
+                    attack: param("attack", 0.01, 2000, 20),
+                    release: param("release", 0.01, 9000, 250),
+                    makeup: param("makeup", 0, 24, 0)
+                };
+            case AUDIO_EFFECT.REVERB:
+                return { type: effect.type, delay: param("delay", 10, 1000, 60), decay: param("decay", 0, 0.9, 0.4) };
+            case AUDIO_EFFECT.PITCH:
+                return { type: effect.type, semitones: param("semitones", -24, 24) };
+            case AUDIO_EFFECT.TEMPO:
+                return { type: effect.type, rate: param("rate", 0.25, 4) };
+        }
+    }
+
+    /**
+     * 注册语音合成提供者
+     * 
+     * 提供者函数接收合成选项（text、voice及其它参数）和输出路径，可将音频写入输出路径，或返回音频Buffer或已有音频的路径
+     * 
+     * @param {string} name - 提供者名称
+     * @param {Function} provider - 提供者函数
+     */
+    static registerTTSProvider(name, provider) {
+        assert(_.isString(name) && /^[\w-]+$/.test(name), "TTS provider name must be string and only contain letters, digits, underscores and hyphens");
+        assert(_.isFunction(provider), "TTS provider must be Function");
+        TTS_PROVIDERS.set(name, provider);
+    }
+
+    /**
+     * 注销语音合成提供者
+     * 
+     * @param {string} name - 提供者名称
+     */
+    static unregisterTTSProvider(name) {
+        TTS_PROVIDERS.delete(name);
+    }
+
+    /**
+     * 判断语音合成提供者是否已注册
+     * 
+     * @param {string} name - 提供者名称
+     * @returns {boolean} - 是否已注册
+     */
+    static isTTSProviderRegistered(name) {
+        return TTS_PROVIDERS.has(name);
+    }
+
 }
\ No newline at end of file
@@ -0,0 +1,228 @@
+import assert from "assert";
+import path from "path";
+import fs from "fs-extra";
+import YAML from "yaml";
+import _ from "lodash";
+
+import util from "../lib/util.js";
+
+/**
+ * 视频项目
+ * 
+ * 以JSON/YAML文档声明式描述单幕或多幕视频
+ */
+export default class Project {
+
+    /** 项目类型枚举 */
+    static TYPE = {
+        /** 单幕视频 */
+        SINGLE: "single",
+        /** 多幕视频 */
+        MULTI: "multi"
+    };
+
+    /** @type {string} - 项目类型（single/multi） */
+    type;
+    /** @type {Object} - 视频选项 */
+    options;
+    /** @type {Object[]} - 分块视频选项列表 */
+    chunks = [];
+    /** @type {Object[]} - 字体选项列表 */
+    fonts = [];
+    /** @type {Object[]} - 音频选项列表 */
+    audios = [];
+    /** @type {string} - 相对路径的基准目录 */
+    basePath;
+
+    /**
+     * 构造函数
+     * 
+     * @param {Object} spec - 项目文档
+     * @param {string} [spec.type] - 项目类型（single/multi），未指定时存在chunks则为multi
+     * @param {string} spec.outputPath - 输出路径，设置liveOutput时可不提供
+     * @param {number} spec.width - 视频宽度
+     * @param {number} spec.height - 视频高度
+     * @param {string} [spec.url] - 页面URL（single）
+     * @param {string} [spec.content] - 页面内容（single）
+     * @param {number} [spec.duration] - 视频时长（single）
+     * @param {Object[]} [spec.chunks] - 分块视频选项列表（multi）
+     * @param {Object[]} [spec.fonts] - 字体选项列表
+     * @param {Object[]} [spec.audios] - 音频选项列表
+     * @param {string} [basePath] - 相对路径的基准目录，默认为当前工作目录
+     */
+    constructor(spec, basePath) {
+        assert(_.isPlainObject(spec), "Project spec must be Object");
+        assert(_.isUndefined(basePath) || _.isString(basePath), "Project basePath must be string");
+        const { type, chunks, fonts, audios, ...options } = spec;
+        assert(_.isUndefined(type) || Object.values(Project.TYPE).includes(type), `Project type ${type} is not supported`);
+        this.type = _.defaultTo(type, _.isUndefined(chunks) ? Project.TYPE.SINGLE : Project.TYPE.MULTI);
+        this.basePath = path.resolve(_.defaultTo(basePath, "."));
+        assert(_.isString(options.outputPath) || _.isString(options.liveOutput), "Project outputPath or liveOutput must be string");
+        assert(_.isFinite(options.width), "Project width must be number");
+        assert(_.isFinite(options.height), "Project height must be number");
+        this.#checkFunctionless(options, "Project");
+        this.fonts = this.#parseFonts(fonts, "Project");
+        this.audios = this.#parseAudios(audios, "Project");
+        if (this.type == Project.TYPE.SINGLE) {
+            assert(_.isUndefined(chunks), "Project chunks is only supported by multi project");
+            this.#checkPageSource(options, "Project");
+            assert(_.isFinite(options.duration), "Project duration must be number");
+        }
+        else {
+            assert(_.isArray(chunks) && chunks.length > 0, "Project chunks must be non-empty Array");
+            assert(_.isUndefined(options.url) && _.isUndefined(options.content), "Project url or content is not supported by multi project, please set it for each chunk");
+            this.chunks = chunks.map((chunk, index) => this.#parseChunk(chunk, `Project chunks[${index}]`));
+        }
+        this.options = this.#resolveSubtitlePath(this.#resolvePaths(options, ["outputPath", "attachCoverPath"]));
+    }
+
+    /**
+     * 从文件加载项目
+     * 
+     * 支持.json/.yaml/.yml文件，文档内的相对路径将基于文件所在目录解析
+     * 
+     * @param {string} filePath - 项目文件路径
+     * @returns {Project} - 项目对象
+     */
+    static load(filePath) {
+        assert(_.isString(filePath), "Project file path must be string");
+        if (!fs.pathExistsSync(filePath))
+            throw new Error(`Project file ${filePath} not exists`);
+        const content = fs.readFileSync(filePath, "utf-8");
+        const spec = Project.parse(content, util.getPathExtname(filePath));
+        return new Project(spec, path.dirname(path.resolve(filePath)));
+    }
+
+    /**
+     * 解析项目文档内容
+     * 
+     * @param {string} content - 文档内容
+     * @param {string} [format="json"] - 文档格式（json/yaml/yml）
+     * @returns {Object} - 项目文档对象
+     */
+    static parse(content, format = "json") {
+        assert(_.isString(content), "Project content must be string");
+        format = format.toLowerCase();
+        if (format == "json")
+            return JSON.parse(content);
+        if (format == "yaml" || format == "yml")
+            return YAML.parse(content);
+        throw new Error(`Project format ${format} is not supported`);
+    }
+
+    /**
+     * 解析分块视频选项
+     * 
+     * @param {Object} chunk - 分块视频选项
+     * @param {string} name - 错误提示名称
+     * @returns {Object} - 分块视频选项
+     */
+    #parseChunk(chunk, name) {
+        assert(_.isPlainObject(chunk), `${name} must be Object`);
+        const { fonts, audios, transition, ...options } = chunk;
+        this.#checkFunctionless(options, name);
+        this.#checkPageSource(options, name);
+        assert(_.isFinite(options.duration), `${name} duration must be number`);
+        assert(_.isUndefined(transition) || _.isString(transition) || _.isPlainObject(transition), `${name} transition must be string or Object`);
+        return {
+            ...this.#resolveSubtitlePath(this.#resolvePaths(options, ["outputPath", "attachCoverPath"])),
+            transition,
+            fonts: this.#parseFonts(fonts, name),
+            audios: this.#parseAudios(audios, name)
+        };
+    }
+
+    /**
+     * 解析字体选项列表
+     * 
+     * @param {Object[]} fonts - 字体选项列表
+     * @param {string} name - 错误提示名称
+     * @returns {Object[]} - 字体选项列表
+     */
+    #parseFonts(fonts = [], name) {
+        assert(_.isArray(fonts), `${name} fonts must be Array`);
+        return fonts.map((font, index) => {
+            assert(_.isPlainObject(font), `${name} fonts[${index}] must be Object`);
+            return this.#resolvePaths(font, ["path"]);
+        });
+    }
+
+    /**
+     * 解析音频选项列表
+     * 
+     * @param {Object[]} audios - 音频选项列表
+     * @param {string} name - 错误提示名称
+     * @returns {Object[]} - 音频选项列表
+     */
+    #parseAudios(audios = [], name) {
+        assert(_.isArray(audios), `${name} audios must be Array`);
+        return audios.map((audio, index) => {
+            assert(_.isPlainObject(audio), `${name} audios[${index}] must be Object`);
+            return this.#resolvePaths(audio, ["path"]);
+        });
+    }
+
+    /**
+     * 解析字幕文件路径
+     * 
+     * @param {Object} options - 选项
+     * @returns {Object} - 已解析字幕文件路径的选项
+     */
+    #resolveSubtitlePath(options) {
+        if (!_.isPlainObject(options.subtitle))
+            return options;
+        return { ...options, subtitle: this.#resolvePaths(options.subtitle, ["path"]) };
+    }
+
+    /**
+     * 检查页面来源
+     * 
+     * @param {Object} options - 选项
+     * @param {string} name - 错误提示名称
+     */
+    #checkPageSource(options, name) {
+        const { url, content } = options;
+        assert(!_.isUndefined(url) || !_.isUndefined(content), `${name} url or content must be provide`);
+        assert(_.isUndefined(url) || util.isURL(url), `${name} url ${url} is not valid URL`);
+        assert(_.isUndefined(content) || _.isString(content), `${name} content must be string`);
+    }
+
+    /**
+     * 检查选项中不包含函数
+     * 
+     * 函数类选项（pagePrepareFn/timeActions）无法通过文档描述
+     * 
+     * @param {Object} options - 选项
+     * @param {string} name - 错误提示名称
+     */
+    #checkFunctionless(options, name) {
+        assert(_.isUndefined(options.pagePrepareFn), `${name} pagePrepareFn is not supported in project document`);
+        assert(_.isUndefined(options.timeActions), `${name} timeActions is not supported in project document`);
+    }
+
+    /**
+     * 将相对路径基于基准目录解析为绝对路径
+     * 
+     * @param {Object} options - 选项
+     * @param {string[]} keys - 路径字段列表
+     * @returns {Object} - 已解析路径的选项
+     */
+    #resolvePaths(options, keys) {
+        const result = { ...options };
+        keys.forEach(key => {
+            if (_.isString(result[key]))
+                result[key] = path.resolve(this.basePath, result[key]);
+        });
+        return result;
+    }
+
+    /**
+     * 是否为多幕视频项目
+     * 
+     * @returns {boolean} - 是否多幕视频项目
+     */
+    isMulti() {
+        return this.type == Project.TYPE.MULTI;
+    }
+
+}
\ No newline at end of file
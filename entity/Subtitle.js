@@ -0,0 +1,131 @@
+import assert from "assert";
+import path from "path";
+import fs from "fs-extra";
+import _ from "lodash";
+
+import util from "../lib/util.js";
+
+/** 时间码正则，兼容SRT的逗号和VTT的点号毫秒分隔符及VTT省略小时的写法 */
+const TIMECODE_REGEXP = /(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})/;
+
+/**
+ * 字幕
+ */
+export default class Subtitle {
+
+    /** @type {number} - 开始时间点（毫秒） */
+    startTime;
+    /** @type {number} - 结束时间点（毫秒） */
+    endTime;
+    /** @type {string} - 字幕文本 */
+    text;
+
+    /**
+     * 构造函数
+     * 
+     * @param {Object} options - 字幕选项
+     * @param {number} options.startTime - 开始时间点（毫秒）
+     * @param {number} options.endTime - 结束时间点（毫秒）
+     * @param {string} options.text - 字幕文本，可使用换行符分行
+     */
+    constructor(options) {
+        assert(_.isObject(options), "Subtitle options must be Object");
+        const { startTime, endTime, text } = options;
+        assert(_.isFinite(startTime) && startTime >= 0, "Subtitle startTime must be number and not less than 0");
+        assert(_.isFinite(endTime) && endTime > startTime, "Subtitle endTime must be number and greater than startTime");
+        assert(_.isString(text), "Subtitle text must be string");
+        this.startTime = startTime;
+        this.endTime = endTime;
+        this.text = text;
+    }
+
+    /**
+     * 从文件加载字幕
+     * 
+     * @param {string} filePath - 字幕文件路径（.srt/.vtt）
+     * @returns {Subtitle[]} - 字幕列表
+     */
+    static load(filePath) {
+        assert(_.isString(filePath), "Subtitle file path must be string");
+        if (!fs.pathExistsSync(filePath))
+            throw new Error(`Subtitle file ${filePath} not exists`);
+        return Subtitle.parse(fs.readFileSync(path.resolve(filePath), "utf-8"), util.getPathExtname(filePath));
+    }
+
+    /**
+     * 解析字幕内容
+     * 
+     * @param {string} content - 字幕内容
+     * @param {string} [format="srt"] - 字幕格式（srt/vtt）
+     * @returns {Subtitle[]} - 字幕列表
+     */
+    static parse(content, format = "srt") {
+        assert(_.isString(content), "Subtitle content must be string");
+        format = format.toLowerCase();
+        assert(format == "srt" || format == "vtt", `Subtitle format ${format} is not supported`);
+        return content
+            .replace(/^\uFEFF/, "")
+            .replace(/\r\n?/g, "\n")
+            .split(/\n{2,}/)
+            .reduce((subtitles, block) => {
+                const lines = block.split("\n").filter(line => line.trim());
+                // 跳过序号、VTT头部及NOTE、STYLE等非字幕块
+                const index = lines.findIndex(line => line.includes("-->"));
+                if (index == -1)
+                    return subtitles;
+                const [start, end] = lines[index].split("-->").map(time => Subtitle.#parseTimecode(time));
+                if (!_.isFinite(start) || !_.isFinite(end) || end <= start)
+                    return subtitles;
+                subtitles.push(new Subtitle({ startTime: start, endTime: end, text: lines.slice(index + 1).join("\n") }));
+                return subtitles;
+            }, []);
+    }
+
+    /**
+     * 将字幕列表序列化为字幕内容
+     * 
+     * @param {Subtitle[]} subtitles - 字幕列表
+     * @param {string} [format="srt"] - 字幕格式（srt/vtt）
+     * @returns {string} - 字幕内容
+     */
+    static stringify(subtitles, format = "srt") {
+        assert(format == "srt" || format == "vtt", `Subtitle format ${format} is not supported`);
+        // VTT使用点号作为毫秒分隔符
+        const separator = format == "vtt" ? "." : ",";
+        const content = _.sortBy(subtitles, "startTime")
+            .map(({ startTime, endTime, text }, index) => `${index + 1}\n${Subtitle.#formatTimecode(startTime, separator)} --> ${Subtitle.#formatTimecode(endTime, separator)}\n${text}\n`)
+            .join("\n");
+        return format == "vtt" ? `WEBVTT\n\n${content}` : content;
+    }
+
+    /**
+     * 解析时间码
+     * 
+     * @param {string} value - 时间码
+     * @returns {number} - 时间点（毫秒）
+     */
+    static #parseTimecode(value) {
+        const match = value.trim().match(TIMECODE_REGEXP);
+        if (!match)
+            return NaN;
+        const [, hours = 0, minutes, seconds, milliseconds] = match;
+        return Number(hours) * 3600000 + Number(minutes) * 60000 + Number(seconds) * 1000 + Number(milliseconds.padEnd(3, "0"));
+    }
+
+    /**
+     * 格式化时间码
+     * 
+     * @param {number} time - 时间点（毫秒）
+     * @param {string} [separator=","] - 毫秒分隔符
+     * @returns {string} - 时间码
+     */
+    static #formatTimecode(time, separator = ",") {
+        time = Math.max(0, Math.round(time));
+        const pad = (value, length = 2) => String(value).padStart(length, "0");
+        const hours = Math.floor(time / 3600000);
+        const minutes = Math.floor(time % 3600000 / 60000);
+        const seconds = Math.floor(time % 60000 / 1000);
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(time % 1000, 3)}`;
+    }
+
+}
\ No newline at end of file
@@ -1,32 +1,223 @@
 import assert from "assert";
 import _ from "lodash";
 
-import { TRANSITION } from "../lib/const.js";
+import { TRANSITION, AUDIO_FADE_CURVE } from "../lib/const.js";
+import util from "../lib/util.js";
 
 const TRANSITION_IDS = Object.values(TRANSITION);
+const AUDIO_FADE_CURVES = Object.values(AUDIO_FADE_CURVE);
+
+/** 已注册的自定义转场 */
+const CUSTOM_TRANSITIONS = new Map();
+
+/** GLSL转场内置的uniform变量，不可作为参数 */
+const GLSL_RESERVED_UNIFORMS = ["from", "to", "progress", "ratio", "resolution"];
 
 export default class Transition {
 
+    /** 转场类型枚举 */
+    static TYPE = {
+        /** FFmpeg内置的Xfade转场 */
+        XFADE: "xfade",
+        /** Xfade自定义表达式转场 */
+        EXPR: "expr",
+        /** 在浏览器中渲染的GLSL着色器转场 */
+        GLSL: "glsl",
+        /** 在浏览器中捕获的HTML页面转场 */
+        HTML: "html"
+    };
+
     /** @type {string} - 转场ID */
     id;
     /** @type {number} - 转场时长 */
     duration;
+    /** @type {string} - 转场类型 */
+    type;
+    /** @type {string} - Xfade自定义表达式 */
+    expr;
+    /** @type {string} - GLSL着色器源码 */
+    glsl;
+    /** @type {string} - HTML转场页面URL */
+    url;
+    /** @type {string} - HTML转场页面内容 */
+    content;
+    /** @type {{[key: string]: string}} - GLSL着色器参数类型 */
+    uniforms;
+    /** @type {Object} - GLSL着色器参数 */
+    params;
+    /** @type {boolean} - 是否在转场时长内交叉淡化前后分块的音频 */
+    audioCrossfade;
+    /** @type {string} - 音频交叉淡化曲线 */
+    audioCurve;
 
     /**
      * 构造函数
      * 
      * @param {Object} options - 转场选项
-     * @param {string} options.id - 转场ID
-     * @param {number} [options.duration=500] - 转场时长（毫秒）
+     * @param {string} options.id - 转场ID，可以是Xfade内置转场或已注册的自定义转场
+     * @param {number} [options.duration=500] - 转场时长（毫秒），自定义转场默认使用注册时的时长
+     * @param {Object} [options.params] - GLSL着色器参数，将覆盖注册时的参数
+     * @param {boolean} [options.audioCrossfade=false] - 是否在转场时长内交叉淡化前后分块的音频
+     * @param {string} [options.audioCurve="tri"] - 音频交叉淡化曲线，请参考AUDIO_FADE_CURVE
      */
     constructor(options) {
         assert(_.isObject(options), "Transition options must be Object");
-        const { id, duration } = options;
+        const { id, duration, params, audioCrossfade, audioCurve } = options;
         assert(_.isString(id), "Transition id must be string");
-        assert(TRANSITION_IDS.includes(id), `Transition id ${id} may not be supported, please refer to http://trac.ffmpeg.org/wiki/Xfade`);
+        assert(TRANSITION_IDS.includes(id) || CUSTOM_TRANSITIONS.has(id), `Transition id ${id} may not be supported, please refer to http://trac.ffmpeg.org/wiki/Xfade or register it by Transition.register()`);
         assert(_.isUndefined(duration) || _.isNumber(duration), "Transition duration must be number");
+        assert(_.isUndefined(params) || _.isPlainObject(params), "Transition params must be Object");
+        assert(_.isUndefined(audioCrossfade) || _.isBoolean(audioCrossfade), "Transition audioCrossfade must be boolean");
+        assert(_.isUndefined(audioCurve) || AUDIO_FADE_CURVES.includes(audioCurve), `Transition audioCurve must be one of ${AUDIO_FADE_CURVES.join("/")}`);
         this.id = id;
-        this.duration = _.defaultTo(duration, 500);
+        this.audioCrossfade = _.defaultTo(audioCrossfade, false);
+        this.audioCurve = _.defaultTo(audioCurve, AUDIO_FADE_CURVE.TRI);
+        if (CUSTOM_TRANSITIONS.has(id)) {
+            const definition = CUSTOM_TRANSITIONS.get(id);
+            this.type = definition.type;
+            this.expr = definition.expr;
+            this.glsl = definition.glsl;
+            this.url = definition.url;
+            this.content = definition.content;
+            this.uniforms = definition.uniforms;
+            this.params = { ...definition.params, ...params };
+            this.duration = _.defaultTo(duration, definition.duration);
+        }
+        else {
+            this.type = Transition.TYPE.XFADE;
+            this.duration = _.defaultTo(duration, 500);
+        }
+        this.type == Transition.TYPE.GLSL && Transition.#checkParams(this.params, this.uniforms, `Transition ${id}`);
+    }
+
+    /**
+     * 注册自定义转场
+     * 
+     * 支持Xfade自定义表达式或GL Transitions风格的GLSL着色器，GLSL着色器需实现 vec4 transition(vec2 uv) 函数，
+     * 可使用 getFromColor(uv)、getToColor(uv)、progress 和 ratio，参数的默认值可通过 uniform float name; // = 1.0 的注释声明
+     * 
+     * 也支持HTML页面转场，页面中带有 transition-from 和 transition-to 属性的canvas或img元素将逐帧绘制前后分块的画面，
+     * 页面将像分块一样以分块帧率捕获转场时长
+     * 
+     * @param {string} name - 转场名称
+     * @param {Object} definition - 转场定义
+     * @param {string} [definition.expr] - Xfade自定义表达式，请参考：http://trac.ffmpeg.org/wiki/Xfade
+     * @param {string} [definition.glsl] - GLSL着色器源码，请参考：https://gl-transitions.com
+     * @param {string} [definition.url] - HTML转场页面URL
+     * @param {string} [definition.content] - HTML转场页面内容
+     * @param {Object} [definition.params] - GLSL着色器参数
+     * @param {number} [definition.duration=500] - 默认转场时长（毫秒）
+     */
+    static register(name, definition) {
+        assert(_.isString(name) && /^[\w-]+$/.test(name), "Transition name must be string and only contain letters, digits, underscores and hyphens");
+        assert(!TRANSITION_IDS.includes(name), `Transition name ${name} conflicts with the built-in transition`);
+        assert(_.isPlainObject(definition), "Transition definition must be Object");
+        const { expr, glsl, url, content, params, duration } = definition;
+        assert([expr, glsl, url, content].filter(v => _.isString(v)).length == 1, "Transition definition must contain one of expr, glsl, url or content");
+        assert(_.isUndefined(expr) || !expr.includes("'"), "Transition expr must not contain single quote");
+        assert(_.isUndefined(glsl) || /vec4\s+transition\s*\(/.test(glsl), "Transition glsl must implement vec4 transition(vec2 uv)");
+        assert(_.isUndefined(url) || util.isURL(url), "Transition url is invalid");
+        assert(_.isUndefined(params) || _.isPlainObject(params), "Transition params must be Object");
+        assert(_.isUndefined(params) || _.isString(glsl), "Transition params is only supported by glsl");
+        assert(_.isUndefined(duration) || (_.isFinite(duration) && duration > 0), "Transition duration must be number and greater than 0");
+        let type = Transition.TYPE.HTML;
+        if (_.isString(expr))
+            type = Transition.TYPE.EXPR;
+        else if (_.isString(glsl))
+            type = Transition.TYPE.GLSL;
+        const _definition = {
+            type,
+            expr,
+            glsl,
+            url,
+            content,
+            duration: _.defaultTo(duration, 500)
+        };
+        if (_.isString(glsl)) {
+            const { uniforms, defaults } = Transition.#parseUniforms(glsl);
+            _definition.uniforms = uniforms;
+            _definition.params = { ...defaults, ...params };
+            Transition.#checkParams(_definition.params, uniforms, `Transition ${name}`);
+        }
+        CUSTOM_TRANSITIONS.set(name, _definition);
+    }
+
+    /**
+     * 注销自定义转场
+     * 
+     * @param {string} name - 转场名称
+     */
+    static unregister(name) {
+        CUSTOM_TRANSITIONS.delete(name);
+    }
+
+    /**
+     * 是否已注册自定义转场
+     * 
+     * @param {string} name - 转场名称
+     * @returns {boolean} - 是否已注册
+     */
+    static isRegistered(name) {
+        return CUSTOM_TRANSITIONS.has(name);
+    }
+
+    /**
+     * 解析GLSL着色器声明的参数类型和默认值
+     * 
+     * @param {string} glsl - GLSL着色器源码
+     * @returns {Object} - 参数类型和默认值
+     */
+    static #parseUniforms(glsl) {
+        const uniforms = {}, defaults = {};
+        const regex = /uniform\s+(float|int|bool|vec[234]|ivec[234])\s+(\w+)\s*;[ \t]*(?:\/\/\s*=\s*([^;\n]+))?/g;
+        let match;
+        while ((match = regex.exec(glsl)) !== null) {
+            const [, type, name, value] = match;
+            if (GLSL_RESERVED_UNIFORMS.includes(name))
+                continue;
+            uniforms[name] = type;
+            if (!value)
+                continue;
+            if (type == "bool")
+                defaults[name] = value.trim() == "true";
+            else {
+                // 去除vec2(...)等构造函数，单个值的向量构造将填充所有分量
+                const values = value.replace(/^\s*\w+\s*\(|\)\s*$/g, "").split(",").map(Number);
+                const size = Number(type.slice(-1)) || 1;
+                defaults[name] = size == 1 ? values[0] : (values.length == 1 ? new Array(size).fill(values[0]) : values);
+            }
+        }
+        return { uniforms, defaults };
+    }
+
+    /**
+     * 校验GLSL着色器参数
+     * 
+     * @param {Object} params - 参数
+     * @param {{[key: string]: string}} uniforms - 参数类型
+     * @param {string} name - 错误提示名称
+     */
+    static #checkParams(params, uniforms, name) {
+        _.forEach(params, (value, key) => {
+            const type = uniforms[key];
+            assert(type, `${name} params.${key} is not declared as uniform in glsl`);
+            const size = Number(type.slice(-1)) || 1;
+            if (type == "bool")
+                assert(_.isBoolean(value), `${name} params.${key} must be boolean`);
+            else if (size == 1)
+                assert(_.isFinite(value), `${name} params.${key} must be number`);
+            else
+                assert(_.isArray(value) && value.length == size && value.every(v => _.isFinite(v)), `${name} params.${key} must be number[${size}]`);
+        });
+    }
+
+    /**
+     * 是否需要在浏览器中渲染
+     * 
+     * @returns {boolean} - 是否需要在浏览器中渲染
+     */
+    isRendered() {
+        return this.type == Transition.TYPE.GLSL || this.type == Transition.TYPE.HTML;
     }
 
 }
\ No newline at end of file
@@ -1,9 +1,13 @@
 import Audio from "./Audio.js";
 import Font from "./Font.js";
 import Transition from "./Transition.js";
+import Project from "./Project.js";
+import Subtitle from "./Subtitle.js";
 
 export {
     Audio,
     Font,
-    Transition
+    Transition,
+    Project,
+    Subtitle
 };
\ No newline at end of file
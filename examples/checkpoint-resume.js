@@ -0,0 +1,105 @@
+/**
+ * 检查点中断恢复示例
+ * 
+ * 使用纯色帧分段编码，在检查点之间中断并从最后的检查点恢复，验证输出视频的帧数与目标总帧数一致
+ * 
+ * 调用代码：
+ * import { examples, VIDEO_ENCODER } from "web-video-creator";
+ * await examples.checkpointResume({
+ *     width: 1280,
+ *     height: 720,
+ *     fps: 30,
+ *     duration: 5000,
+ *     videoEncoder: VIDEO_ENCODER.CPU.H264,  // 根据您的硬件设备选择适合的编码器
+ *     outputPath: "./test.mp4"
+ * });
+ */
+
+import assert from "assert";
+import ffmpeg from "fluent-ffmpeg";
+
+import { core, logger } from "../index.js";
+
+/**
+ * 生成纯色帧
+ * 
+ * @param {number} width - 帧宽度
+ * @param {number} height - 帧高度
+ * @returns {Buffer} - JPEG帧缓冲区
+ */
+async function createFrame(width, height) {
+    return await new Promise((resolve, reject) => {
+        const chunks = [];
+        ffmpeg(`color=c=blue:s=${width}x${height}`)
+            .inputFormat("lavfi")
+            .frames(1)
+            .videoCodec("mjpeg")
+            .toFormat("image2pipe")
+            .once("error", reject)
+            .pipe()
+            .on("data", chunk => chunks.push(chunk))
+            .once("error", reject)
+            .once("end", () => resolve(Buffer.concat(chunks)));
+    });
+}
+
+/**
+ * 获取视频帧数
+ * 
+ * @param {string} filePath - 视频文件路径
+ * @returns {number} - 视频帧数
+ */
+async function getFrameCount(filePath) {
+    return await new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, ["-count_frames"], (err, metadata) => {
+            if (err) return reject(err);
+            const stream = metadata.streams.find(stream => stream.codec_type == "video");
+            resolve(Number(stream.nb_read_frames));
+        });
+    });
+}
+
+export default async ({
+    width,
+    height,
+    fps,
+    duration,
+    videoEncoder,
+    outputPath
+}) => {
+    const checkpointInterval = 1000;
+    const synthesizer = new core.Synthesizer({
+        width,
+        height,
+        fps,
+        duration,
+        videoEncoder,
+        outputPath,
+        checkpointInterval
+    });
+    const frame = await createFrame(width, height);
+    const completedPromise = new Promise((resolve, reject) => {
+        synthesizer.once("completed", resolve);
+        synthesizer.once("error", reject);
+    });
+    synthesizer.start();
+    const { targetFrameCount } = synthesizer;
+    // 在两个检查点之间且非并行写入帧数整数倍的位置中断
+    const interruptFrameCount = Math.min(Math.floor(fps * checkpointInterval / 1000 * 1.5) + 3, targetFrameCount - 1);
+    for (let i = 0; i < interruptFrameCount; i++)
+        synthesizer.input(frame);
+    // 编码器启动后才会读取帧管道，需等待开始处理帧后再结束输入
+    await new Promise(resolve => synthesizer.once("progress", resolve));
+    const committedFrameCount = await synthesizer._suspend();
+    assert(committedFrameCount <= interruptFrameCount, `Committed frame count (${committedFrameCount}) is greater than input frame count (${interruptFrameCount})`);
+    // 从检查点恢复并继续输入剩余帧
+    synthesizer._resume();
+    for (let i = committedFrameCount; i < targetFrameCount; i++)
+        synthesizer.input(frame);
+    await new Promise(resolve => synthesizer.once("progress", resolve));
+    synthesizer.endInput();
+    await completedPromise;
+    const frameCount = await getFrameCount(outputPath);
+    assert(frameCount == targetFrameCount, `Output frame count (${frameCount}) is inconsistent with target frame count (${targetFrameCount})`);
+    logger.success(`Checkpoint resume completed!!!\ncommitted frames: ${committedFrameCount}\noutput frames: ${frameCount}/${targetFrameCount}`);
+}
\ No newline at end of file
@@ -1,8 +1,14 @@
 import singleVideo from "./single-video.js";
 import multiVideo from "./multi-video.js";
+import renderServer from "./render-server.js";
+import checkpointResume from "./checkpoint-resume.js";
+import liveStreaming from "./live-streaming.js";
 
 export default {
     singleVideo,
     multiVideo,
+    renderServer,
+    checkpointResume,
+    liveStreaming,
     synthesize: singleVideo,
 };
\ No newline at end of file
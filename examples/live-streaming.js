@@ -0,0 +1,123 @@
+/**
+ * 直播推流示例
+ * 
+ * 在本地启动ffmpeg接收UDP推流，渲染带背景音乐的页面并推流，结束后验证接收到的流同时包含视频和音频
+ * 
+ * 调用代码：
+ * import { examples, VIDEO_ENCODER } from "web-video-creator";
+ * await examples.liveStreaming({
+ *     width: 1280,
+ *     height: 720,
+ *     fps: 30,
+ *     duration: 5000,
+ *     videoEncoder: VIDEO_ENCODER.CPU.H264,  // 根据您的硬件设备选择适合的编码器
+ *     outputPath: "./live.ts"
+ * });
+ */
+
+import assert from "assert";
+import dgram from "dgram";
+import path from "path";
+import ffmpeg from "fluent-ffmpeg";
+import fs from "fs-extra";
+
+import WebVideoCreator, { logger } from "../index.js";
+
+/** @type {string} - 测试页面内容 */
+const PAGE_CONTENT = `<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { margin: 0; background: #000; }
+        div { width: 200px; height: 200px; background: #0f0; animation: move 2s linear infinite; }
+        @keyframes move { to { transform: translateX(600px) rotate(360deg); } }
+    </style>
+</head>
+<body><div></div></body>
+</html>`;
+
+/**
+ * 获取空闲的UDP端口
+ * 
+ * @returns {number} - 端口号
+ */
+async function getFreePort() {
+    const socket = dgram.createSocket("udp4");
+    await new Promise(resolve => socket.bind(0, "127.0.0.1", resolve));
+    const { port } = socket.address();
+    await new Promise(resolve => socket.close(resolve));
+    return port;
+}
+
+/**
+ * 生成测试音频
+ * 
+ * @param {string} filePath - 音频文件路径
+ * @param {number} duration - 音频时长（毫秒）
+ */
+async function createTone(filePath, duration) {
+    await fs.ensureDir(path.dirname(filePath));
+    await new Promise((resolve, reject) => {
+        ffmpeg(`sine=frequency=440:duration=${duration / 1000}`)
+            .inputFormat("lavfi")
+            .audioCodec("libmp3lame")
+            .output(filePath)
+            .once("error", reject)
+            .once("end", resolve)
+            .run();
+    });
+}
+
+export default async ({
+    width,
+    height,
+    fps,
+    duration,
+    videoEncoder,
+    outputPath
+}) => {
+    const port = await getFreePort();
+    const liveOutput = `udp://127.0.0.1:${port}`;
+    const tonePath = path.join(path.dirname(path.resolve(outputPath)), "live_tone.mp3");
+    await createTone(tonePath, duration);
+    // 本地ffmpeg接收推流，推流结束一段时间后超时退出
+    const receivePromise = new Promise((resolve, reject) => {
+        ffmpeg(`${liveOutput}?timeout=${5 * 1000 * 1000}`)
+            .inputFormat("mpegts")
+            .outputOption("-c copy")
+            .toFormat("mpegts")
+            .output(outputPath)
+            // 推流结束后接收超时将以错误退出，已接收到数据时视为正常结束
+            .once("error", err => fs.pathExistsSync(outputPath) ? resolve() : reject(err))
+            .once("end", resolve)
+            .run();
+    });
+    const wvc = new WebVideoCreator();
+    wvc.config({
+        mp4Encoder: videoEncoder
+    });
+    const video = wvc.createSingleVideo({
+        content: PAGE_CONTENT,
+        width,
+        height,
+        fps,
+        duration,
+        liveOutput
+    });
+    // 添加背景音乐，推流时实时混音
+    video.addAudio({ path: tonePath });
+    await new Promise((resolve, reject) => {
+        video.once("completed", resolve);
+        video.once("error", reject);
+        video.start();
+    });
+    await receivePromise;
+    await fs.remove(tonePath);
+    // 统计接收到的各类型流的数据包数量
+    const metadata = await new Promise((resolve, reject) => ffmpeg.ffprobe(outputPath, ["-count_packets"], (err, metadata) => err ? reject(err) : resolve(metadata)));
+    const packetCounts = {};
+    metadata.streams.forEach(stream => packetCounts[stream.codec_type] = (packetCounts[stream.codec_type] || 0) + Number(stream.nb_read_packets || 0));
+    assert(packetCounts.video > 0, `Live stream ${liveOutput} did not receive video`);
+    assert(packetCounts.audio > 0, `Live stream ${liveOutput} did not receive audio`);
+    logger.success(`Live streaming completed!!!\nreceived: ${outputPath}\nvideo packets: ${packetCounts.video}\naudio packets: ${packetCounts.audio}`);
+}
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * 渲染服务示例
+ * 
+ * 启动本地静态页面服务及随机端口的渲染服务，提交任务后轮询进度，下载渲染完成的视频，并验证终止及删除任务
+ * 
+ * 调用代码：
+ * import { examples, VIDEO_ENCODER } from "web-video-creator";
+ * await examples.renderServer({
+ *     width: 1280,
+ *     height: 720,
+ *     fps: 30,
+ *     duration: 3000,
+ *     videoEncoder: VIDEO_ENCODER.CPU.H264,  // 根据您的硬件设备选择适合的编码器
+ *     outputPath: "./test.mp4"
+ * });
+ */
+
+import assert from "assert";
+import http from "http";
+import fs from "fs-extra";
+
+import { server, logger } from "../index.js";
+
+/** @type {string} - 测试页面内容 */
+const PAGE_CONTENT = `<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { margin: 0; background: #000; }
+        div { width: 200px; height: 200px; background: #f00; animation: move 3s linear infinite; }
+        @keyframes move { to { transform: translateX(600px) rotate(360deg); } }
+    </style>
+</head>
+<body><div></div></body>
+</html>`;
+
+export default async ({
+    width,
+    height,
+    fps,
+    duration,
+    videoEncoder,
+    outputPath
+}) => {
+    // 提供测试页面的本地静态服务
+    const pageServer = http.createServer((req, res) => {
+        res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+        res.end(PAGE_CONTENT);
+    });
+    await new Promise(resolve => pageServer.listen(0, "127.0.0.1", resolve));
+    const pageUrl = `http://127.0.0.1:${pageServer.address().port}/`;
+    const renderServer = new server.RenderServer({
+        config: { mp4Encoder: videoEncoder },
+        port: 0
+    });
+    await renderServer.listen();
+    const baseUrl = `http://${renderServer.host}:${renderServer.port}`;
+    const request = async (method, pathname, body) => {
+        const res = await fetch(baseUrl + pathname, {
+            method,
+            headers: body ? { "Content-Type": "application/json" } : undefined,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: res.status, data: await res.json() };
+    };
+    try {
+        const spec = { url: pageUrl, width, height, fps, duration };
+        // 提交任务
+        const { status, data: job } = await request("POST", "/jobs", spec);
+        assert(status == 201, `Submit job failed: ${status}`);
+        // 提交另一个任务并立即终止
+        const { data: abortedJob } = await request("POST", "/jobs", spec);
+        const { data: abortedState } = await request("DELETE", `/jobs/${abortedJob.id}`);
+        assert(abortedState.state == "aborted", `Job ${abortedJob.id} is ${abortedState.state}`);
+        // 轮询任务进度直到结束
+        let state;
+        while (true) {
+            ({ data: state } = await request("GET", `/jobs/${job.id}`));
+            if (["completed", "failed", "aborted"].includes(state.state))
+                break;
+            logger.info(`Job ${job.id} ${state.state}: ${state.progress}%`);
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+        assert(state.state == "completed", `Job ${job.id} is ${state.state}: ${state.error}`);
+        // 下载渲染完成的视频
+        const res = await fetch(`${baseUrl}/jobs/${job.id}/file`);
+        assert(res.status == 200, `Download job ${job.id} file failed: ${res.status}`);
+        const buffer = Buffer.from(await res.arrayBuffer());
+        assert(buffer.length > 0, `Job ${job.id} file is empty`);
+        await fs.outputFile(outputPath, buffer);
+        // 删除已结束的任务及其输出文件
+        const { status: deleteStatus } = await request("DELETE", `/jobs/${job.id}`);
+        assert(deleteStatus == 200, `Delete job ${job.id} failed: ${deleteStatus}`);
+        const { status: missingStatus } = await request("GET", `/jobs/${job.id}`);
+        assert(missingStatus == 404, `Job ${job.id} still exists`);
+        logger.success(`Render server job completed!!!\nvideo: ${outputPath}\nsize: ${buffer.length} bytes`);
+    }
+    finally {
+        await renderServer.close();
+        pageServer.close();
+    }
+}
\ No newline at end of file
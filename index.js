@@ -5,10 +5,11 @@ import ChunkVideo from "./api/ChunkVideo.js";
 import examples from "./examples/index.js";
 import * as core from "./core/index.js";
 import * as entity from "./entity/index.js";
+import * as server from "./server/index.js";
 import logger from "./lib/logger.js";
 import util from "./lib/util.js";
 
-import { VIDEO_ENCODER, AUDIO_ENCODER, TRANSITION } from "./lib/const.js";
+import { VIDEO_ENCODER, AUDIO_ENCODER, TRANSITION, AUDIO_FADE_CURVE, AUDIO_ROLE, AUDIO_EFFECT, SUBTITLE_MODE } from "./lib/const.js";
 
 export default WebVideoCreator;
 export {
@@ -18,6 +19,14 @@ export {
     AUDIO_ENCODER,
     /** 转场效果 */
     TRANSITION,
+    /** 音频淡化曲线 */
+    AUDIO_FADE_CURVE,
+    /** 音频角色 */
+    AUDIO_ROLE,
+    /** 音频效果 */
+    AUDIO_EFFECT,
+    /** 字幕模式 */
+    SUBTITLE_MODE,
     /** 单幕视频 */
     SingleVideo,
     /** 多幕视频 */
@@ -30,6 +39,8 @@ export {
     core,
     /** 实体类 */
     entity,
+    /** 渲染服务 */
+    server,
     /** 日志类 */
     logger,
     /** 工具类 */
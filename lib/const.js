@@ -1,9 +1,34 @@
 /** 支持的格式枚举 */
 export const SUPPORT_FORMAT = [
     "mp4",
-    "webm"
+    "webm",
+    "mov",
+    "gif",
+    "webp"
 ];
 
+/** 动图格式 */
+export const ANIMATED_IMAGE_FORMAT = [
+    "gif",
+    "webp"
+];
+
+/** 图像序列格式映射到帧图格式 */
+export const IMAGE_SEQUENCE_FORMAT = {
+    "png-sequence": "png",
+    "jpeg-sequence": "jpeg"
+};
+
+/** 直播推流协议映射到封装格式 */
+export const LIVE_PROTOCOL_FORMAT = {
+    "rtmp": "flv",
+    "rtmps": "flv",
+    "srt": "mpegts",
+    "udp": "mpegts",
+    "tcp": "mpegts",
+    "file": "mpegts"
+};
+
 /** 视频编码器 */
 export const VIDEO_ENCODER = {
     CPU: {
@@ -30,7 +55,27 @@ export const VIDEO_ENCODER = {
          * 适配容器：webm
          * 建议更改使用其它硬编码方案加速合成
          */
-        VP9: "libvpx-vp9"
+        VP9: "libvpx-vp9",
+        /**
+         * 使用CPU进行ProRes编码，支持透明通道
+         * 适配容器：mov
+         */
+        PRORES: "prores_ks",
+        /**
+         * 使用CPU进行QuickTime Animation编码，无损且支持透明通道
+         * 适配容器：mov
+         */
+        QTRLE: "qtrle",
+        /**
+         * 使用CPU进行GIF编码
+         * 适配容器：gif
+         */
+        GIF: "gif",
+        /**
+         * 使用CPU进行WebP动图编码
+         * 适配容器：webp
+         */
+        WEBP: "libwebp_anim"
     },
     INTEL: {
         /** 
@@ -192,6 +237,16 @@ export const FORMAT_VIDEO_ENCODER_MAP = {
         VIDEO_ENCODER.VAAPI.VP8,
         VIDEO_ENCODER.VAAPI.VP9
     ],
+    "mov": [
+        VIDEO_ENCODER.CPU.PRORES,
+        VIDEO_ENCODER.CPU.QTRLE
+    ],
+    "gif": [
+        VIDEO_ENCODER.CPU.GIF
+    ],
+    "webp": [
+        VIDEO_ENCODER.CPU.WEBP
+    ],
     "ts": [
         VIDEO_ENCODER.CPU.H264,
         VIDEO_ENCODER.CPU.H265,
@@ -219,9 +274,19 @@ export const FORMAT_AUDIO_ENCODER_MAP = {
     "webm": [
         AUDIO_ENCODER.AAC,
         AUDIO_ENCODER.OPUS
+    ],
+    "mov": [
+        AUDIO_ENCODER.AAC
     ]
 };
 
+/** 视频格式映射到软字幕编码器 */
+export const FORMAT_SUBTITLE_ENCODER_MAP = {
+    "mp4": "mov_text",
+    "webm": "webvtt",
+    "mov": "mov_text"
+};
+
 /**
  * Xfade转场滤镜
  * 请参考：http://trac.ffmpeg.org/wiki/Xfade
@@ -339,4 +404,81 @@ export const TRANSITION = {
     REVEAL_UP: "revealup",
     /** 从上向下揭开 */
     REVEAL_DOWN: "revealdown"
+};
+
+/**
+ * 音频淡化曲线
+ * 请参考：https://ffmpeg.org/ffmpeg-filters.html#afade-1
+ */
+export const AUDIO_FADE_CURVE = {
+    /** 线性 */
+    TRI: "tri",
+    /** 四分之一正弦波 */
+    QSIN: "qsin",
+    /** 半正弦波 */
+    HSIN: "hsin",
+    /** 指数正弦波 */
+    ESIN: "esin",
+    /** 对数 */
+    LOG: "log",
+    /** 反抛物线 */
+    IPAR: "ipar",
+    /** 二次 */
+    QUA: "qua",
+    /** 三次 */
+    CUB: "cub",
+    /** 平方根 */
+    SQU: "squ",
+    /** 立方根 */
+    CBR: "cbr",
+    /** 抛物线 */
+    PAR: "par",
+    /** 指数 */
+    EXP: "exp",
+    /** 反四分之一正弦波 */
+    IQSIN: "iqsin",
+    /** 反半正弦波 */
+    IHSIN: "ihsin",
+    /** 双指数座 */
+    DESE: "dese",
+    /** 双指数S形 */
+    DESI: "desi",
+    /** 逻辑S形 */
+    LOSI: "losi",
+    /** 无淡化 */
+    NOFADE: "nofade"
+};
+
+/** 音频角色 */
+export const AUDIO_ROLE = {
+    /** 背景音乐，旁白播放时自动闪避 */
+    MUSIC: "music",
+    /** 旁白人声 */
+    VOICE: "voice",
+    /** 音效 */
+    SFX: "sfx"
+};
+/** 字幕模式 */
+export const SUBTITLE_MODE = {
+    /** 软字幕，作为独立字幕流封装（mp4/mov使用mov_text，webm使用webvtt） */
+    SOFT: "soft",
+    /** 硬字幕，烧录到视频画面中 */
+    BURN: "burn"
+};
+/** 音频效果 */
+export const AUDIO_EFFECT = {
+    /** 均衡器，提升或衰减指定频率附近的频段 */
+    EQUALIZER: "equalizer",
+    /** 高通滤波，衰减低于截止频率的部分 */
+    HIGHPASS: "highpass",
+    /** 低通滤波，衰减高于截止频率的部分 */
+    LOWPASS: "lowpass",
+    /** 动态压缩 */
+    COMPRESSOR: "compressor",
+    /** 混响 */
+    REVERB: "reverb",
+    /** 变调不变速 */
+    PITCH: "pitch",
+    /** 变速不变调 */
+    TEMPO: "tempo"
 };
\ No newline at end of file
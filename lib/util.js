@@ -10,6 +10,7 @@ import ffmpeg from "fluent-ffmpeg";
 import got from "got";
 import _ from "lodash";
 
+import { AUDIO_EFFECT } from "./const.js";
 import globalConfig from "./global-config.js";
 import logger from "./logger.js";
 
@@ -118,9 +119,11 @@ export default {
         const metadata = await this.getMediaMetadata(source);  //获取媒体信息
         if (!metadata || !metadata.streams || !metadata.streams[0])
             throw new Error(`Media ${source} streams invalid`);
-        if (!metadata.streams[0].tags || !metadata.streams[0].tags["ALPHA_MODE"])
-            return false;
-        return Number(metadata.streams[0].tags["ALPHA_MODE"]) > 0;
+        const stream = metadata.streams.find(v => v.codec_type === "video") || metadata.streams[0];
+        // webm的VP8/VP9透明通道记录在ALPHA_MODE标签中，ProRes 4444、PNG等编码可从像素格式判断
+        if (stream.tags && Number(stream.tags["ALPHA_MODE"] || stream.tags["alpha_mode"]) > 0)
+            return true;
+        return /^(yuva|gbrap|ya\d)|rgba|argb|bgra|abgr/.test(stream.pix_fmt || "");
     },
 
     /**
@@ -265,6 +268,69 @@ export default {
         });
     },
 
+    /**
+     * 创建音频变速过滤器
+     * 
+     * atempo单次只支持0.5至2倍速，超出范围时串联多个atempo
+     * 
+     * @param {number} rate - 速度倍率
+     * @returns {string} - 过滤器参数，原速时返回空字符串
+     */
+    createAudioTempoFilter(rate) {
+        assert(_.isFinite(rate) && rate > 0, "rate must be number and greater than 0");
+        const filters = [];
+        for (; rate > 2; rate /= 2)
+            filters.push("atempo=2");
+        for (; rate < 0.5; rate /= 0.5)
+            filters.push("atempo=0.5");
+        Math.abs(rate - 1) > 1e-6 && filters.push(`atempo=${_.round(rate, 6)}`);
+        return filters.join(",");
+    },
+
+    /**
+     * 创建音频效果链过滤器
+     * 
+     * @param {Object[]} effects - 已规范化的音频效果列表
+     * @param {number} [sampleRate=44100] - 采样率，变调时用于重设采样率
+     * @returns {string} - 过滤器参数，无效果时返回空字符串
+     */
+    createAudioEffectsFilter(effects = [], sampleRate = 44100) {
+        return effects.map(effect => {
+            switch (effect.type) {
+                case AUDIO_EFFECT.EQUALIZER:
+                    return `equalizer=f=${effect.frequency}:t=q:w=${effect.q}:g=${effect.gain}`;
+                case AUDIO_EFFECT.HIGHPASS:
+                case AUDIO_EFFECT.LOWPASS:
+                    return `${effect.type}=f=${effect.frequency}:t=q:w=${effect.q}`;
+                case AUDIO_EFFECT.COMPRESSOR: {
+                    const { threshold, ratio, attack, release, makeup } = effect;
+                    return `acompressor=threshold=${threshold}dB:ratio=${ratio}:attack=${attack}:release=${release}:makeup=${makeup}dB`;
+                }
+                case AUDIO_EFFECT.REVERB: {
+                    // 使用多个逐渐衰减的回声模拟混响
+                    const { delay, decay } = effect;
+                    const delays = [1, 1.6, 2.3, 3.1].map(factor => _.round(delay * factor, 2));
+                    const decays = [1, 0.6, 0.35, 0.2].map(factor => _.round(decay * factor, 4));
+                    return `aecho=0.8:0.9:${delays.join("|")}:${decays.join("|")}`;
+                }
+                case AUDIO_EFFECT.PITCH: {
+                    // 提高采样率使音调升高，再变速恢复原时长
+                    const ratio = Math.pow(2, effect.semitones / 12);
+                    return [
+                        `aresample=${sampleRate}`,
+                        `asetrate=${_.round(sampleRate * ratio, 2)}`,
+                        `aresample=${sampleRate}`,
+                        this.createAudioTempoFilter(1 / ratio)
+                    ].filter(filter => filter).join(",");
+                }
+                case AUDIO_EFFECT.TEMPO:
+                    return this.createAudioTempoFilter(effect.rate);
+                default:
+                    throw new Error(`Audio effect ${effect.type} is not supported`);
+            }
+        }).filter(filter => filter).join(",");
+    },
+
     /**
      * 从视频分离音轨
      * 
@@ -398,6 +464,23 @@ export default {
         return _.isBuffer(value) ? CRC32.buf(value) : CRC32.str(value);
     },
 
+    /**
+     * 计算文件内容MD5
+     * 
+     * @param {string} filePath - 文件路径
+     * @returns {string} - MD5值
+     */
+    async getFileMD5(filePath) {
+        const hash = crypto.createHash("md5");
+        await new Promise((resolve, reject) => {
+            fs.createReadStream(filePath)
+                .on("data", chunk => hash.update(chunk))
+                .once("error", reject)
+                .once("end", resolve);
+        });
+        return hash.digest("hex");
+    },
+
     /**
      * 下载资源
      * 
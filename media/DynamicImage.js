@@ -17,6 +17,10 @@ export default class DynamicImage {
     endTime;
     /** @type {boolean} - 是否强制循环 */
     loop;
+    /** @type {boolean} - 是否倒放 */
+    reverse;
+    /** @type {boolean} - 是否往返播放 */
+    boomerang;
     /** @type {number} - 重试下载次数 */
     retryFetchs;
     /** @type {number} - 帧索引 */
@@ -51,23 +55,29 @@ export default class DynamicImage {
      * @param {number} options.endTime - 结束播放时间点（毫秒）
      * @param {string} [options.format] - 图像格式
      * @param {boolean} [options.loop] - 是否强制循环
+     * @param {boolean} [options.reverse=false] - 是否倒放
+     * @param {boolean} [options.boomerang=false] - 是否往返播放
      * @param {number} [options.retryFetchs=2] - 重试下载次数
      */
     constructor(options) {
         const u = ____util;
         u.assert(u.isObject(options), "DynamicImage options must be Object");
-        const { url, format, startTime, endTime, loop, retryFetchs } = options;
+        const { url, format, startTime, endTime, loop, reverse, boomerang, retryFetchs } = options;
         u.assert(u.isString(url), "url must be string");
         u.assert(u.isNumber(startTime), "startTime must be number");
         u.assert(u.isNumber(endTime), "endTime must be number");
         u.assert(u.isUndefined(format) || u.isString(format), "format must be string");
         u.assert(u.isUndefined(loop) || u.isBoolean(loop), "loop must be boolean");
+        u.assert(u.isUndefined(reverse) || u.isBoolean(reverse), "reverse must be boolean");
+        u.assert(u.isUndefined(boomerang) || u.isBoolean(boomerang), "boomerang must be boolean");
         u.assert(u.isUndefined(retryFetchs) || u.isNumber(retryFetchs), "retryFetchs must be number");
         this.url = url;
         this.startTime = startTime;
         this.endTime = endTime;
         this.format = format;
         this.loop = loop;
+        this.reverse = u.defaultTo(reverse, false);
+        this.boomerang = u.defaultTo(boomerang, false);
         this.retryFetchs = u.defaultTo(retryFetchs, 2);
     }
 
@@ -166,8 +176,8 @@ export default class DynamicImage {
         const track = this.getSelectedTrack();
         // 无可用图像轨道将跳过处理
         if (!track) return;
-        // 当解码完成且帧索引指向最后一帧时重置帧指针
-        if (this.decoder.complete && this.frameIndex >= track.frameCount + 1)
+        // 当解码完成且帧索引超出一轮播放的帧数时重置帧指针
+        if (this.decoder.complete && this.frameIndex >= this.getCycleFrameCount(track))
             this.reset();
         // 当存在上一帧且上一帧未完成停留时长前将跳过绘制下一帧，节约重绘频次
         if (time !== 0 && this.lastFrameDuration && time < (this.lastFrameTimestamp + this.lastFrameDuration)) {
@@ -177,7 +187,7 @@ export default class DynamicImage {
         // 等待帧解码
         const result = await new Promise((resolve, reject) => {
             // 解码该帧图像
-            this.decoder.decode({ frameIndex: this.frameIndex++ })
+            this.decoder.decode({ frameIndex: this.mapFrameIndex(this.frameIndex++, track.frameCount) })
                 .then(resolve)
                 .catch(err => {
                     // 为效率考虑解码和绘制是同时进行的，如绘制快于解码时可能出现超出帧范围需容错处理
@@ -233,6 +243,34 @@ export default class DynamicImage {
         return this.repetitionIndex >= track.repetitionCount + 1;
     }
 
+    /**
+     * 获取一轮播放的帧数
+     * 
+     * @param {ImageTrack} track - 图像轨道
+     * @returns {number} - 帧数
+     */
+    getCycleFrameCount(track) {
+        // 往返播放时首尾帧只播放一次
+        if (this.boomerang && track.frameCount > 1)
+            return track.frameCount * 2 - 2;
+        return track.frameCount;
+    }
+
+    /**
+     * 将播放帧索引映射为图像帧索引
+     * 
+     * @param {number} index - 播放帧索引
+     * @param {number} frameCount - 图像帧数
+     * @returns {number} - 图像帧索引
+     */
+    mapFrameIndex(index, frameCount) {
+        // 往返播放时正放至最后一帧后倒放回第二帧
+        if (this.boomerang && index >= frameCount)
+            index = frameCount * 2 - 2 - index;
+        // 倒放时从最后一帧开始索引
+        return this.reverse ? frameCount - 1 - index : index;
+    }
+
     /**
      * 判断是否可销毁
      * 
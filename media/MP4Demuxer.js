@@ -11,6 +11,14 @@ export default class MP4Demuxer {
     _configCallback;
     /** @type {Function} - 视频块回调函数 */
     _chunkCallback;
+    /** @type {EncodedVideoChunk[]} - 视频块列表（解码顺序） */
+    chunks = [];
+    /** @type {number[]} - 各帧对应的视频块下标（显示顺序） */
+    frameChunkIndexes = [];
+    /** @type {number[]} - 各帧的时间戳（微秒，显示顺序） */
+    frameTimestamps = [];
+    /** @type {Map<number, number>} - 时间戳对应的帧下标 */
+    timestampFrameIndexes = new Map();
 
     /**
      * 构造函数
@@ -50,11 +58,60 @@ export default class MP4Demuxer {
 
     /**
      * 加载文件
+     * 
+     * 解复用是同步完成的，加载后即可通过帧下标定位视频块
      */
     load(buffer) {
         buffer.buffer.fileStart = 0;
         this.file.appendBuffer(buffer.buffer);
         this.file.flush();
+        this._buildFrameIndexes();
+    }
+
+    /**
+     * 获取帧数
+     * 
+     * @returns {number} - 帧数
+     */
+    get frameCount() {
+        return this.chunks.length;
+    }
+
+    /**
+     * 获取解码帧所需的视频块范围
+     * 
+     * 从帧之前最近的关键帧开始，到显示顺序不晚于该帧的所有视频块为止
+     * 
+     * @param {number} frameIndex - 帧下标
+     * @returns {Object} - 开始视频块下标startChunkIndex和结束视频块下标endChunkIndex（包含）
+     */
+    getDecodeRange(frameIndex) {
+        const chunkIndex = this.frameChunkIndexes[frameIndex];
+        let startChunkIndex = 0;
+        for (let index = chunkIndex; index > 0; index--) {
+            if (this.chunks[index].type == "key") {
+                startChunkIndex = index;
+                break;
+            }
+        }
+        // 存在B帧时显示在前的帧可能在解码顺序上更靠后
+        let endChunkIndex = chunkIndex;
+        for (let index = frameIndex - 1; index >= 0 && this.frameChunkIndexes[index] >= startChunkIndex; index--)
+            endChunkIndex = Math.max(endChunkIndex, this.frameChunkIndexes[index]);
+        return { startChunkIndex, endChunkIndex };
+    }
+
+    /**
+     * 获取时间点所在的帧下标
+     * 
+     * @param {number} time - 相对首帧的时间点（毫秒）
+     * @returns {number} - 帧下标，超出视频时长时返回帧数
+     */
+    getFrameIndex(time) {
+        const baseTimestamp = this.frameTimestamps[0] || 0;
+        // 时间戳转换为整数微秒时会被截断，容许1毫秒误差
+        const index = this.frameTimestamps.findIndex(timestamp => (timestamp - baseTimestamp) / 1000 >= time - 1);
+        return index == -1 ? this.frameCount : index;
     }
 
     /**
@@ -99,13 +156,31 @@ export default class MP4Demuxer {
     _onSamples(track_id, ref, samples) {
         // 将所有样本回调
         for (const sample of samples) {
-            this._chunkCallback && this._chunkCallback(new EncodedVideoChunk({
+            const chunk = new EncodedVideoChunk({
                 type: sample.is_sync ? "key" : "delta",
                 timestamp: 1e6 * sample.cts / sample.timescale,
                 duration: 1e6 * sample.duration / sample.timescale,
                 data: sample.data
-            }));
+            });
+            this.chunks.push(chunk);
+            this._chunkCallback && this._chunkCallback(chunk);
         }
+        // 视频块已复制样本数据，释放已使用的样本
+        samples.length && this.file.releaseUsedSamples(track_id, samples[samples.length - 1].number + 1);
+    }
+
+    /**
+     * 构建帧索引
+     * 
+     * 解码器按显示顺序输出帧，存在B帧时与视频块的解码顺序不同
+     */
+    _buildFrameIndexes() {
+        this.frameChunkIndexes = this.chunks
+            .map((chunk, index) => index)
+            .sort((a, b) => this.chunks[a].timestamp - this.chunks[b].timestamp);
+        // 使用视频块的时间戳，与解码输出帧的时间戳一致
+        this.frameTimestamps = this.frameChunkIndexes.map(index => this.chunks[index].timestamp);
+        this.timestampFrameIndexes = new Map(this.frameTimestamps.map((timestamp, index) => [timestamp, index]));
     }
 
     /**
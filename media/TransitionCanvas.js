@@ -0,0 +1,147 @@
+import innerUtil from "../lib/inner-util.js";
+
+const ____util = innerUtil();
+
+/**
+ * 转场画布
+ * 
+ * 在转场页面中逐帧绘制转场前后分块的画面
+ */
+export default class TransitionCanvas {
+
+    /** @type {string} - 画面来源（from/to） */
+    source;
+    /** @type {number} - 开始播放时间点（毫秒） */
+    startTime;
+    /** @type {number} - 结束播放时间点（毫秒） */
+    endTime;
+    /** @type {number} - 帧间隔时间（毫秒） */
+    frameInterval;
+    /** @type {number} - 帧索引 */
+    frameIndex = 0;
+    /** @type {HTMLCanvasElement} - 画布元素 */
+    canvas = null;
+    /** @type {CanvasRenderingContext2D} - 画布2D渲染上下文 */
+    canvasCtx = null;
+    /** @type {boolean} - 是否使用帧图尺寸作为画布尺寸 */
+    autoSize = false;
+    /** @type {boolean} - 是否已加载 */
+    loaded = false;
+    /** @type {boolean} - 是否已销毁 */
+    destoryed = false;
+
+    /**
+     * 构造函数
+     * 
+     * @param {Object} options - 转场画布选项
+     * @param {string} options.source - 画面来源（from/to）
+     * @param {number} options.startTime - 开始播放时间点（毫秒）
+     * @param {number} options.endTime - 结束播放时间点（毫秒）
+     * @param {number} options.frameInterval - 帧间隔时间（毫秒）
+     */
+    constructor(options) {
+        const u = ____util;
+        u.assert(u.isObject(options), "TransitionCanvas options must be Object");
+        const { source, startTime, endTime, frameInterval } = options;
+        u.assert(source == "from" || source == "to", "source must be from or to");
+        u.assert(u.isNumber(startTime), "startTime must be number");
+        u.assert(u.isNumber(endTime), "endTime must be number");
+        u.assert(u.isNumber(frameInterval), "frameInterval must be number");
+        this.source = source;
+        this.startTime = startTime;
+        this.endTime = endTime;
+        this.frameInterval = frameInterval;
+    }
+
+    /**
+     * 绑定画布元素
+     * 
+     * @param {HTMLCanvasElement} canvas - 画布元素
+     */
+    bind(canvas) {
+        this.canvas = canvas;
+        // 获取画布2D上下文
+        this.canvasCtx = this.canvas.getContext("2d");
+        // 画布未声明尺寸时使用帧图尺寸
+        this.autoSize = !(canvas.getAttribute("width") > 0 && canvas.getAttribute("height") > 0);
+    }
+
+    /**
+     * 判断当前时间点是否可播放
+     * 
+     * @param {number} time - 时间点
+     * @returns {boolean} - 是否可播放
+     */
+    canPlay(time) {
+        // 已销毁不可播放
+        if (this.destoryed) return false;
+        // 如果当前时间超过元素开始结束时间则判定未不可播放
+        const { startTime, endTime } = this;
+        if (time < startTime || time >= endTime)
+            return false;
+        return true;
+    }
+
+    /**
+     * 加载转场画布
+     */
+    async load() {
+        this.loaded = true;
+        return true;
+    }
+
+    /**
+     * 是否准备完毕
+     * 
+     * @returns {boolean} - 是否准备完毕
+     */
+    isReady() {
+        return this.loaded;
+    }
+
+    /**
+     * 索引帧并绘制
+     * 
+     * @param {number} time - 索引时间点
+     */
+    async seek(time) {
+        if (this.destoryed) return;
+        this.frameIndex = Math.round(time / this.frameInterval);
+        // 获取分块帧图 - 此函数请见Page.js的#envInit的exposeFunction
+        const data = await ____getTransitionFrame(this.source, this.frameIndex);
+        if (!data || !this.canvas)
+            return;
+        const response = await fetch(`data:image/png;base64,${data}`);
+        const bitmap = await createImageBitmap(await response.blob());
+        if (this.autoSize && (this.canvas.width != bitmap.width || this.canvas.height != bitmap.height)) {
+            this.canvas.width = bitmap.width;
+            this.canvas.height = bitmap.height;
+        }
+        this.canvasCtx.drawImage(bitmap, 0, 0, this.canvas.width, this.canvas.height);
+        bitmap.close();
+    }
+
+    /**
+     * 判断是否可销毁
+     * 
+     * @returns {Boolean}
+     */
+    canDestory(time) {
+        // 已销毁则避免重复销毁
+        if (this.destoryed) return false;
+        // 返回当前时间是否大于结束实际
+        return time >= this.endTime;
+    }
+
+    /**
+     * 销毁转场画布
+     */
+    destory() {
+        this.frameIndex = 0;
+        this.canvas = null;
+        this.canvasCtx = null;
+        // 设置已销毁
+        this.destoryed = true;
+    }
+
+}
\ No newline at end of file
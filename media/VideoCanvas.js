@@ -9,6 +9,11 @@ const ____util = innerUtil();
  */
 export default class VideoCanvas {
 
+    /** @type {number} - 送入解码器的视频块队列上限 */
+    static DECODE_QUEUE_SIZE = 8;
+    /** @type {number} - 解码器无输出的空闲超时时间（毫秒） */
+    static DECODE_IDLE_TIMEOUT = 30;
+
     /** @type {string} - 视频URL */
     url;
     /** @type {string} - 蒙版视频URL */
@@ -29,6 +34,12 @@ export default class VideoCanvas {
     fadeInDuration;
     /** @type {number} - 视频音频淡出时长（毫秒） */
     fadeOutDuration;
+    /** @type {number} - 播放速率，负数时倒放 */
+    playbackRate;
+    /** @type {boolean} - 是否倒放 */
+    reverse;
+    /** @type {boolean} - 是否往返播放 */
+    boomerang;
     /** @type {boolean} - 是否强制循环 */
     loop;
     /** @type {number} - 视频音频音量 */
@@ -43,6 +54,8 @@ export default class VideoCanvas {
     retryFetchs;
     /** @type {boolean} - 是否忽略本地缓存 */
     ignoreCache;
+    /** @type {number} - 帧缓存容量 */
+    frameCacheSize;
     /** @type {Object} - 视频信息配置对象 */
     config;
     /** @type {Uint8Array} - 视频数据 */
@@ -51,16 +64,10 @@ export default class VideoCanvas {
     maskBuffer = null;
     /** @type {number} - 帧索引 */
     frameIndex = null;
-    /** @type {number} - 已解码帧索引 */
-    decodedFrameIndex = 0;
-    /** @type {number} - 已解码蒙版帧索引 */
-    decodedMaskFrameIndex = 0;
+    /** @type {number} - 裁剪开始帧在视频数据中的下标 */
+    frameOffset = 0;
     /** @type {number} - 当前播放时间点（毫秒） */
     currentTime = 0;
-    /** @type {VideoFrame[]} - 已解码视频帧队列 */
-    frames = [];
-    /** @type {VideoFrame[]} - 已解码蒙版视频帧队列 */
-    maskFrames = [];
     /** @type {HTMLCanvasElement} - 画布元素 */
     canvas = null;
     /** @type {CanvasRenderingContext2D}  - 画布2D渲染上下文*/
@@ -75,18 +82,10 @@ export default class VideoCanvas {
     removed = false;
     /** @type {boolean} - 是否已销毁 */
     destoryed = false;
-    /** @type {VideoDecoder} - 视频解码器 */
-    decoder = null;
-    /** @type {VideoDecoder} - 蒙版视频解码器 */
-    maskDecoder = null;
-    /** @type {number} - 等待视频帧下标 */
-    waitFrameIndex = null;
-    /** @type {number} - 等待蒙版视频帧下标 */
-    waitMaskFrameIndex = null;
-    /** @type {Function} - 等待视频帧回调 */
-    waitFrameCallback = null;
-    /** @type {Function} - 等待蒙版视频帧回调 */
-    waitMaskFrameCallback = null;
+    /** @type {Object} - 视频解码流 */
+    stream = null;
+    /** @type {Object} - 蒙版视频解码流 */
+    maskStream = null;
 
     /**
      * 构造函数
@@ -97,23 +96,27 @@ export default class VideoCanvas {
      * @param {number} options.endTime - 结束播放时间点（毫秒）
      * @param {number} options.audioId = 内部音频ID
      * @param {string} [options.maskUrl] - 蒙版视频URL
-     * @param {string} [options.format] - 视频格式（mp4/webm）
+     * @param {string} [options.format] - 视频格式（mp4/webm/mov/mkv等FFmpeg可读取的格式）
      * @param {number} [options.seekStart=0] - 裁剪开始时间点（毫秒）
      * @param {number} [options.seekEnd] - 裁剪结束时间点（毫秒）
      * @param {number} [options.fadeInDuration] - 视频音频淡入时长（毫秒）
      * @param {number} [options.fadeOutDuration] - 视频音频淡出时长（毫秒）
+     * @param {number} [options.playbackRate=1] - 播放速率，负数时倒放
+     * @param {boolean} [options.reverse=false] - 是否倒放
+     * @param {boolean} [options.boomerang=false] - 是否往返播放
      * @param {boolean} [options.autoplay] - 是否自动播放
      * @param {number} [options.volume=100] - 视频音频音量（0-100）
      * @param {boolean} [options.loop=false] - 是否循环播放
      * @param {boolean} [options.muted=false] - 是否静音
      * @param {string} [options.hardwareAcceleration="prefer-hardware"] - 解码器硬件加速方法提示
+     * @param {number} [options.frameCacheSize=30] - 帧缓存容量
      * @param {boolean} [options.retryFetchs=2] - 重试下载次数
      * @param {boolean} [options.ignoreCache=false] - 是否忽略本地缓存
      */
     constructor(options) {
         const u = ____util;
         u.assert(u.isObject(options), "VideoCanvas options must be Object");
-        const { url, maskUrl, startTime, endTime, audioId, format, seekStart, seekEnd, fadeInDuration, fadeOutDuration, autoplay, volume, loop, muted, hardwareAcceleration, retryFetchs, ignoreCache } = options;
+        const { url, maskUrl, startTime, endTime, audioId, format, seekStart, seekEnd, fadeInDuration, fadeOutDuration, playbackRate, reverse, boomerang, autoplay, volume, loop, muted, hardwareAcceleration, frameCacheSize, retryFetchs, ignoreCache } = options;
         u.assert(u.isString(url), "url must be string");
         u.assert(u.isNumber(startTime), "startTime must be number");
         u.assert(u.isNumber(endTime), "endTime must be number");
@@ -124,11 +127,15 @@ export default class VideoCanvas {
         u.assert(u.isUndefined(seekEnd) || u.isNumber(seekEnd), "seekEnd must be number");
         u.assert(u.isUndefined(fadeInDuration) || u.isNumber(fadeInDuration), "fadeInDuration must be number");
         u.assert(u.isUndefined(fadeOutDuration) || u.isNumber(fadeOutDuration), "fadeOutDuration must be number");
+        u.assert(u.isUndefined(playbackRate) || (u.isNumber(playbackRate) && playbackRate != 0), "playbackRate must be number and not equal to 0");
+        u.assert(u.isUndefined(reverse) || u.isBoolean(reverse), "reverse must be boolean");
+        u.assert(u.isUndefined(boomerang) || u.isBoolean(boomerang), "boomerang must be boolean");
         u.assert(u.isUndefined(autoplay) || u.isBoolean(autoplay), "autoplay must be boolean");
         u.assert(u.isUndefined(volume) || u.isNumber(volume), "volume must be number");
         u.assert(u.isUndefined(loop) || u.isBoolean(loop), "loop must be boolean");
         u.assert(u.isUndefined(muted) || u.isBoolean(muted), "muted must be boolean");
         u.assert(u.isUndefined(hardwareAcceleration) || u.isString(hardwareAcceleration), "hardwareAcceleration must be string");
+        u.assert(u.isUndefined(frameCacheSize) || (u.isNumber(frameCacheSize) && frameCacheSize >= 1), "frameCacheSize must be number and not less than 1");
         u.assert(u.isUndefined(retryFetchs) || u.isNumber(retryFetchs), "retryFetchs must be number");
         u.assert(u.isUndefined(ignoreCache) || u.isBoolean(ignoreCache), "ignoreCache must be boolean");
         this.url = url;
@@ -141,11 +148,15 @@ export default class VideoCanvas {
         this.seekEnd = seekEnd;
         this.fadeInDuration = fadeInDuration;
         this.fadeOutDuration = fadeOutDuration;
+        this.playbackRate = u.defaultTo(playbackRate, 1);
+        this.reverse = u.defaultTo(reverse, false);
+        this.boomerang = u.defaultTo(boomerang, false);
         this.autoplay = autoplay;
         this.volume = u.defaultTo(volume, 100);
         this.loop = u.defaultTo(loop, false);
         this.muted = u.defaultTo(muted, false);
         this.hardwareAcceleration = u.defaultTo(hardwareAcceleration, "prefer-hardware");
+        this.frameCacheSize = u.defaultTo(frameCacheSize, 30);
         this.retryFetchs = u.defaultTo(retryFetchs, 2);
         this.ignoreCache = u.defaultTo(ignoreCache, false);
     }
@@ -197,34 +208,34 @@ export default class VideoCanvas {
                 return false;
             }
             const { buffer, maskBuffer } = datas;
-            const { decoder, config } = await this._createDecoder(buffer, {
-                onFrame: this._emitNewFrame.bind(this),
+            this.stream = await this._createStream(buffer, {
                 onError: err => console.error(err)
             });
-            // 预分配视频帧数组
-            this.frames = new Array(config.frameCount);
-            this.decoder = decoder;
-            this.config = config;
+            const { config } = this.stream;
             if (maskBuffer) {
-                // 预分配蒙版视频帧数组
-                this.maskFrames = new Array(config.frameCount);
                 // 初始化用于蒙版抠图的离屏画布
                 this._initOffscreenCanvas();
-                const {
-                    decoder: maskDecoder,
-                    config: maskConfig
-                } = await this._createDecoder(maskBuffer, {
-                    isMask: true,
-                    onFrame: this._emitNewMaskFrame.bind(this),
+                this.maskStream = await this._createStream(maskBuffer, {
                     onError: err => console.error(err)
                 });
-                this.maskDecoder = maskDecoder;
+                const maskConfig = this.maskStream.config;
                 const u = ____util;
                 u.assert(maskConfig.codedWidth == config.codedWidth, `Mask video codedWidth (${maskConfig.codedWidth}) is inconsistent with the original video codedWidth (${config.codedWidth})`);
                 u.assert(maskConfig.codedHeight == config.codedHeight, `Mask video codedHeight (${maskConfig.codedHeight}) is inconsistent with the original video codedHeight (${config.codedHeight})`);
                 u.assert(maskConfig.frameCount == config.frameCount, `Mask video frameCount (${maskConfig.frameCount}) is inconsistent with the original video frameCount (${config.frameCount})`);
                 u.assert(maskConfig.fps == config.fps, `Mask video fps (${maskConfig.fps}) is inconsistent with the original video fps (${config.fps})`);
             }
+            // 按裁剪范围定位开始帧和结束帧
+            const { demuxer } = this.stream;
+            const startFrameIndex = demuxer.getFrameIndex(this.seekStart);
+            const endFrameIndex = this.seekEnd ? demuxer.getFrameIndex(this.seekEnd) : demuxer.frameCount;
+            const frameCount = Math.max(endFrameIndex - startFrameIndex, 0);
+            this.frameOffset = startFrameIndex;
+            this.config = {
+                ...config,
+                frameCount,
+                duration: frameCount * config.frameInterval
+            };
             if(this.config.duration <= 0) {
                 this.destory();
                 return false;
@@ -239,26 +250,37 @@ export default class VideoCanvas {
     }
 
     isReady() {
-        return this.decoder && this.decoder.state == "configured";
+        return !!this.stream && this.stream.decoder.state == "configured";
     }
 
     async seek(time) {
         // 已销毁不可索引
         if (this.destoryed) return;
+        // 按播放速率换算视频内的时间点
+        const videoTime = time * Math.abs(this.playbackRate);
         // 计算当前帧的下标
-        const frameIndex = Math.floor(time / this.config.frameInterval);
+        const frameIndex = Math.floor(videoTime / this.config.frameInterval);
         // 如果当前时间点帧下标和上次一样不做处理
         if (this.frameIndex === frameIndex)
             return;
-        // 如果元素被移除播放已结束或画布则跳过
-        if (this.removed || (!this.loop && this.isEnd()) || frameIndex >= this.config.frameCount)
+        const cycleFrameCount = this.getCycleFrameCount();
+        // 如果元素被移除播放已结束或画布则跳过，循环重置后下一周期尚未开始时同样跳过
+        if (this.removed || (!this.loop && this.isEnd()) || frameIndex < 0 || frameIndex >= cycleFrameCount)
+            return;
+        // console.log(`${frameIndex}/${this.stream.decoder.decodeQueueSize}/${this.config.frameCount}`);
+        // 倒放及往返播放时映射帧序，再换算为视频数据中的帧下标
+        const mappedFrameIndex = this.mapFrameIndex(frameIndex);
+        const dataFrameIndex = mappedFrameIndex + this.frameOffset;
+        // 帧序递减时反向缓存，保留即将播放的更早的帧
+        const backward = this.mapFrameIndex(Math.min(frameIndex + 1, cycleFrameCount - 1)) < mappedFrameIndex;
+        const frame = await this._acquireFrame(this.stream, dataFrameIndex, backward);
+        // 解码结束仍未获得帧时跳过绘制
+        if (!frame)
             return;
-        // console.log(`${frameIndex}/${this.decoder.decodeQueueSize}/${this.config.frameCount}`);
-        const frame = await this._acquireFrame(frameIndex);
         // console.log(frameIndex);
         let maskFrame = null;
-        if (this.maskBuffer)
-            maskFrame = await this._acquireMaskFrame(frameIndex);
+        if (this.maskStream)
+            maskFrame = await this._acquireFrame(this.maskStream, dataFrameIndex, backward);
         const { displayWidth, displayHeight } = frame;
         if (maskFrame) {
             this.canvasCtx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -275,25 +297,51 @@ export default class VideoCanvas {
         else
             this.canvasCtx.drawImage(frame, 0, 0, displayWidth, displayHeight, 0, 0, this.canvas.width, this.canvas.height);
         
-        frame.close();
-        this.frames[frameIndex] = null;
-        if (maskFrame) {
-            maskFrame.close();
-            this.maskFrames[frameIndex] = null;
-        }
+        // 已绘制的帧不再需要，释放以便解码器继续输出
+        this._releaseFrame(this.stream, dataFrameIndex);
+        maskFrame && this._releaseFrame(this.maskStream, dataFrameIndex);
         // 更新帧下标
         this.frameIndex = frameIndex;
         // 更新当前时间点
         this.currentTime = time;
         // 如开启循环且当前已播放结束时重置
-        if (this.loop && (this.isEnd() || this.currentTime >= this.config.duration)) {
-            this.offsetTime += this.currentTime;
+        if (this.loop && this.isEnd()) {
+            // 按完整周期时长偏移，下一周期从首帧开始播放
+            this.offsetTime += cycleFrameCount * this.config.frameInterval / Math.abs(this.playbackRate);
             this.reset();
         }
     }
 
     isEnd() {
-        return this.frameIndex >= this.config.frameCount - 1;
+        return this.frameIndex >= this.getCycleFrameCount() - 1;
+    }
+
+    /**
+     * 获取一次播放周期的帧数
+     * 
+     * @returns {number} - 周期帧数
+     */
+    getCycleFrameCount() {
+        const { frameCount } = this.config;
+        // 往返播放时首尾帧只播放一次
+        if (this.boomerang && frameCount > 1)
+            return frameCount * 2 - 2;
+        return frameCount;
+    }
+
+    /**
+     * 将播放帧下标映射为视频帧下标
+     * 
+     * @param {number} index - 播放帧下标
+     * @returns {number} - 视频帧下标
+     */
+    mapFrameIndex(index) {
+        const { frameCount } = this.config;
+        // 往返播放时正放至最后一帧后倒放回第二帧
+        if (this.boomerang && index >= frameCount)
+            index = frameCount * 2 - 2 - index;
+        // 倒放时从最后一帧开始索引
+        return this.reversed ? frameCount - 1 - index : index;
     }
 
     canDestory(time) {
@@ -304,29 +352,23 @@ export default class VideoCanvas {
     }
 
     reset() {
-        // 清除未关闭的视频帧避免内存泄露
-        this._clearUnclosedFrames();
-        this._clearUnclosedMaskFrames();
+        // 清除未关闭的视频帧避免内存泄露，下次索引时将从关键帧重新解码
+        this._clearUnclosedFrames(this.stream);
+        this._clearUnclosedFrames(this.maskStream);
         this.frameIndex = null;
         this.currentTime = 0;
-        this.decodedFrameIndex = 0;
-        this.decodedMaskFrameIndex = 0;
-        // 重置解码器
-        this.decoder && this.decoder.reset();
-        // 重置蒙版解码器
-        this.maskDecoder && this.maskDecoder.reset();
     }
 
     /**
      * 销毁资源
      */
     destory() {
-        this.decoder && this.decoder.close();
-        this.decoder = null;
-        this.maskDecoder && this.maskDecoder.close();
-        this.maskDecoder = null;
-        this._clearUnclosedFrames();
-        this._clearUnclosedMaskFrames();
+        this._clearUnclosedFrames(this.stream);
+        this._clearUnclosedFrames(this.maskStream);
+        this.stream && this.stream.decoder.state != "closed" && this.stream.decoder.close();
+        this.stream = null;
+        this.maskStream && this.maskStream.decoder.state != "closed" && this.maskStream.decoder.close();
+        this.maskStream = null;
         this.buffer = null;
         this.maskBuffer = null;
         this.frameIndex = null;
@@ -372,31 +414,29 @@ export default class VideoCanvas {
     }
 
     /**
-     * 清除未关闭的帧
+     * 清除解码流中未关闭的帧
+     * 
+     * @param {Object} stream - 解码流
      */
-    _clearUnclosedFrames() {
-        this.frames
-            .forEach((frame, index) => {
-                if(!frame)
-                    return;
-                frame.close();
-                this.frames[index] = null;
-            });
-        this.frames = [];
+    _clearUnclosedFrames(stream) {
+        if (!stream)
+            return;
+        stream.frames.forEach(frame => frame.close());
+        stream.frames.clear();
     }
 
     /**
-     * 清除未关闭的蒙版帧
+     * 释放帧
+     * 
+     * @param {Object} stream - 解码流
+     * @param {number} frameIndex - 帧下标
      */
-    _clearUnclosedMaskFrames() {
-        this.maskFrames
-            .forEach((maskFrame, index) => {
-                if(!maskFrame)
-                    return;
-                maskFrame.close();
-                this.maskFrames[index] = null;
-            });
-        this.maskFrames = [];
+    _releaseFrame(stream, frameIndex) {
+        const frame = stream.frames.get(frameIndex);
+        if (!frame)
+            return;
+        frame.close();
+        stream.frames.delete(frameIndex);
     }
 
     /**
@@ -420,146 +460,205 @@ export default class VideoCanvas {
     /**
      * 获取视频帧
      * 
-     * @param {number} frameIndex 帧下标
+     * 优先从帧缓存获取，未命中时从最近的关键帧开始按需解码
+     * 
+     * @param {Object} stream - 解码流
+     * @param {number} frameIndex - 帧下标
+     * @param {boolean} [backward=false] - 是否反向播放，反向时缓存目标帧之前的帧
      * @returns {VideoFrame} - 视频帧
      */
-    async _acquireFrame(frameIndex) {
-        if (this.frames[frameIndex])
-            return this.frames[frameIndex];
+    async _acquireFrame(stream, frameIndex, backward = false) {
+        stream.backward = backward;
+        // 释放已越过的帧
+        for (const index of stream.frames.keys()) {
+            if (backward ? index > frameIndex : index < frameIndex)
+                this._releaseFrame(stream, index);
+        }
+        if (stream.frames.has(frameIndex))
+            return stream.frames.get(frameIndex);
+        const { demuxer, decoder } = stream;
+        if (frameIndex >= demuxer.frameCount)
+            return null;
+        const { startChunkIndex, endChunkIndex } = demuxer.getDecodeRange(frameIndex);
+        // 目标帧已被输出或解码器已冲刷时需要重置解码器并从关键帧重新解码
+        if (frameIndex <= stream.lastFrameIndex || stream.flushed) {
+            decoder.reset();
+            decoder.configure(stream.decoderConfig);
+            stream.nextChunkIndex = startChunkIndex;
+            stream.lastFrameIndex = -1;
+            stream.flushed = false;
+        }
+        // 目标帧位于后续的关键帧之后时跳过中间的视频块
+        else if (stream.nextChunkIndex < startChunkIndex)
+            stream.nextChunkIndex = startChunkIndex;
         let timer;
-        await Promise.race([
-            new Promise(resolve => {
-                this._clearUnclosedFrames();
-                this.waitFrameIndex = frameIndex;
-                this.waitFrameCallback = resolve;
-            }),
-            new Promise((_, reject) => ____setTimeout(() => reject(new Error(`Acquire video frame ${frameIndex} timeout (30s)`)), 30000))
-        ]);
-        ____clearTimeout(timer);
-        return this.frames[frameIndex];
+        try {
+            await Promise.race([
+                this._decodeUntil(stream, frameIndex, endChunkIndex),
+                new Promise((_, reject) => timer = ____setTimeout(() => reject(new Error(`Acquire video frame ${frameIndex} timeout (30s)`)), 30000))
+            ]);
+        }
+        finally {
+            ____clearTimeout(timer);
+            stream.waitFrameIndex = null;
+        }
+        return stream.frames.get(frameIndex) || null;
     }
 
     /**
-     * 获取蒙版视频帧
+     * 送入视频块直到目标帧被输出
      * 
-     * @param {number} frameIndex 帧下标
-     * @returns {VideoFrame} - 蒙版视频帧
+     * @param {Object} stream - 解码流
+     * @param {number} frameIndex - 目标帧下标
+     * @param {number} endChunkIndex - 解码目标帧所需的最后一个视频块下标
      */
-    async _acquireMaskFrame(frameIndex) {
-        if (this.maskFrames[frameIndex])
-            return this.maskFrames[frameIndex];
-        let timer;
-        await Promise.race([
-            new Promise(resolve => {
-                this._clearUnclosedMaskFrames();
-                this.waitMaskFrameIndex = frameIndex;
-                this.waitMaskFrameCallback = resolve;
-            }),
-            new Promise((_, reject) => ____setTimeout(() => reject(new Error(`Acquire mask video frame ${frameIndex} timeout (30s)`)), 30000))
-        ]);
-        ____clearTimeout(timer);
-        return this.maskFrames[frameIndex];
+    async _decodeUntil(stream, frameIndex, endChunkIndex) {
+        const { demuxer, decoder } = stream;
+        stream.waitFrameIndex = frameIndex;
+        while (!stream.frames.has(frameIndex)) {
+            // 所有视频块已送入时冲刷解码器输出剩余帧，之后需从关键帧重新开始解码
+            if (stream.nextChunkIndex >= demuxer.chunks.length) {
+                if (!stream.flushed) {
+                    stream.flushed = true;
+                    await decoder.flush()
+                        .catch(err => err.name != "AbortError" && console.error(err));
+                }
+                break;
+            }
+            const index = stream.nextChunkIndex++;
+            decoder.decode(demuxer.chunks[index]);
+            // 所需视频块送入前无需等待输出，解码队列过长时等待出队
+            if (index < endChunkIndex) {
+                decoder.decodeQueueSize >= VideoCanvas.DECODE_QUEUE_SIZE && await new Promise(resolve => decoder.addEventListener("dequeue", resolve, { once: true }));
+                continue;
+            }
+            // 等待目标帧输出，解码器空闲后仍未输出说明需要后续视频块完成B帧重排
+            while (!stream.frames.has(frameIndex) && await this._waitOutput(stream));
+        }
     }
 
     /**
-     * 通知新视频帧产生
+     * 等待解码器输出帧
      * 
-     * @param {VideoFrame} frame - 视频帧
+     * @param {Object} stream - 解码流
+     * @returns {boolean} - 是否在空闲超时前输出了帧
      */
-    _emitNewFrame(frame) {
-        frame.index = this.decodedFrameIndex;
-        this.frames[frame.index] = frame;
-        if (this.waitFrameCallback && this.waitFrameIndex == frame.index) {
-            const fn = this.waitFrameCallback;
-            this.waitFrameIndex = null;
-            this.waitFrameCallback = null;
-            fn();
-        }
-        else if(frame.index < this.waitFrameIndex)
-            frame.close();
-        this.decodedFrameIndex++;
+    async _waitOutput(stream) {
+        let timer;
+        const result = await Promise.race([
+            new Promise(resolve => stream.outputCallback = () => resolve(true)),
+            new Promise(resolve => timer = ____setTimeout(() => resolve(false), VideoCanvas.DECODE_IDLE_TIMEOUT))
+        ]);
+        ____clearTimeout(timer);
+        stream.outputCallback = null;
+        return result;
     }
 
     /**
-     * 通知新蒙版视频帧产生
+     * 通知新视频帧产生
      * 
+     * @param {Object} stream - 解码流
      * @param {VideoFrame} frame - 视频帧
      */
-    _emitNewMaskFrame(frame) {
-        frame.index = this.decodedMaskFrameIndex;
-        this.maskFrames[frame.index] = frame;
-        if (this.waitMaskFrameCallback && this.waitMaskFrameIndex == frame.index) {
-            const fn = this.waitMaskFrameCallback;
-            this.waitMaskFrameIndex = null;
-            this.waitMaskFrameCallback = null;
-            fn();
+    _emitNewFrame(stream, frame) {
+        // 通知解码器有输出
+        stream.outputCallback && stream.outputCallback();
+        const index = stream.demuxer.timestampFrameIndexes.get(frame.timestamp);
+        const { waitFrameIndex, backward } = stream;
+        if (index === undefined)
+            return frame.close();
+        stream.lastFrameIndex = Math.max(stream.lastFrameIndex, index);
+        // 已越过等待帧的帧不再需要
+        if (waitFrameIndex !== null && (backward ? index > waitFrameIndex : index < waitFrameIndex))
+            return frame.close();
+        stream.frames.set(index, frame);
+        // 超出缓存容量时淘汰最晚播放的帧，需要时再重新解码
+        while (stream.frames.size > this.frameCacheSize) {
+            const indexes = Array.from(stream.frames.keys()).filter(index => index !== waitFrameIndex);
+            this._releaseFrame(stream, backward ? Math.min(...indexes) : Math.max(...indexes));
         }
-        else if(frame.index < this.waitMaskFrameIndex)
-            frame.close();
-        this.decodedMaskFrameIndex++;
     }
 
     /**
-     * 创建解码器
+     * 创建解码流
      * 
      * @param {Uint8Array} data - 视频数据
-     * @param {Object} options - 解码器选项
-     * @param {boolean} options.isMask - 是否为蒙版
-     * @param {Function} options.onFrame - 视频帧回调
+     * @param {Object} options - 解码流选项
      * @param {Function} options.onError - 错误回调
-     * @returns {Object} - 解码器和配置对象
+     * @returns {Object} - 解码流
      */
-    async _createDecoder(data, options = {}) {
+    async _createStream(data, options = {}) {
         const u = ____util;
-        const { isMask = false, onFrame, onError } = options;
+        const { onError } = options;
         u.assert(u.isUint8Array(data), "data must be Uint8Array");
-        u.assert(u.isBoolean(isMask), "isMask must be boolean");
-        u.assert(u.isFunction(onFrame), "onFrame must be Function");
         u.assert(u.isFunction(onError), "onError must be Function");
-        const decoder = (isMask ? this.maskDecoder : this.decoder) || new VideoDecoder({
-            output: onFrame.bind(this),
+        const stream = {
+            // 解复用器
+            demuxer: new ____MP4Demuxer(),
+            // 解码器
+            decoder: null,
+            // 解码器配置
+            decoderConfig: null,
+            // 视频信息配置
+            config: null,
+            // 帧缓存
+            frames: new Map(),
+            // 下一个送入解码器的视频块下标
+            nextChunkIndex: 0,
+            // 最后输出的帧下标
+            lastFrameIndex: -1,
+            // 是否已冲刷解码器
+            flushed: false,
+            // 等待帧下标
+            waitFrameIndex: null,
+            // 是否反向播放
+            backward: false,
+            // 帧输出回调
+            outputCallback: null
+        };
+        stream.decoder = new VideoDecoder({
+            output: frame => this._emitNewFrame(stream, frame),
             error: err => onError.bind(this)(new Error(err))
         });
-        const demuxer = new ____MP4Demuxer();
         let timer;
         const waitConfigPromise = Promise.race([
             new Promise((resolve, reject) => {
-                demuxer.onConfig(config => {
-                    decoder.configure({
-                        // 视频信息配置
-                        ...config,
-                        // 解码器硬件加速指示
-                        hardwareAcceleration: this.hardwareAcceleration,
-                        // 关闭延迟优化，让解码器批量处理解码，降低负载
-                        optimizeForLatency: true
-                    });
-                    resolve(config);
-                });
-                demuxer.onError(reject);
+                stream.demuxer.onConfig(resolve);
+                stream.demuxer.onError(reject);
             }),
             new Promise((_, reject) => timer = ____setTimeout(() => reject(new Error(`Video buffer demux timeout (60s)`)), 60000))
         ]);
-        ____clearTimeout(timer);
-        demuxer.onChunk(chunk => decoder.decode(chunk));
-        demuxer.load(data);
+        stream.demuxer.load(data);
         // 等待解码配置
         const config = await waitConfigPromise;
+        ____clearTimeout(timer);
+        // 以实际解复用的视频块数量为准
+        stream.config = { ...config, frameCount: stream.demuxer.frameCount || config.frameCount };
+        stream.decoderConfig = {
+            // 视频信息配置
+            ...config,
+            // 解码器硬件加速指示
+            hardwareAcceleration: this.hardwareAcceleration,
+            // 开启延迟优化，让解码器尽快输出帧
+            optimizeForLatency: true
+        };
+        stream.decoder.configure(stream.decoderConfig);
+        // 检查视频解码器是否支持当前配置
+        await VideoDecoder.isConfigSupported(stream.decoderConfig);
         // 画布宽度为0时使用解码宽度初始化
         if(this.canvas.width === 0)
             this.canvas.width = config.codedWidth;
         // 画布高度为0时使用解码高度初始化
         if(this.canvas.height === 0)
             this.canvas.height = config.codedHeight;
-        // 检查视频解码器是否支持当前配置
-        await VideoDecoder.isConfigSupported(config);
-        if(decoder.state == "configured") {
-            decoder.flush()
-                .catch(err => err.message.indexOf("Aborted due to close") === -1 && err.message.indexOf("closed codec") === -1 ? console.error(err) : 0);
-        }
-        return {
-            config,
-            decoder
-        };
+        return stream;
+    }
+
+    /**
+     * 是否倒放
+     */
+    get reversed() {
+        return this.reverse || this.playbackRate < 0;
     }
 
     /**
@@ -579,6 +678,9 @@ export default class VideoCanvas {
             seekEnd: this.seekEnd,
             fadeInDuration: this.fadeInDuration,
             fadeOutDuration: this.fadeOutDuration,
+            playbackRate: this.playbackRate,
+            reverse: this.reverse,
+            boomerang: this.boomerang,
             autoplay: this.autoplay,
             volume: this.volume,
             loop: this.loop,
@@ -23,6 +23,12 @@ export default class VideoConfig {
     fadeInDuration;
     /** @type {number} - 音频淡出时长（毫秒） */
     fadeOutDuration;
+    /** @type {number} - 播放速率，负数时倒放 */
+    playbackRate;
+    /** @type {boolean} - 是否倒放 */
+    reverse;
+    /** @type {boolean} - 是否往返播放 */
+    boomerang;
     /** @type {boolean} - 是否自动播放 */
     autoplay;
     /** @type {number} - 视频音量（0-100） */
@@ -44,12 +50,15 @@ export default class VideoConfig {
      * @param {number} options.startTime - 开始播放时间点（毫秒）
      * @param {number} options.endTime - 结束播放时间点（毫秒）
      * @param {string} [options.maskUrl] - 蒙版视频URL
-     * @param {string} [options.format] - 视频格式（mp4/webm）
+     * @param {string} [options.format] - 视频格式（mp4/webm/mov/mkv等FFmpeg可读取的格式）
      * @param {number} [options.audioId] - 内部音频ID
      * @param {number} [options.seekStart] - 裁剪开始时间点（毫秒）
      * @param {number} [options.seekEnd] - 裁剪结束时间点（毫秒）
      * @param {number} [options.fadeInDuration] - 音频淡入时长（毫秒）
      * @param {number} [options.fadeOutDuration] - 音频淡出时长（毫秒）
+     * @param {number} [options.playbackRate] - 播放速率，负数时倒放
+     * @param {boolean} [options.reverse] - 是否倒放
+     * @param {boolean} [options.boomerang] - 是否往返播放
      * @param {boolean} [options.autoplay] - 是否自动播放
      * @param {number} [options.volume] - 视频音量
      * @param {boolean} [options.loop] - 是否循环播放
@@ -59,7 +68,7 @@ export default class VideoConfig {
      */
     constructor(options) {
         assert(_.isObject(options), "VideoConfig options must be Object");
-        const { url, maskUrl, format, startTime, endTime, audioId, seekStart, seekEnd, fadeInDuration, fadeOutDuration, autoplay, volume, loop, muted, retryFetchs, ignoreCache } = options;
+        const { url, maskUrl, format, startTime, endTime, audioId, seekStart, seekEnd, fadeInDuration, fadeOutDuration, playbackRate, reverse, boomerang, autoplay, volume, loop, muted, retryFetchs, ignoreCache } = options;
         assert(util.isURL(url), "url is invalid");
         assert(_.isFinite(startTime), "startTime must be number");
         assert(_.isFinite(endTime), "endTime must be number");
@@ -70,6 +79,9 @@ export default class VideoConfig {
         assert(_.isUndefined(seekEnd) || _.isFinite(seekEnd), "seekEnd must be number");
         assert(_.isUndefined(fadeInDuration) || _.isFinite(fadeInDuration), "fadeInDuration must be number");
         assert(_.isUndefined(fadeOutDuration) || _.isFinite(fadeOutDuration), "fadeOutDuration must be number");
+        assert(_.isUndefined(playbackRate) || _.isFinite(playbackRate), "playbackRate must be number");
+        assert(_.isUndefined(reverse) || _.isBoolean(reverse), "reverse must be boolean");
+        assert(_.isUndefined(boomerang) || _.isBoolean(boomerang), "boomerang must be boolean");
         assert(_.isUndefined(autoplay) || _.isBoolean(autoplay), "autoplay must be number");
         assert(_.isUndefined(volume) || _.isFinite(volume), "volume must be number");
         assert(_.isUndefined(loop) || _.isBoolean(loop), "loop must be boolean");
@@ -84,6 +96,9 @@ export default class VideoConfig {
         this.seekEnd = seekEnd;
         this.fadeInDuration = fadeInDuration;
         this.fadeOutDuration = fadeOutDuration;
+        this.playbackRate = playbackRate;
+        this.reverse = reverse;
+        this.boomerang = boomerang;
         this.autoplay = autoplay;
         this.volume = volume;
         this.loop = loop;
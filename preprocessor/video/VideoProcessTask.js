@@ -1,8 +1,8 @@
+import path from "path";
 import fs from "fs-extra";
 import assert from "assert";
 import _ from "lodash";
 import ffmpeg from "fluent-ffmpeg";
-import { PassThrough } from "stream";
 import AsyncLock from "async-lock";
 
 import ProcessTask from "../base/ProcessTask.js";
@@ -15,9 +15,15 @@ const processLock = new AsyncLock();
 
 export default class VideoProcessTask extends ProcessTask {
 
+    /** 保留透明通道时使用的解码器，FFmpeg内置的VP8/VP9解码器会丢弃透明通道 */
+    static ALPHA_DECODERS = {
+        vp8: "libvpx",
+        vp9: "libvpx-vp9"
+    };
+
     /** @type {string} - 视频文件路径 */
     filePath;
-    /** @type {string} - 视频格式 */
+    /** @type {string} - 视频格式（mp4/webm/mov/mkv等FFmpeg可读取的格式） */
     format;
     /** @type {string} - 蒙版视频文件路径 */
     maskFilePath;
@@ -39,6 +45,12 @@ export default class VideoProcessTask extends ProcessTask {
     fadeInDuration;
     /** @type {number} - 视频音频淡出时长（毫秒） */
     fadeOutDuration;
+    /** @type {number} - 播放速率，负数时倒放 */
+    playbackRate;
+    /** @type {boolean} - 是否倒放 */
+    reverse;
+    /** @type {boolean} - 是否往返播放 */
+    boomerang;
     /** @type {boolean} - 是否自动播放 */
     autoplay;
     /** @type {number} - 视频音量 */
@@ -55,7 +67,7 @@ export default class VideoProcessTask extends ProcessTask {
      * 
      * @param {Object} options - 任务选项
      * @param {string} options.filePath - 视频文件路径
-     * @param {string} options.format - 视频格式
+     * @param {string} [options.format] - 视频格式（mp4/webm/mov/mkv等FFmpeg可读取的格式）
      * @param {number} options.startTime - 开始播放时间点（毫秒）
      * @param {number} options.endTime - 结束播放时间点（毫秒）
      * @param {number} options.audioId - 音频ID
@@ -63,6 +75,9 @@ export default class VideoProcessTask extends ProcessTask {
      * @param {number} [options.seekEnd] - 裁剪结束时间点（毫秒）
      * @param {number} [options.fadeInDuration] - 视频音频淡入时长（毫秒）
      * @param {number} [options.fadeOutDuration] - 视频音频淡出时长（毫秒）
+     * @param {number} [options.playbackRate=1] - 播放速率，负数时倒放
+     * @param {boolean} [options.reverse=false] - 是否倒放
+     * @param {boolean} [options.boomerang=false] - 是否往返播放
      * @param {boolean} [options.autoplay] - 是否自动播放
      * @param {number} [options.volume] - 视频音量
      * @param {boolean} [options.loop=false] - 是否循环播放
@@ -73,9 +88,9 @@ export default class VideoProcessTask extends ProcessTask {
      */
     constructor(options) {
         super(options);
-        const { filePath, maskFilePath, format, startTime, endTime, audioId, seekStart, seekEnd, fadeInDuration, fadeOutDuration, autoplay, volume, loop, muted, videoEncoder } = options;
+        const { filePath, maskFilePath, format, startTime, endTime, audioId, seekStart, seekEnd, fadeInDuration, fadeOutDuration, playbackRate, reverse, boomerang, autoplay, volume, loop, muted, videoEncoder } = options;
         assert(_.isString(filePath), "filePath must be string");
-        assert(_.isString(format) && ["mp4", "webm"].includes(format), "format must be string");
+        assert(_.isUndefined(format) || _.isString(format), "format must be string");
         assert(_.isFinite(startTime), "startTime must be number");
         assert(_.isFinite(endTime), "endTime must be number");
         assert(_.isFinite(audioId), "audioId must be number");
@@ -84,6 +99,9 @@ export default class VideoProcessTask extends ProcessTask {
         assert(_.isUndefined(seekEnd) || _.isFinite(seekEnd), "seekEnd must be number");
         assert(_.isUndefined(fadeInDuration) || _.isFinite(fadeInDuration), "fadeInDuration must be number");
         assert(_.isUndefined(fadeOutDuration) || _.isFinite(fadeOutDuration), "fadeOutDuration must be number");
+        assert(_.isUndefined(playbackRate) || (_.isFinite(playbackRate) && playbackRate != 0), "playbackRate must be number and not equal to 0");
+        assert(_.isUndefined(reverse) || _.isBoolean(reverse), "reverse must be boolean");
+        assert(_.isUndefined(boomerang) || _.isBoolean(boomerang), "boomerang must be boolean");
         assert(_.isUndefined(autoplay) || _.isBoolean(autoplay), "autoplay must be number");
         assert(_.isUndefined(volume) || _.isFinite(volume), "volume must be number");
         assert(_.isUndefined(loop) || _.isBoolean(loop), "loop must be number");
@@ -99,6 +117,9 @@ export default class VideoProcessTask extends ProcessTask {
         this.seekEnd = seekEnd;
         this.fadeInDuration = fadeInDuration;
         this.fadeOutDuration = fadeOutDuration;
+        this.playbackRate = _.defaultTo(playbackRate, 1);
+        this.reverse = _.defaultTo(reverse, false);
+        this.boomerang = _.defaultTo(boomerang, false);
         this.autoplay = autoplay;
         this.volume = _.defaultTo(volume, 100);
         this.loop = _.defaultTo(loop, false);
@@ -112,30 +133,36 @@ export default class VideoProcessTask extends ProcessTask {
     async process() {
         // 非静音音频需分离音频文件
         !this.muted && await this.#separateAudioFile();
-        if (this.format == "webm") {
-            // 视频转码为H264
-            await this.#videoTranscoding();
-            // 检查是否具有透明通道
-            const hasAlphaChannel = await util.checkMediaHasAplhaChannel(this.filePath);
+        // 检查是否具有透明通道，已指定蒙版视频时不再分离
+        const hasAlphaChannel = !this.maskFilePath && await util.checkMediaHasAplhaChannel(this.filePath);
+        // 页面无法直接解码的视频统一转码为H264 MP4
+        this.transcodedFilePath = await this.#videoTranscoding(this.filePath, hasAlphaChannel);
+        if (hasAlphaChannel)
             // 具备透明通道将分离出蒙版视频
-            hasAlphaChannel && await this.#videoMaskExtract();
-        }
-        let buffer;
-        let maskBuffer = null;
-        // 当存在seek时进行裁剪
-        if(this.hasClip) {
-            buffer = await this.#videoClip(this.outputFilePath);
-            if(this.maskFilePath)
-                maskBuffer = await this.#videoClip(this.maskFilePath);
-        }
-        else {
-            buffer = await fs.readFile(this.outputFilePath);
-            if(this.maskFilePath)
-                maskBuffer = await fs.readFile(this.maskFilePath);
+            await this.#videoMaskExtract();
+        else if (this.maskFilePath)
+            // 指定的蒙版视频同样需要转码
+            this.maskFilePath = await this.#videoTranscoding(this.maskFilePath);
+        // 裁剪、倒放及往返播放均由页面从关键帧按需解码并映射帧序，无需重新编码
+        const buffer = await fs.readFile(this.outputFilePath);
+        const maskBuffer = this.maskFilePath ? await fs.readFile(this.maskFilePath) : null;
+        let audio = null;
+        if (this.audioFilePath && this.boomerang) {
+            // 往返播放的音频已按裁剪范围拼接为正放和倒放片段
+            audio = new Audio({
+                id: this.audioId,
+                path: await this.#createBoomerangAudio(),
+                startTime: this.startTime,
+                endTime: this.endTime,
+                fadeInDuration: this.fadeInDuration,
+                fadeOutDuration: this.fadeOutDuration,
+                playbackRate: Math.abs(this.playbackRate),
+                volume: this.volume,
+                loop: this.loop
+            });
         }
-        return {
-            // 添加到合成器的音频对象
-            audio: this.audioFilePath ? new Audio({
+        else if (this.audioFilePath) {
+            audio = new Audio({
                 id: this.audioId,
                 path: this.audioFilePath,
                 startTime: this.startTime,
@@ -144,80 +171,93 @@ export default class VideoProcessTask extends ProcessTask {
                 seekEnd: this.seekEnd,
                 fadeInDuration: this.fadeInDuration,
                 fadeOutDuration: this.fadeOutDuration,
+                // 分离的音频按相同的播放速率变速或倒放
+                playbackRate: this.reversed ? -Math.abs(this.playbackRate) : this.playbackRate,
                 volume: this.volume,
                 loop: this.loop
-            }) : null,
+            });
+        }
+        return {
+            // 添加到合成器的音频对象
+            audio,
             // video_preprocess响应回传到浏览器的数据
             buffer: this.#packData({
                 buffer,
                 maskBuffer,
                 hasMask: !!this.maskFilePath,
-                hasAudio: this.hasAudio,
-                hasClip: this.hasClip
+                hasAudio: this.hasAudio
             })
         }
     }
 
     /**
-     * 视频裁剪
+     * 生成往返播放的音频
+     * 
+     * 在裁剪范围内的正放片段后拼接倒放片段，倒放片段与视频一样去除首尾各一帧的时长，循环播放时音画保持同步
+     * 
+     * @returns {string} - 往返播放的音频文件路径
      */
-    async #videoClip(filePath) {
-        const cliper = ffmpeg(filePath);
-        let seekEnd = this.seekEnd;
-        const duration = (seekEnd || Infinity) - (this.seekStart || 0);
-        const endTime = this.startTime + duration;
-        if(endTime != Infinity && endTime > this.endTime)
-            seekEnd = seekEnd - (endTime - this.endTime);
-        this.seekStart && cliper.addInputOption("-ss", util.millisecondsToHmss(this.seekStart));
-        seekEnd && cliper.addInputOption("-to", util.millisecondsToHmss(this.seekEnd));
-        const buffers = [];
-        const stream = new PassThrough();
-        const receivePromise = new Promise((resolve, reject) => {
-            stream.on("data", data => buffers.push(data));
-            stream.once("error", reject)
-            stream.once("end", () => resolve(Buffer.concat(buffers)));
-        });
-        await new Promise((resolve, reject) => {
-            cliper
-                .addOutputOption(`-c:v ${this.videoEncoder}`)
-                .addOutputOption("-an")
-                .addOutputOption("-crf 18")
-                .addOutputOption("-movflags frag_keyframe+empty_moov")
-                .toFormat("mp4")
-                .once("error", reject)
-                .once("end", resolve)
-                .pipe(stream, { end: true });
+    async #createBoomerangAudio() {
+        const { streams } = await util.getMediaMetadata(this.outputFilePath);
+        const videoStream = streams.find(v => v.codec_type === "video") || {};
+        const [num, den] = (videoStream.avg_frame_rate || "0/0").split("/").map(Number);
+        // 视频帧时长（秒）
+        const frameDuration = num > 0 && den > 0 ? den / num : 0;
+        const key = util.crc32(`${this.seekStart}-${this.seekEnd}-${frameDuration}-${this.reversed}`);
+        return await processLock.acquire(`createBoomerangAudio-${util.crc32(this.audioFilePath)}-${key}`, async () => {
+            const boomerangFilePath = `${this.audioFilePath}_boomerang_${key}.mp3`;
+            if (!this.ignoreCache && await fs.pathExists(boomerangFilePath))
+                return boomerangFilePath;
+            // 去除首尾各一帧时长的倒放片段
+            const trimmedReverse = `atrim=start=${frameDuration},asetpts=PTS-STARTPTS,areverse,atrim=start=${frameDuration},asetpts=PTS-STARTPTS`;
+            // 倒放时先完整倒放再去除首尾正放，与视频的帧序一致
+            const [first, second] = this.reversed ? ["areverse", `${trimmedReverse},areverse`] : ["anull", trimmedReverse];
+            await new Promise((resolve, reject) => {
+                const encoder = ffmpeg(this.audioFilePath);
+                this.seekStart && encoder.addInputOption("-ss", util.millisecondsToHmss(this.seekStart));
+                this.seekEnd && encoder.addInputOption("-to", util.millisecondsToHmss(this.seekEnd));
+                encoder
+                    .complexFilter(`[0:a]asplit[a][b];[a]${first}[first];[b]${second}[second];[first][second]concat=n=2:v=0:a=1`)
+                    .audioCodec("libmp3lame")
+                    .audioBitrate("320k")
+                    .toFormat("mp3")
+                    .addOutput(boomerangFilePath)
+                    .once("start", cmd => util.ffmpegLog(cmd))
+                    .once("end", resolve)
+                    .once("error", err => {
+                        fs.removeSync(boomerangFilePath);
+                        reject(err);
+                    })
+                    .run();
+            });
+            return boomerangFilePath;
         });
-        return await receivePromise;
     }
 
     /**
      * 透明视频蒙版提取
+     * 
+     * 提取结果按视频内容MD5缓存
      */
     async #videoMaskExtract() {
-        return await processLock.acquire(`videoMaskExtract-${util.crc32(this.filePath)}`, async () => {
-            const maskFilePath = `${this.filePath}_mask.mp4`
+        const hash = await util.getFileMD5(this.filePath);
+        return await processLock.acquire(`videoMaskExtract-${hash}`, async () => {
+            const maskFilePath = path.join(this.tmpDirPath, "transcoded", `${hash}_mask.mp4`);
             if (!this.ignoreCache && await fs.pathExists(maskFilePath)) {
                 this.maskFilePath = maskFilePath;
                 return;
             }
+            await fs.ensureDir(path.dirname(maskFilePath));
             const videoEncoderName = await util.getMediaVideoCodecName(this.filePath);
-            let codec;
-            switch (videoEncoderName) {
-                case "vp8":
-                    codec = "libvpx";
-                    break;
-                case "vp9":
-                    codec = "libvpx-vp9";
-                    break;
-                default:
-                    throw new Error(`Video file ${this.filePath} codec name ${videoEncoderName} is not supported`);
-            }
+            const decoder = VideoProcessTask.ALPHA_DECODERS[videoEncoderName];
             await new Promise((resolve, reject) => {
-                ffmpeg(this.filePath)
-                    .addInputOption(`-c:v ${codec}`)
+                const extractor = ffmpeg(this.filePath);
+                decoder && extractor.addInputOption(`-c:v ${decoder}`);
+                extractor
                     .videoFilter("alphaextract")
+                    .videoFilter("scale=trunc(iw/2)*2:trunc(ih/2)*2")
                     .addOutputOption(`-c:v ${this.videoEncoder}`)
+                    .addOutputOption("-pix_fmt yuv420p")
                     .addOutputOption("-an")
                     .outputOption("-movflags +faststart")
                     .addOutput(maskFilePath)
@@ -235,30 +275,35 @@ export default class VideoProcessTask extends ProcessTask {
 
     /**
      * 视频转码
+     * 
+     * 探测视频的封装格式和编码，页面无法直接解码的视频（mov、mkv、avi等封装或HEVC、AV1、ProRes等编码）转码为H264 MP4，转码结果按视频内容MD5缓存
+     * 
+     * @param {string} filePath - 视频文件路径
+     * @param {boolean} [hasAlphaChannel=false] - 是否具有透明通道
+     * @returns {string} - 可直接解码的视频文件路径
      */
-    async #videoTranscoding() {
-        return await processLock.acquire(`videoTranscoding-${util.crc32(this.filePath)}`, async () => {
-            const transcodedFilePath = `${this.filePath}_transcoded.mp4`;
-            if (!this.ignoreCache && await fs.pathExists(transcodedFilePath)) {
-                this.transcodedFilePath = transcodedFilePath;
-                return;
-            }
-            const videoEncoderName = await util.getMediaVideoCodecName(this.filePath);
-            let codec;
-            switch (videoEncoderName) {
-                case "vp8":
-                    codec = "libvpx";
-                    break;
-                case "vp9":
-                    codec = "libvpx-vp9";
-                    break;
-                default:
-                    throw new Error(`Video file ${this.filePath} codec name ${videoEncoderName} is not supported`);
-            }
+    async #videoTranscoding(filePath, hasAlphaChannel = false) {
+        const { format, streams } = await util.getMediaMetadata(filePath);
+        const videoStream = streams.find(v => v.codec_type === "video");
+        if (!videoStream)
+            throw new Error(`Video file ${filePath} video stream not found`);
+        if (!hasAlphaChannel && VideoProcessTask.#isDecodable(format, videoStream))
+            return filePath;
+        const hash = await util.getFileMD5(filePath);
+        return await processLock.acquire(`videoTranscoding-${hash}`, async () => {
+            const transcodedFilePath = path.join(this.tmpDirPath, "transcoded", `${hash}.mp4`);
+            if (!this.ignoreCache && await fs.pathExists(transcodedFilePath))
+                return transcodedFilePath;
+            await fs.ensureDir(path.dirname(transcodedFilePath));
+            const decoder = hasAlphaChannel ? VideoProcessTask.ALPHA_DECODERS[videoStream.codec_name] : null;
             await new Promise((resolve, reject) => {
-                ffmpeg(this.filePath)
-                    .addInputOption(`-c:v ${codec}`)
+                const transcoder = ffmpeg(filePath);
+                decoder && transcoder.addInputOption(`-c:v ${decoder}`);
+                transcoder
+                    // H264的YUV420像素格式要求宽高为偶数
+                    .videoFilter("scale=trunc(iw/2)*2:trunc(ih/2)*2")
                     .addOutputOption(`-c:v ${this.videoEncoder}`)
+                    .addOutputOption("-pix_fmt yuv420p")
                     .addOutputOption("-an")
                     .addOutputOption("-crf 18")
                     .outputOption("-movflags +faststart")
@@ -266,12 +311,12 @@ export default class VideoProcessTask extends ProcessTask {
                     .once("start", cmd => util.ffmpegLog(cmd))
                     .once("end", resolve)
                     .once("error", err => {
-                        fs.removeSync(this.filePath);
+                        fs.removeSync(transcodedFilePath);
                         reject(err);
                     })
                     .run();
             });
-            this.transcodedFilePath = transcodedFilePath;
+            return transcodedFilePath;
         });
     }
 
@@ -321,6 +366,24 @@ export default class VideoProcessTask extends ProcessTask {
         return Buffer.concat(buffers);
     }
 
+    /**
+     * 视频是否可由页面直接解码
+     * 
+     * 仅MP4封装的8位YUV420 H264视频可直接使用
+     * 
+     * @param {Object} format - 封装格式信息
+     * @param {Object} videoStream - 视频流信息
+     * @returns {boolean} - 是否可直接解码
+     */
+    static #isDecodable(format, videoStream) {
+        // mov与mp4探测出的封装格式名相同，需通过主品牌区分QuickTime文件
+        const majorBrand = ((format.tags || {}).major_brand || "").trim();
+        return (format.format_name || "").split(",").includes("mp4") &&
+            majorBrand != "qt" &&
+            videoStream.codec_name == "h264" &&
+            ["yuv420p", "yuvj420p"].includes(videoStream.pix_fmt);
+    }
+
     get outputFilePath() {
         return this.transcodedFilePath || this.filePath;
     }
@@ -333,10 +396,10 @@ export default class VideoProcessTask extends ProcessTask {
     }
 
     /**
-     * 是否裁剪
+     * 是否倒放
      */
-    get hasClip() {
-        return this.seekStart > 0 || this.seekEnd > 0;
+    get reversed() {
+        return this.reverse || this.playbackRate < 0;
     }
 
 }
\ No newline at end of file
@@ -0,0 +1,214 @@
+import assert from "assert";
+import path from "path";
+import uniqid from "uniqid";
+import fs from "fs-extra";
+import EventEmitter from "eventemitter3";
+import _ from "lodash";
+
+import Project from "../entity/Project.js";
+
+/**
+ * 渲染任务
+ */
+export default class RenderJob extends EventEmitter {
+
+    /** 任务状态枚举 */
+    static STATE = {
+        /** 等待渲染 */
+        WAITING: "waiting",
+        /** 渲染中 */
+        RENDERING: "rendering",
+        /** 已完成 */
+        COMPLETED: "completed",
+        /** 已失败 */
+        FAILED: "failed",
+        /** 已终止 */
+        ABORTED: "aborted"
+    };
+
+    /** @type {string} - 任务ID */
+    id = uniqid("job_");
+    /** @type {string} - 任务状态 */
+    state = RenderJob.STATE.WAITING;
+    /** @type {Project} - 视频项目 */
+    project;
+    /** @type {number} - 渲染进度（0-100） */
+    progress = 0;
+    /** @type {number} - 已渲染帧数 */
+    frameCount = 0;
+    /** @type {number} - 目标帧数 */
+    targetFrameCount = 0;
+    /** @type {Object} - 渲染结果 */
+    result = null;
+    /** @type {Error} - 错误对象 */
+    error = null;
+    /** @type {number} - 创建时间点 */
+    createTime = Date.now();
+    /** @type {number} - 开始渲染时间点 */
+    startTime = null;
+    /** @type {number} - 结束时间点 */
+    endTime = null;
+    /** @type {SingleVideo|MultiVideo} - 视频对象 */
+    #video = null;
+
+    /**
+     * 构造函数
+     * 
+     * @param {Object} options - 渲染任务选项
+     * @param {Object} options.spec - 项目文档，参考 docs/project.md
+     * @param {string} options.outputDirPath - 输出目录路径
+     */
+    constructor(options) {
+        super();
+        assert(_.isObject(options), "RenderJob options must be Object");
+        const { spec, outputDirPath } = options;
+        assert(_.isPlainObject(spec), "RenderJob spec must be Object");
+        assert(_.isString(outputDirPath), "RenderJob outputDirPath must be string");
+        // 输出路径由服务分配，忽略文档中的outputPath
+        const format = _.defaultTo(spec.format, "mp4");
+        this.project = new Project({
+            ...spec,
+            outputPath: path.join(outputDirPath, `${this.id}.${format}`)
+        });
+    }
+
+    /**
+     * 开始渲染
+     * 
+     * @param {WebVideoCreator} wvc - WebVideoCreator实例
+     */
+    async start(wvc) {
+        if (this.state != RenderJob.STATE.WAITING)
+            return;
+        this.#setState(RenderJob.STATE.RENDERING);
+        this.startTime = Date.now();
+        try {
+            this.#video = wvc.createFromProject(this.project);
+            this.#video.on("progress", (progress, frameCount, targetFrameCount) => {
+                this.progress = progress;
+                this.frameCount = frameCount;
+                this.targetFrameCount = targetFrameCount;
+                this.emit("progress", this.progress, this.frameCount, this.targetFrameCount);
+            });
+            // 单幕视频的渲染错误通过error事件抛出，需要同时监听完成和错误事件
+            this.result = await new Promise((resolve, reject) => {
+                this.#video.once("completed", resolve);
+                this.#video.once("error", reject);
+                this.#video.start();
+            });
+            // 渲染过程中已被终止
+            if (this.isAborted())
+                return await this.removeFiles();
+            this.endTime = Date.now();
+            this.#setState(RenderJob.STATE.COMPLETED);
+            this.emit("completed", this.toJSON());
+        }
+        catch (err) {
+            if (this.isAborted())
+                return await this.removeFiles();
+            this.error = err;
+            this.endTime = Date.now();
+            this.#setState(RenderJob.STATE.FAILED);
+            this.emit("error", err);
+        }
+        finally {
+            this.#video = null;
+        }
+    }
+
+    /**
+     * 终止渲染
+     */
+    abort() {
+        if (this.isFinished())
+            return;
+        this.endTime = Date.now();
+        this.#setState(RenderJob.STATE.ABORTED);
+        // 尚未获取到页面的视频或分块将在获取页面后立即终止并释放渲染名额
+        this.#video && this.#video.abort();
+        this.emit("aborted", this.toJSON());
+    }
+
+    /**
+     * 删除任务输出的文件
+     */
+    async removeFiles() {
+        await fs.remove(this.outputPath);
+        await fs.remove(this.coverPath);
+    }
+
+    /**
+     * 是否已结束（已完成、已失败或已终止）
+     * 
+     * @returns {boolean}
+     */
+    isFinished() {
+        return [RenderJob.STATE.COMPLETED, RenderJob.STATE.FAILED, RenderJob.STATE.ABORTED].includes(this.state);
+    }
+
+    /**
+     * 是否已完成
+     * 
+     * @returns {boolean}
+     */
+    isCompleted() {
+        return this.state == RenderJob.STATE.COMPLETED;
+    }
+
+    /**
+     * 是否已终止
+     * 
+     * @returns {boolean}
+     */
+    isAborted() {
+        return this.state == RenderJob.STATE.ABORTED;
+    }
+
+    /**
+     * 转换为可序列化对象
+     * 
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            type: this.project.type,
+            state: this.state,
+            progress: this.progress,
+            frameCount: this.frameCount,
+            targetFrameCount: this.targetFrameCount,
+            result: this.result ? _.omit(this.result, "outputPath") : null,
+            error: this.error ? this.error.message : null,
+            hasCover: this.project.options.coverCapture ? true : false,
+            createTime: this.createTime,
+            startTime: this.startTime,
+            endTime: this.endTime
+        };
+    }
+
+    /**
+     * 设置任务状态
+     * 
+     * @param {string} state - 任务状态
+     */
+    #setState(state) {
+        assert(Object.values(RenderJob.STATE).includes(state), `state ${state} is invalid`);
+        this.state = state;
+    }
+
+    /**
+     * 获取输出路径
+     */
+    get outputPath() {
+        return this.project.options.outputPath;
+    }
+
+    /**
+     * 获取封面路径
+     */
+    get coverPath() {
+        const { outputPath, coverCaptureFormat } = this.project.options;
+        return path.join(path.dirname(outputPath), `${path.basename(outputPath)}.${_.defaultTo(coverCaptureFormat, "jpg")}`);
+    }
+
+}
\ No newline at end of file
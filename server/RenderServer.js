@@ -0,0 +1,332 @@
+import assert from "assert";
+import http from "http";
+import path from "path";
+import fs from "fs-extra";
+import _ from "lodash";
+
+import WebVideoCreator from "../api/WebVideoCreator.js";
+import RenderJob from "./RenderJob.js";
+import logger from "../lib/logger.js";
+import util from "../lib/util.js";
+
+/** 文件扩展名对应的MIME类型 */
+const MIME_TYPES = {
+    mp4: "video/mp4",
+    webm: "video/webm",
+    mov: "video/quicktime",
+    gif: "image/gif",
+    webp: "image/webp",
+    jpg: "image/jpeg",
+    png: "image/png",
+    bmp: "image/bmp"
+};
+
+/**
+ * 渲染服务
+ * 
+ * 通过HTTP接收渲染任务并排队使用共享的资源池进行渲染
+ * 
+ * POST /jobs - 提交渲染任务，请求体为项目文档（参考 docs/project.md）
+ * GET /jobs - 获取任务列表
+ * GET /jobs/:id - 获取任务状态
+ * GET /jobs/:id/events - 通过Server-Sent Events订阅任务进度
+ * GET /jobs/:id/file - 下载渲染结果
+ * GET /jobs/:id/cover - 下载封面
+ * DELETE /jobs/:id - 终止任务，已结束的任务将被删除
+ */
+export default class RenderServer {
+
+    /** @type {WebVideoCreator} - WebVideoCreator实例 */
+    wvc;
+    /** @type {number} - 监听端口 */
+    port;
+    /** @type {string} - 监听地址 */
+    host;
+    /** @type {string} - 输出目录路径 */
+    outputDirPath;
+    /** @type {number} - 并行渲染任务数量 */
+    parallelJobs;
+    /** @type {number} - 请求体最大字节数 */
+    maxBodySize;
+    /** @type {Map<string, RenderJob>} - 任务表 */
+    jobs = new Map();
+    /** @type {RenderJob[]} - 等待队列 */
+    #queue = [];
+    /** @type {number} - 渲染中的任务数量 */
+    #renderingCount = 0;
+    /** @type {http.Server} - HTTP服务器 */
+    #server = null;
+
+    /**
+     * 构造函数
+     * 
+     * @param {Object} [options] - 渲染服务选项
+     * @param {WebVideoCreator} [options.wvc] - 已配置的WebVideoCreator实例，未提供时将使用config创建
+     * @param {Object} [options.config] - 创建WebVideoCreator实例时使用的配置，参考 WebVideoCreator.config()
+     * @param {number} [options.port=8200] - 监听端口
+     * @param {string} [options.host="127.0.0.1"] - 监听地址
+     * @param {string} [options.outputDirPath="./output/server"] - 输出目录路径
+     * @param {number} [options.parallelJobs=2] - 并行渲染任务数量
+     * @param {number} [options.maxBodySize=10485760] - 请求体最大字节数
+     */
+    constructor(options = {}) {
+        assert(_.isObject(options), "RenderServer options must be Object");
+        const { wvc, config, port, host, outputDirPath, parallelJobs, maxBodySize } = options;
+        assert(_.isUndefined(wvc) || wvc instanceof WebVideoCreator, "wvc must be WebVideoCreator instance");
+        assert(_.isUndefined(config) || _.isObject(config), "config must be Object");
+        assert(_.isUndefined(port) || _.isFinite(port), "port must be number");
+        assert(_.isUndefined(host) || _.isString(host), "host must be string");
+        assert(_.isUndefined(outputDirPath) || _.isString(outputDirPath), "outputDirPath must be string");
+        assert(_.isUndefined(parallelJobs) || (_.isFinite(parallelJobs) && parallelJobs > 0), "parallelJobs must be number and greater than 0");
+        assert(_.isUndefined(maxBodySize) || _.isFinite(maxBodySize), "maxBodySize must be number");
+        if (wvc)
+            this.wvc = wvc;
+        else {
+            this.wvc = new WebVideoCreator();
+            this.wvc.config(config);
+        }
+        this.port = _.defaultTo(port, 8200);
+        this.host = _.defaultTo(host, "127.0.0.1");
+        this.outputDirPath = path.resolve(_.defaultTo(outputDirPath, "./output/server"));
+        this.parallelJobs = _.defaultTo(parallelJobs, 2);
+        this.maxBodySize = _.defaultTo(maxBodySize, 10 * 1024 * 1024);
+    }
+
+    /**
+     * 启动监听
+     * 
+     * @returns {http.Server} - HTTP服务器
+     */
+    async listen() {
+        assert(!this.#server, "RenderServer is already listening");
+        await fs.ensureDir(this.outputDirPath);
+        this.#server = http.createServer((req, res) => {
+            this.#handleRequest(req, res)
+                .catch(err => {
+                    logger.error(err);
+                    !res.headersSent && this.#sendJSON(res, 500, { error: err.message });
+                });
+        });
+        await new Promise((resolve, reject) => {
+            this.#server.once("error", reject);
+            this.#server.listen(this.port, this.host, resolve);
+        });
+        // 使用随机端口时获取实际端口
+        this.port = this.#server.address().port;
+        logger.success(`RenderServer listening on http://${this.host}:${this.port}`);
+        return this.#server;
+    }
+
+    /**
+     * 关闭服务并终止所有未结束的任务
+     */
+    async close() {
+        if (!this.#server)
+            return;
+        this.#queue = [];
+        this.jobs.forEach(job => job.abort());
+        this.#server.closeAllConnections();
+        await new Promise(resolve => this.#server.close(resolve));
+        this.#server = null;
+    }
+
+    /**
+     * 提交渲染任务
+     * 
+     * @param {Object} spec - 项目文档
+     * @returns {RenderJob} - 渲染任务
+     */
+    submit(spec) {
+        const job = new RenderJob({ spec, outputDirPath: this.outputDirPath });
+        this.jobs.set(job.id, job);
+        this.#queue.push(job);
+        this.#dispatch();
+        return job;
+    }
+
+    /**
+     * 调度等待队列
+     */
+    #dispatch() {
+        while (this.#renderingCount < this.parallelJobs && this.#queue.length > 0) {
+            const job = this.#queue.shift();
+            if (job.isFinished())
+                continue;
+            this.#renderingCount++;
+            job.start(this.wvc)
+                .catch(err => logger.error(err))
+                .finally(() => {
+                    this.#renderingCount--;
+                    this.#dispatch();
+                });
+        }
+    }
+
+    /**
+     * 处理请求
+     * 
+     * @param {http.IncomingMessage} req - 请求对象
+     * @param {http.ServerResponse} res - 响应对象
+     */
+    async #handleRequest(req, res) {
+        const { pathname } = new URL(req.url, "http://localhost");
+        const [, resource, id, action] = pathname.split("/");
+        if (resource != "jobs")
+            return this.#sendJSON(res, 404, { error: `${pathname} not found` });
+        if (!id) {
+            if (req.method == "GET")
+                return this.#sendJSON(res, 200, [...this.jobs.values()].map(job => job.toJSON()));
+            if (req.method == "POST")
+                return await this.#handleSubmit(req, res);
+            return this.#sendJSON(res, 405, { error: `${req.method} ${pathname} is not allowed` });
+        }
+        const job = this.jobs.get(id);
+        if (!job)
+            return this.#sendJSON(res, 404, { error: `Job ${id} not found` });
+        switch (`${req.method} ${action || ""}`) {
+            case "GET ":
+                return this.#sendJSON(res, 200, job.toJSON());
+            case "GET events":
+                return this.#handleEvents(job, req, res);
+            case "GET file":
+                return this.#sendFile(res, job, job.outputPath);
+            case "GET cover":
+                return this.#sendFile(res, job, job.coverPath);
+            case "DELETE ":
+                return await this.#handleDelete(job, res);
+            default:
+                return this.#sendJSON(res, 405, { error: `${req.method} ${pathname} is not allowed` });
+        }
+    }
+
+    /**
+     * 处理提交任务请求
+     * 
+     * @param {http.IncomingMessage} req - 请求对象
+     * @param {http.ServerResponse} res - 响应对象
+     */
+    async #handleSubmit(req, res) {
+        let spec;
+        try {
+            spec = JSON.parse(await this.#readBody(req));
+        }
+        catch (err) {
+            return this.#sendJSON(res, 400, { error: `Invalid request body: ${err.message}` });
+        }
+        let job;
+        try {
+            job = this.submit(spec);
+        }
+        catch (err) {
+            return this.#sendJSON(res, 400, { error: err.message });
+        }
+        this.#sendJSON(res, 201, job.toJSON());
+    }
+
+    /**
+     * 处理任务事件订阅请求
+     * 
+     * @param {RenderJob} job - 渲染任务
+     * @param {http.IncomingMessage} req - 请求对象
+     * @param {http.ServerResponse} res - 响应对象
+     */
+    #handleEvents(job, req, res) {
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            "Connection": "keep-alive"
+        });
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        send("state", job.toJSON());
+        if (job.isFinished())
+            return res.end();
+        const listeners = {
+            progress: (progress, frameCount, targetFrameCount) => send("progress", { progress, frameCount, targetFrameCount }),
+            completed: data => (send("completed", data), res.end()),
+            error: err => (send("error", { error: err.message }), res.end()),
+            aborted: data => (send("aborted", data), res.end())
+        };
+        _.forEach(listeners, (fn, event) => job.on(event, fn));
+        res.once("close", () => _.forEach(listeners, (fn, event) => job.off(event, fn)));
+    }
+
+    /**
+     * 处理删除任务请求
+     * 
+     * @param {RenderJob} job - 渲染任务
+     * @param {http.ServerResponse} res - 响应对象
+     */
+    async #handleDelete(job, res) {
+        // 未结束的任务将被终止，已结束的任务将被删除
+        if (!job.isFinished()) {
+            job.abort();
+            return this.#sendJSON(res, 200, job.toJSON());
+        }
+        this.jobs.delete(job.id);
+        await job.removeFiles();
+        this.#sendJSON(res, 200, job.toJSON());
+    }
+
+    /**
+     * 发送任务文件
+     * 
+     * @param {http.ServerResponse} res - 响应对象
+     * @param {RenderJob} job - 渲染任务
+     * @param {string} filePath - 文件路径
+     */
+    #sendFile(res, job, filePath) {
+        if (!job.isCompleted())
+            return this.#sendJSON(res, 409, { error: `Job ${job.id} is ${job.state}` });
+        // 图像序列输出为目录，无法直接下载
+        if (!fs.pathExistsSync(filePath) || !fs.statSync(filePath).isFile())
+            return this.#sendJSON(res, 404, { error: `Job ${job.id} file not found` });
+        const { size } = fs.statSync(filePath);
+        res.writeHead(200, {
+            "Content-Type": MIME_TYPES[util.getPathExtname(filePath)] || "application/octet-stream",
+            "Content-Length": size,
+            "Content-Disposition": `attachment; filename="${path.basename(filePath)}"`
+        });
+        fs.createReadStream(filePath).pipe(res);
+    }
+
+    /**
+     * 读取请求体
+     * 
+     * @param {http.IncomingMessage} req - 请求对象
+     * @returns {string} - 请求体内容
+     */
+    async #readBody(req) {
+        return await new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            // 超出大小限制后继续读取但丢弃数据，以便正常返回错误响应
+            req.on("data", chunk => {
+                size += chunk.length;
+                size <= this.maxBodySize && chunks.push(chunk);
+            });
+            req.once("end", () => {
+                if (size > this.maxBodySize)
+                    return reject(new Error(`request body exceeds ${this.maxBodySize} bytes`));
+                resolve(Buffer.concat(chunks).toString("utf-8"));
+            });
+            req.once("error", reject);
+        });
+    }
+
+    /**
+     * 发送JSON响应
+     * 
+     * @param {http.ServerResponse} res - 响应对象
+     * @param {number} statusCode - 状态码
+     * @param {Object} data - 响应数据
+     */
+    #sendJSON(res, statusCode, data) {
+        const content = JSON.stringify(data);
+        res.writeHead(statusCode, {
+            "Content-Type": "application/json; charset=utf-8",
+            "Content-Length": Buffer.byteLength(content)
+        });
+        res.end(content);
+    }
+
+}
\ No newline at end of file
@@ -0,0 +1,7 @@
+import RenderServer from "./RenderServer.js";
+import RenderJob from "./RenderJob.js";
+
+export {
+    RenderServer,
+    RenderJob
+};
\ No newline at end of file